@@ -1,3 +1,9 @@
+import { EventEmitter } from './EventEmitter.js';
+import { LeakDetector } from './LeakDetector.js';
+
+/** Time constant (seconds) of playback rate changes made while playing */
+const RATE_SMOOTHING = 0.01;
+
 /**
  * AudioItem - base class for audio playback with full control.
  * 
@@ -18,6 +24,11 @@
  * - Maintains filter chain between source and output for audio effects
  * - Tracks connection state (_connected) to avoid double-connecting/disconnecting
  * - Uses getter/setter for volume to provide smooth transitions via setTargetAtTime
+ * - Extends EventEmitter to report playback transitions: 'play', 'pause', 'stop',
+ *   'loop' (each time a looping sound wraps around) and 'ended' (natural end).
+ *   Each event is { type, target, time } with time in AudioContext seconds.
+ *   Media element sources report 'play', 'pause' and 'ended'; node and stream
+ *   sources report 'ended' when they can tell
  * 
  * @example
  * const listener = new AudioListenerController();
@@ -25,9 +36,10 @@
  * audio.setBuffer(audioBuffer);
  * audio.volume = 0.5;
  * audio.loop = true;
+ * audio.on('loop', () => console.log('wrapped around'));
  * audio.play();
  */
-export class AudioItem {
+export class AudioItem extends EventEmitter {
 	/**
 	 * Creates a new AudioItem.
 	 * 
@@ -37,10 +49,13 @@ export class AudioItem {
 	 * @param {AudioListenerController} listener - AudioListenerController instance to connect to
 	 */
 	constructor(listener) {
+		super();
 		this.listener = listener;
 		this.context = listener.context;
 		this.gain = this.context.createGain();
-		this.gain.connect(listener.getInput());
+		/** @type {AudioNode} Node the gain is connected to, see setDestination() */
+		this.destination = listener.getInput();
+		this.gain.connect(this.destination);
 
 		this.autoplay = false;
 		this.buffer = null;
@@ -56,10 +71,32 @@ export class AudioItem {
 		this.source = null;
 		this.sourceType = 'empty';
 		this.filters = [];
+		/** @type {AudioNode[]} Nodes also fed by the filter chain, before the volume (see addTap()) */
+		this.taps = [];
 
 		this._startedAt = 0;
 		this._progress = 0;
 		this._connected = false;
+		this._playRequestedAt = null;
+		this._playRequestedFade = null;
+		this._loopTimer = null;
+		this._volume = 1;
+		/** @private Fade in progress: { timer, resolve, kind, end } */
+		this._fade = null;
+		/** @private Removers of listeners added to sources (media elements, streams, nodes) */
+		this._sourceListeners = [];
+		this._disposed = false;
+
+		LeakDetector.track(this);
+	}
+
+	/**
+	 * Whether dispose() has been called.
+	 *
+	 * @returns {boolean}
+	 */
+	get disposed() {
+		return this._disposed;
 	}
 
 	/**
@@ -82,13 +119,20 @@ export class AudioItem {
 	 * as the source. This disables playback control (play/pause/stop) since the source
 	 * is managed externally.
 	 * 
+	 * Scheduled source nodes (oscillators, buffer sources, constant sources)
+	 * emit 'ended' through this item when they stop.
+	 * 
 	 * @param {AudioNode} audioNode - AudioNode to use as source
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setNodeSource(audioNode) {
+		this._assertNotDisposed('setNodeSource()');
 		this.hasPlaybackControl = false;
 		this.sourceType = 'audioNode';
 		this.source = audioNode;
+		if ('onended' in audioNode && typeof audioNode.addEventListener === 'function') {
+			this._listen(audioNode, 'ended', () => this._emit('ended'));
+		}
 		this.connect();
 		return this;
 	}
@@ -98,15 +142,21 @@ export class AudioItem {
 	 * 
 	 * Creates a MediaElementAudioSourceNode from the provided element.
 	 * Playback is controlled via the media element's play/pause methods, not
-	 * through AudioItem's play/pause methods.
+	 * through AudioItem's play/pause methods. The element's play, pause and
+	 * ended events update isPlaying and are re-emitted by this item.
 	 * 
 	 * @param {HTMLMediaElement} mediaElement - Audio or video element to use as source
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setMediaElementSource(mediaElement) {
+		this._assertNotDisposed('setMediaElementSource()');
 		this.hasPlaybackControl = false;
 		this.sourceType = 'mediaNode';
 		this.source = this.context.createMediaElementSource(mediaElement);
+		const onMediaEvent = (event) => this._onMediaEvent(event);
+		for (const type of ['play', 'pause', 'ended']) {
+			this._listen(mediaElement, type, onMediaEvent);
+		}
 		this.connect();
 		return this;
 	}
@@ -116,15 +166,20 @@ export class AudioItem {
 	 * 
 	 * Creates a MediaStreamAudioSourceNode from the provided stream (e.g., from
 	 * getUserMedia). Playback is controlled by the stream itself, not through
-	 * AudioItem's play/pause methods.
+	 * AudioItem's play/pause methods. 'ended' is emitted when the stream
+	 * becomes inactive (all its tracks ended).
 	 * 
 	 * @param {MediaStream} mediaStream - MediaStream to use as source
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setMediaStreamSource(mediaStream) {
+		this._assertNotDisposed('setMediaStreamSource()');
 		this.hasPlaybackControl = false;
 		this.sourceType = 'mediaStreamNode';
 		this.source = this.context.createMediaStreamSource(mediaStream);
+		if (typeof mediaStream.addEventListener === 'function') {
+			this._listen(mediaStream, 'inactive', () => this._emit('ended'));
+		}
 		this.connect();
 		return this;
 	}
@@ -139,6 +194,7 @@ export class AudioItem {
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setBuffer(audioBuffer) {
+		this._assertNotDisposed('setBuffer()');
 		this.buffer = audioBuffer;
 		this.sourceType = 'buffer';
 		if (this.autoplay) this.play();
@@ -152,10 +208,79 @@ export class AudioItem {
 	 * does nothing. Resumes from the last pause position if paused, or from offset
 	 * if starting fresh.
 	 * 
-	 * @param {number} [delay=0] - Delay in seconds before starting playback
+	 * If no source is set yet (e.g. a sound still being loaded lazily by
+	 * AudioManager), the request is kept for whoever provides the buffer (see
+	 * takePendingPlay()), and nothing plays now.
+	 * 
+	 * Pass an options object to fade in from silence: play() then returns a
+	 * Promise that resolves when the fade completes (at once if there is no fade
+	 * or nothing starts). Calling play() while a pause fade-out is running
+	 * cancels it and restores the volume; during a stop fade-out, the fading
+	 * sound ends at once and playback starts again.
+	 * 
+	 * @param {number|Object} [options=0] - Delay in seconds, or options
+	 * @param {number} [options.delay=0] - Delay in seconds before starting playback
+	 * @param {number} [options.at] - Context time to start at, instead of a delay (e.g. Transport.nextBeat())
+	 * @param {number} [options.fadeIn=0] - Fade-in length in seconds
+	 * @param {string} [options.curve='linear'] - Fade curve: 'linear', 'exponential', 'equalPower' or 'sCurve'
+	 * @returns {AudioItem|Promise<void>} this for method chaining, or a Promise when options is an object
+	 */
+	play(options = 0) {
+		this._assertNotDisposed('play()');
+		const { delay, fade, curve } = parseFadeOptions(options, 'fadeIn', this.context.currentTime);
+		let done = Promise.resolve();
+		const result = (value) => (typeof options === 'object' && options !== null ? done : value);
+
+		const interrupted = this._fade !== null ? this._fade.kind : null;
+		if (interrupted === 'pause') {
+			// A pause fade-out was cancelled before the pause happened: keep playing
+			this._cancelFade();
+			return result(this);
+		}
+		if (interrupted === 'stop') {
+			// A stop fade-out: the old sound plays until its scheduled stop, so end it
+			// (and that stop) before the volume is restored, then start over
+			this._stop(0);
+			if (this.sourceType === 'buffer') this.disconnect();
+			this._cancelFade();
+		}
+
+		const wasPlaying = this.isPlaying;
+		const value = this._play(delay);
+
+		if (this.sourceType === 'empty') {
+			this._playRequestedFade = fade > 0 ? { fadeIn: fade, curve } : null;
+		} else if (!wasPlaying && this.isPlaying && fade > 0) {
+			done = this._fadeGain(this._volume, fade, curve, this.context.currentTime + delay, { from: 0 });
+		}
+
+		return result(value);
+	}
+
+	/**
+	 * Returns and forgets the play() requested while the item had no source,
+	 * so whoever provides the buffer can honour it.
+	 * 
+	 * @returns {{ at: number, fade: { fadeIn: number, curve: string } | null } | null} Context time
+	 *   playback was requested for and its fade-in, or null if no play() is pending
+	 */
+	takePendingPlay() {
+		if (this._playRequestedAt === null) return null;
+		const pending = { at: this._playRequestedAt, fade: this._playRequestedFade };
+		this._playRequestedAt = null;
+		this._playRequestedFade = null;
+		return pending;
+	}
+
+	/**
+	 * Starts playback without fade handling. Overridden by subclasses with
+	 * another kind of source.
+	 * 
+	 * @protected
+	 * @param {number} delay - Delay in seconds before starting playback
 	 * @returns {AudioItem} this for method chaining
 	 */
-	play(delay = 0) {
+	_play(delay) {
 		if (this.isPlaying === true) {
 			console.warn('Audio is already playing.');
 			return;
@@ -166,50 +291,81 @@ export class AudioItem {
 			return;
 		}
 
-		this._startedAt = this.context.currentTime + delay;
-
-		const source = this.context.createBufferSource();
-		source.buffer = this.buffer;
-		source.loop = this.loop;
-		source.loopStart = this.loopStart;
-		source.loopEnd = this.loopEnd;
-		source.onended = this.onEnded.bind(this);
-		source.start(this._startedAt, this._progress + this.offset, this.duration);
+		if (this.sourceType === 'empty') {
+			this._playRequestedAt = this.context.currentTime + delay;
+			return this;
+		}
 
+		this._startSource(this.context.currentTime + delay);
 		this.isPlaying = true;
-		this.source = source;
 
 		this.setDetune(this.detune);
 		this.setPlaybackRate(this.playbackRate);
 
-		return this.connect();
+		this.connect();
+		this._emit('play');
+		this._scheduleLoopEvent();
+		return this;
 	}
 
 	/**
 	 * Pauses playback of the audio.
 	 * 
 	 * Stops the current playback but preserves the playback position. Calling play()
-	 * again will resume from this position. Calculates progress based on elapsed
-	 * time and playback rate.
+	 * again will resume from this position.
 	 * 
+	 * With options.fadeOut, the volume fades to silence first and playback
+	 * pauses (at the position reached) when the fade completes; the volume is
+	 * then restored for the next play(). Returns a Promise in that form.
+	 * 
+	 * @param {Object} [options] - Fade options
+	 * @param {number} [options.fadeOut=0] - Fade-out length in seconds
+	 * @param {string} [options.curve='linear'] - Fade curve (see play())
+	 * @returns {AudioItem|Promise<void>} this for method chaining, or a Promise when options is given
+	 */
+	pause(options) {
+		this._assertNotDisposed('pause()');
+		const { fade, curve } = parseFadeOptions(options, 'fadeOut', this.context.currentTime);
+		const withPromise = typeof options === 'object' && options !== null;
+
+		if (fade > 0 && this.isPlaying === true && this.hasPlaybackControl !== false) {
+			return this._fadeGain(0, fade, curve, this.context.currentTime, {
+				kind: 'pause',
+				onDone: () => {
+					this._pause();
+					this._setGain(this._volume);
+				},
+			});
+		}
+
+		this._cancelFade();
+		const value = this._pause();
+		return withPromise ? Promise.resolve() : value;
+	}
+
+	/**
+	 * Pauses playback without fade handling. Overridden by subclasses with
+	 * another kind of source.
+	 * 
+	 * @protected
 	 * @returns {AudioItem} this for method chaining
 	 */
-	pause() {
+	_pause() {
 		if (this.hasPlaybackControl === false) {
 			console.warn('This Audio has no playback control.');
 			return;
 		}
 
-		if (this.isPlaying === true) {
-			this._progress += Math.max(this.context.currentTime - this._startedAt, 0) * this.playbackRate;
-
-			if (this.loop === true) {
-				this._progress = this._progress % (this.duration || this.buffer.duration);
-			}
+		this._playRequestedAt = null;
+		this._playRequestedFade = null;
 
+		if (this.isPlaying === true) {
+			this._progress = this.getPosition();
 			this.source.stop();
 			this.source.onended = null;
 			this.isPlaying = false;
+			this._cancelLoopEvent();
+			this._emit('pause');
 		}
 
 		return this;
@@ -221,23 +377,246 @@ export class AudioItem {
 	 * Stops playback and resets progress to 0. Unlike pause(), this doesn't preserve
 	 * playback position - next play() will start from the beginning (or offset).
 	 * 
-	 * @param {number} [delay=0] - Delay in seconds before stopping
+	 * With options.fadeOut, the item counts as stopped at once but the source
+	 * keeps sounding while the volume fades to silence, and stops when the fade
+	 * completes; the volume is then restored for the next play(). Returns a
+	 * Promise in that form.
+	 * 
+	 * @param {number|Object} [options=0] - Delay in seconds, or options
+	 * @param {number} [options.delay=0] - Delay in seconds before stopping (or starting the fade)
+	 * @param {number} [options.at] - Context time to stop (or start the fade) at, instead of a delay
+	 * @param {number} [options.fadeOut=0] - Fade-out length in seconds
+	 * @param {string} [options.curve='linear'] - Fade curve (see play())
+	 * @returns {AudioItem|Promise<void>} this for method chaining, or a Promise when options is an object
+	 */
+	stop(options = 0) {
+		this._assertNotDisposed('stop()');
+		const { delay, fade, curve } = parseFadeOptions(options, 'fadeOut', this.context.currentTime);
+		const withPromise = typeof options === 'object' && options !== null;
+		const wasPlaying = this.isPlaying;
+		const from = this.gain.gain.value;
+
+		this._cancelFade();
+		const value = this._stop(delay + fade);
+
+		if (fade > 0 && wasPlaying && this.hasPlaybackControl !== false) {
+			const start = this.context.currentTime + delay;
+			const done = this._fadeGain(0, fade, curve, start, { from, kind: 'stop' });
+			// Back to full volume once the source has stopped
+			this.gain.gain.setValueAtTime(this._volume, start + fade);
+			return done;
+		}
+
+		return withPromise ? Promise.resolve() : value;
+	}
+
+	/**
+	 * Stops playback without fade handling. Overridden by subclasses with
+	 * another kind of source.
+	 * 
+	 * @protected
+	 * @param {number} delay - Delay in seconds before stopping
 	 * @returns {AudioItem} this for method chaining
 	 */
-	stop(delay = 0) {
+	_stop(delay) {
 		if (this.hasPlaybackControl === false) {
 			console.warn('This Audio has no playback control.');
 			return;
 		}
 
 		this._progress = 0;
+		this._playRequestedAt = null;
+		this._playRequestedFade = null;
 
 		if (this.source !== null) {
 			this.source.stop(this.context.currentTime + delay);
 			this.source.onended = null;
 		}
 
+		const wasPlaying = this.isPlaying;
 		this.isPlaying = false;
+		this._cancelLoopEvent();
+		if (wasPlaying) this._emit('stop');
+		return this;
+	}
+
+	/**
+	 * Current playback position in seconds of audio, from offset (the start of
+	 * the item's region). Same as getPosition(); setting it seeks.
+	 *
+	 * @returns {number}
+	 */
+	get currentTime() {
+		return this.getPosition();
+	}
+
+	/**
+	 * Seeks to a position. See seek().
+	 *
+	 * @param {number} value - Position in seconds
+	 */
+	set currentTime(value) {
+		this.seek(value);
+	}
+
+	/**
+	 * Gets the playback position in seconds of audio, counted from offset.
+	 *
+	 * Works while playing, paused or stopped (0). The position advances with
+	 * the playback rate (at rate 2, one second of context time is two seconds
+	 * of audio), wraps around the loop region when looping and stops at the
+	 * end otherwise.
+	 *
+	 * @returns {number} Position in seconds
+	 */
+	getPosition() {
+		let position = this.offset + this._progress;
+		if (this.isPlaying === true) {
+			position += Math.max(this.context.currentTime - this._startedAt, 0) * this.playbackRate;
+		}
+		if (!this.buffer) return Math.max(position - this.offset, 0);
+
+		if (this.loop === true) {
+			const { start, end } = this._getLoopRegion();
+			if (position >= end && end > start) position = start + ((position - start) % (end - start));
+		} else {
+			position = Math.min(position, this.offset + this.getDuration());
+		}
+		return Math.max(position - this.offset, 0);
+	}
+
+	/**
+	 * Moves playback to a position, counted from offset like getPosition().
+	 *
+	 * While playing, playback continues from the new position without a
+	 * 'pause'/'play' pair of events; otherwise the next play() starts there.
+	 * The position is clamped to [0, getDuration()].
+	 *
+	 * @param {number} time - Position in seconds
+	 * @returns {AudioItem} this for method chaining
+	 */
+	seek(time) {
+		this._assertNotDisposed('seek()');
+		if (this.hasPlaybackControl === false) {
+			console.warn('This Audio has no playback control.');
+			return;
+		}
+
+		const position = this.buffer ? Math.min(Math.max(time, 0), this.getDuration()) : Math.max(time, 0);
+
+		if (this.isPlaying === true) {
+			const now = this.context.currentTime;
+			this.disconnect();
+			this.source.onended = null;
+			this.source.stop();
+			this._progress = position;
+			this._startSource(Math.max(this._startedAt, now));
+			this.setDetune(this.detune);
+			this.connect();
+			this._scheduleLoopEvent();
+		} else {
+			this._progress = position;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Gets the length of the item's audio in seconds: its duration if set,
+	 * otherwise the buffer from offset to the end. Looping doesn't extend it.
+	 *
+	 * @returns {number} Length in seconds, 0 without a buffer
+	 */
+	getDuration() {
+		if (!this.buffer) return 0;
+		if (this.duration !== undefined) return this.duration;
+		return Math.max(this.buffer.duration - this.offset, 0);
+	}
+
+	/**
+	 * Creates and starts a buffer source at the current progress.
+	 *
+	 * @private
+	 * @param {number} when - Context time to start at
+	 */
+	_startSource(when) {
+		this._startedAt = when;
+
+		const source = this.context.createBufferSource();
+		source.buffer = this.buffer;
+		source.loop = this.loop;
+		source.loopStart = this.loopStart;
+		source.loopEnd = this.loopEnd;
+		// Start at the right rate, so position tracking doesn't have to account for a glide
+		source.playbackRate.value = this.playbackRate;
+		source.onended = this.onEnded.bind(this);
+		// When resuming a non-looping item, only the rest of its duration is left to play
+		const duration = this.duration === undefined || this.loop
+			? this.duration
+			: Math.max(this.duration - this._progress, 0);
+		source.start(this._startedAt, this._progress + this.offset, duration);
+
+		this.source = source;
+	}
+
+	/**
+	 * Gets the part of the buffer a looping source repeats, in buffer seconds:
+	 * loopStart/loopEnd if they form a region, otherwise the whole buffer
+	 * (the same rule AudioBufferSourceNode applies).
+	 *
+	 * @private
+	 * @returns {{ start: number, end: number }}
+	 */
+	_getLoopRegion() {
+		const duration = this.buffer ? this.buffer.duration : 0;
+		if (this.loopEnd > 0 && this.loopStart < this.loopEnd) {
+			return { start: this.loopStart, end: Math.min(this.loopEnd, duration) };
+		}
+		return { start: 0, end: duration };
+	}
+
+	/**
+	 * Routes the item's gain to another node instead of the listener input,
+	 * e.g. a mixer bus (see AudioMixer).
+	 * 
+	 * @param {AudioNode} node - Node to connect the gain to
+	 * @returns {AudioItem} this for method chaining
+	 */
+	setDestination(node) {
+		this._assertNotDisposed('setDestination()');
+		if (node === this.destination) return this;
+		this.gain.disconnect(this.destination);
+		this.gain.connect(node);
+		this.destination = node;
+		return this;
+	}
+
+	/**
+	 * Feeds a node with the item's signal after the filters but before the
+	 * volume (and, for SpatialAudio, before the panner), e.g. a pre-fader send.
+	 * 
+	 * @param {AudioNode} node - Node to feed
+	 * @returns {AudioItem} this for method chaining
+	 */
+	addTap(node) {
+		this._assertNotDisposed('addTap()');
+		if (this.taps.includes(node)) return this;
+		this.taps.push(node);
+		if (this._connected === true) this._getChainEnd().connect(node);
+		return this;
+	}
+
+	/**
+	 * Stops feeding a node added with addTap().
+	 * 
+	 * @param {AudioNode} node - Node to stop feeding
+	 * @returns {AudioItem} this for method chaining
+	 */
+	removeTap(node) {
+		const index = this.taps.indexOf(node);
+		if (index === -1) return this;
+		this.taps.splice(index, 1);
+		if (this._connected === true) this._getChainEnd().disconnect(node);
 		return this;
 	}
 
@@ -246,22 +625,25 @@ export class AudioItem {
 	 * 
 	 * Establishes the audio graph: source -> filters -> output. If filters are set,
 	 * connects them in sequence. Otherwise, connects source directly to output.
+	 * The end of the chain also feeds the taps.
 	 * 
 	 * @returns {AudioItem} this for method chaining
 	 */
 	connect() {
+		this._assertNotDisposed('connect()');
 		if (this.filters.length > 0) {
-			this.source.connect(this.filters[0]);
+			this.source.connect(this.filters[0].input ?? this.filters[0]);
 
 			for (let i = 1, l = this.filters.length; i < l; i++) {
-				this.filters[i - 1].connect(this.filters[i]);
+				const previous = this.filters[i - 1];
+				(previous.output ?? previous).connect(this.filters[i].input ?? this.filters[i]);
 			}
-
-			this.filters[this.filters.length - 1].connect(this.output);
-		} else {
-			this.source.connect(this.output);
 		}
 
+		const end = this._getChainEnd();
+		end.connect(this.output);
+		for (const tap of this.taps) end.connect(tap);
+
 		this._connected = true;
 		return this;
 	}
@@ -280,21 +662,34 @@ export class AudioItem {
 		}
 
 		if (this.filters.length > 0) {
-			this.source.disconnect(this.filters[0]);
+			this.source.disconnect(this.filters[0].input ?? this.filters[0]);
 
 			for (let i = 1, l = this.filters.length; i < l; i++) {
-				this.filters[i - 1].disconnect(this.filters[i]);
+				const previous = this.filters[i - 1];
+				(previous.output ?? previous).disconnect(this.filters[i].input ?? this.filters[i]);
 			}
-
-			this.filters[this.filters.length - 1].disconnect(this.output);
-		} else {
-			this.source.disconnect(this.output);
 		}
 
+		const end = this._getChainEnd();
+		end.disconnect(this.output);
+		for (const tap of this.taps) end.disconnect(tap);
+
 		this._connected = false;
 		return this;
 	}
 
+	/**
+	 * Last node of source -> filters: the one connected to the output.
+	 * 
+	 * @private
+	 * @returns {AudioNode}
+	 */
+	_getChainEnd() {
+		if (this.filters.length === 0) return this.source;
+		const last = this.filters[this.filters.length - 1];
+		return last.output ?? last;
+	}
+
 	/**
 	 * Gets the list of audio filters.
 	 * 
@@ -333,6 +728,7 @@ export class AudioItem {
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setDetune(value) {
+		this._assertNotDisposed('setDetune()');
 		this.detune = value;
 
 		if (this.isPlaying === true && this.source.detune !== undefined) {
@@ -367,7 +763,7 @@ export class AudioItem {
 	 * 
 	 * Convenience method for setting a single filter. Pass null to remove all filters.
 	 * 
-	 * @param {AudioNode|null} filter - Filter node to set, or null to remove all filters
+	 * @param {AudioNode|{ input: AudioNode, output: AudioNode }|null} filter - Filter to set (see setFilters()), or null to remove all filters
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setFilter(filter) {
@@ -379,7 +775,12 @@ export class AudioItem {
 	 * 
 	 * Replaces all existing filters. Filters are applied in order: source -> filter[0] -> filter[1] -> ... -> output
 	 * 
-	 * @param {AudioNode[]} value - Array of filter nodes to apply in sequence
+	 * A filter is an AudioNode, or an object with `input` and `output` nodes such
+	 * as an EffectUnit or EffectRack. To change effects while the item plays,
+	 * set an EffectRack once and edit the rack instead: replacing filters
+	 * rewires the source.
+	 * 
+	 * @param {Array<AudioNode|{ input: AudioNode, output: AudioNode }>} value - Filters to apply in sequence
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setFilters(value) {
@@ -406,15 +807,28 @@ export class AudioItem {
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setPlaybackRate(value) {
+		this._assertNotDisposed('setPlaybackRate()');
 		if (this.hasPlaybackControl === false) {
 			console.warn('This Audio has no playback control.');
 			return;
 		}
 
+		if (this.isPlaying === true) {
+			// Bank the position reached at the old rate; getPosition() applies the new one from now
+			const now = this.context.currentTime;
+			this._progress = this.getPosition();
+			if (this._startedAt < now) {
+				// The rate glides to the new value rather than jumping: add what the glide plays
+				this._progress += (this.playbackRate - value) * RATE_SMOOTHING;
+				this._startedAt = now;
+			}
+		}
+
 		this.playbackRate = value;
 
 		if (this.isPlaying === true) {
-			this.source.playbackRate.setTargetAtTime(this.playbackRate, this.context.currentTime, 0.01);
+			this.source.playbackRate.setTargetAtTime(this.playbackRate, this.context.currentTime, RATE_SMOOTHING);
+			this._scheduleLoopEvent();
 		}
 
 		return this;
@@ -429,15 +843,277 @@ export class AudioItem {
 		return this.playbackRate;
 	}
 
+	/**
+	 * Fades the volume to a value over time.
+	 * 
+	 * The volume property reports the target value at once. A later fade, a
+	 * volume change, or a pause/stop cancels the fade where it is; the Promise
+	 * of a cancelled fade resolves at that point.
+	 * 
+	 * Curves: 'linear' (constant change per second), 'exponential' (constant
+	 * change in decibels, sounds even to the ear), 'equalPower' (sine/cosine
+	 * shape that keeps the loudness of two crossfading sounds constant) and
+	 * 'sCurve' (eases in and out).
+	 * 
+	 * @param {number} volume - Target volume (0.0 - 1.0)
+	 * @param {number} seconds - Fade length in seconds
+	 * @param {string} [curve='linear'] - 'linear', 'exponential', 'equalPower' or 'sCurve'
+	 * @returns {Promise<void>} Resolves when the fade completes
+	 * @throws {Error} If the curve is unknown
+	 */
+	fadeTo(volume, seconds, curve = 'linear') {
+		this._assertNotDisposed('fadeTo()');
+		this._volume = volume;
+		return this._fadeGain(volume, seconds, curve, this.context.currentTime);
+	}
+
+	/**
+	 * Schedules a gain fade, replacing any fade in progress.
+	 * 
+	 * @private
+	 * @param {number} to - Gain at the end of the fade
+	 * @param {number} seconds - Fade length in seconds
+	 * @param {string} curve - Curve name
+	 * @param {number} when - Context time the fade starts at
+	 * @param {Object} [options={}]
+	 * @param {number} [options.from] - Gain to start from, instead of the current one
+	 * @param {'pause'|'stop'|null} [options.kind=null] - Fade-out of pause() or stop(): cancelling it restores the volume
+	 * @param {Function} [options.onDone] - Called when the fade completes (not when cancelled)
+	 * @returns {Promise<void>}
+	 */
+	_fadeGain(to, seconds, curve, when, options = {}) {
+		if (!FADE_CURVES.hasOwnProperty(curve)) {
+			throw new Error(`Unknown fade curve '${curve}', expected one of: ${Object.keys(FADE_CURVES).join(', ')}`);
+		}
+
+		const param = this.gain.gain;
+		const now = this.context.currentTime;
+		const from = options.from ?? param.value;
+		const start = Math.max(when, now);
+		const length = Math.max(seconds, 0);
+
+		this._cancelFade();
+		if (options.from !== undefined) this._setGain(from);
+		else this._holdGain();
+		if (length > 0) {
+			param.setValueCurveAtTime(createFadeCurve(from, to, length, curve), start, length);
+		} else {
+			param.setValueAtTime(to, start);
+		}
+
+		return new Promise((resolve) => {
+			const fade = {
+				resolve,
+				kind: options.kind ?? null,
+				end: start + length,
+				timer: setTimeout(() => {
+					this._fade = null;
+					if (options.onDone) options.onDone();
+					resolve();
+				}, (start - now + length) * 1000),
+			};
+			this._fade = fade;
+		});
+	}
+
+	/**
+	 * Cancels the fade in progress and resolves its Promise. The gain holds
+	 * its current value, except after a pause/stop fade-out where the volume
+	 * is restored.
+	 * 
+	 * @private
+	 */
+	_cancelFade() {
+		const fade = this._fade;
+		if (fade === null) return;
+		this._fade = null;
+		clearTimeout(fade.timer);
+		if (fade.kind !== null) this._setGain(this._volume);
+		else this._holdGain();
+		fade.resolve();
+	}
+
+	/**
+	 * Drops scheduled gain changes, keeping the current value.
+	 * 
+	 * @private
+	 */
+	_holdGain() {
+		const param = this.gain.gain;
+		const now = this.context.currentTime;
+		if (typeof param.cancelAndHoldAtTime === 'function') {
+			param.cancelAndHoldAtTime(now);
+		} else {
+			// Without cancelAndHoldAtTime a curve that already started can only be
+			// removed whole; setting a value inside it would throw
+			const value = param.value;
+			param.cancelScheduledValues(0);
+			param.setValueAtTime(value, now);
+		}
+	}
+
+	/**
+	 * Sets the gain now, dropping scheduled changes.
+	 * 
+	 * @private
+	 * @param {number} value - Gain value
+	 */
+	_setGain(value) {
+		this._holdGain();
+		this.gain.gain.setValueAtTime(value, this.context.currentTime);
+	}
+
 	/**
 	 * Called when audio playback ends naturally.
 	 * 
 	 * Internal callback for AudioBufferSourceNode.onended event.
-	 * Resets playback state.
+	 * Resets playback state and emits 'ended'.
 	 */
 	onEnded() {
 		this.isPlaying = false;
 		this._progress = 0;
+		this._cancelLoopEvent();
+		this._emit('ended');
+	}
+
+	/**
+	 * Releases the item's audio nodes.
+	 * 
+	 * Stops playback, disconnects the source, the filter chain and the gain
+	 * from the listener, removes listeners added to media sources, and emits
+	 * 'dispose' (AudioManager drops the item's buffer reference then) before
+	 * removing all event listeners. Filters and external source nodes are only
+	 * disconnected, never stopped.
+	 * 
+	 * Afterwards, methods that play or change the item throw. Calling dispose()
+	 * again does nothing.
+	 */
+	dispose() {
+		if (this._disposed) return;
+
+		this._cancelLoopEvent();
+		if (this._fade !== null) {
+			clearTimeout(this._fade.timer);
+			this._fade.resolve();
+			this._fade = null;
+		}
+		if (this.sourceType === 'buffer' && this.source !== null) {
+			this.source.onended = null;
+			try {
+				this.source.stop();
+			} catch (e) {
+				// A source that never started can't be stopped
+			}
+		}
+		this.disconnect();
+		this.gain.disconnect();
+		this.taps.length = 0;
+		for (const remove of this._sourceListeners) remove();
+		this._sourceListeners.length = 0;
+
+		this.isPlaying = false;
+		this._playRequestedAt = null;
+		this._playRequestedFade = null;
+		this._disposed = true;
+		LeakDetector.untrack(this);
+
+		this._emit('dispose');
+		this.removeAllListeners();
+	}
+
+	/**
+	 * Throws if the item has been disposed.
+	 * 
+	 * @protected
+	 * @param {string} method - Method or property used, for the message (e.g. 'play()')
+	 * @throws {Error} If dispose() has been called
+	 */
+	_assertNotDisposed(method) {
+		if (this._disposed) {
+			throw new Error(`${this.constructor.name}.${method}: the item has been disposed, create a new one instead`);
+		}
+	}
+
+	/**
+	 * Adds an event listener to a source object and remembers how to remove it.
+	 * 
+	 * @protected
+	 * @param {EventTarget} target - Media element, media stream or node
+	 * @param {string} type - Event type
+	 * @param {Function} handler - Listener
+	 */
+	_listen(target, type, handler) {
+		target.addEventListener(type, handler);
+		this._sourceListeners.push(() => target.removeEventListener(type, handler));
+	}
+
+	/**
+	 * Emits a lifecycle event with the common event fields.
+	 *
+	 * @private
+	 * @param {string} type - Event type
+	 */
+	_emit(type) {
+		this.emit(type, { type, target: this, time: this.context.currentTime });
+	}
+
+	/**
+	 * Handles play/pause/ended events of a media element source.
+	 *
+	 * @private
+	 * @param {Event} event - Media element event
+	 */
+	_onMediaEvent(event) {
+		const element = event.target;
+		if (event.type === 'play') {
+			this.isPlaying = true;
+			this._emit('play');
+		} else if (event.type === 'pause') {
+			// A pause event also fires right before 'ended'
+			if (element && element.ended) return;
+			this.isPlaying = false;
+			this._emit('pause');
+		} else if (event.type === 'ended') {
+			this.onEnded();
+		}
+	}
+
+	/**
+	 * Schedules the next 'loop' event, when playback wraps from the loop end
+	 * back to the loop start. Buffer sources don't report wraps, so the time
+	 * is computed from the playback position and rate.
+	 *
+	 * @private
+	 */
+	_scheduleLoopEvent() {
+		this._cancelLoopEvent();
+		if (!this.isPlaying || !this.loop || !this.buffer || !(this.playbackRate > 0)) return;
+
+		const { start, end } = this._getLoopRegion();
+		const length = end - start;
+		if (!(length > 0)) return;
+
+		const now = this.context.currentTime;
+		const position = this.offset + this.getPosition();
+
+		let wait = (end - position) / this.playbackRate;
+		// Timers fire slightly early or late; a wrap this close is the one that just happened
+		if (wait < 0.01) wait += length / this.playbackRate;
+		wait += Math.max(this._startedAt - now, 0);
+
+		this._loopTimer = setTimeout(() => {
+			this._loopTimer = null;
+			this._emit('loop');
+			this._scheduleLoopEvent();
+		}, wait * 1000);
+	}
+
+	/** @private */
+	_cancelLoopEvent() {
+		if (this._loopTimer !== null) {
+			clearTimeout(this._loopTimer);
+			this._loopTimer = null;
+		}
 	}
 
 	/**
@@ -463,6 +1139,7 @@ export class AudioItem {
 	 * @returns {AudioItem} this for method chaining
 	 */
 	setLoop(value) {
+		this._assertNotDisposed('setLoop()');
 		if (this.hasPlaybackControl === false) {
 			console.warn('This Audio has no playback control.');
 			return;
@@ -472,6 +1149,7 @@ export class AudioItem {
 
 		if (this.isPlaying === true) {
 			this.source.loop = this.loop;
+			this._scheduleLoopEvent();
 		}
 
 		return this;
@@ -503,23 +1181,63 @@ export class AudioItem {
 		return this;
 	}
 
+	/**
+	 * Restricts playback to a region of the buffer.
+	 *
+	 * Used for audio sprites: sets offset and duration so only [start, end)
+	 * plays, or, for looping regions, loopStart/loopEnd so the region repeats.
+	 *
+	 * @param {number} start - Region start in seconds
+	 * @param {number} end - Region end in seconds
+	 * @param {boolean} [loop=false] - Loop the region
+	 * @returns {AudioItem} this for method chaining
+	 */
+	setRegion(start, end, loop = false) {
+		this._assertNotDisposed('setRegion()');
+		this.offset = start;
+		this.loop = loop;
+		if (loop) {
+			this.loopStart = start;
+			this.loopEnd = end;
+			this.duration = undefined;
+		} else {
+			this.duration = end - start;
+		}
+		return this;
+	}
+
 	/**
 	 * Gets the current volume.
 	 * 
 	 * @returns {number} Current volume (0.0 - 1.0)
 	 */
 	get volume() {
-		return this.gain.gain.value;
+		return this._volume;
 	}
 
 	/**
 	 * Sets the volume.
 	 * 
-	 * Changes volume smoothly using setTargetAtTime to avoid clicks.
+	 * Changes volume smoothly using setTargetAtTime to avoid clicks. Cancels a
+	 * fadeTo()/fade-in in progress; during a stop/pause fade-out, sets the
+	 * volume restored after it.
 	 * 
 	 * @param {number} value - Volume level (0.0 - 1.0, where 1.0 = 100%)
 	 */
 	set volume(value) {
+		this._assertNotDisposed('volume');
+		this._volume = value;
+
+		if (this._fade !== null && this._fade.kind !== null) {
+			if (this._fade.kind === 'stop') {
+				// Stop fade-out: move the scheduled restore
+				this.gain.gain.cancelScheduledValues(this._fade.end);
+				this.gain.gain.setValueAtTime(value, this._fade.end);
+			}
+			return;
+		}
+		this._cancelFade();
+
 		if (!this.isPlaying) {
 			this.gain.gain.setValueAtTime(value, this.context.currentTime);
 		} else {
@@ -527,3 +1245,58 @@ export class AudioItem {
 		}
 	}
 }
+
+/** Gain treated as silence by exponential fades, which can't reach 0 (-80 dB) */
+const SILENCE = 0.0001;
+
+/** Fade shapes: (progress 0-1, start value, end value) -> value */
+const FADE_CURVES = {
+	linear: (t, from, to) => from + (to - from) * t,
+	exponential: (t, from, to) => {
+		const a = Math.max(from, SILENCE);
+		return a * Math.pow(Math.max(to, SILENCE) / a, t);
+	},
+	// Sine when rising, cosine when falling: keeps two crossfading sounds at constant power
+	equalPower: (t, from, to) => (to >= from
+		? from + (to - from) * Math.sin(t * Math.PI / 2)
+		: to + (from - to) * Math.cos(t * Math.PI / 2)),
+	sCurve: (t, from, to) => from + (to - from) * (1 - Math.cos(t * Math.PI)) / 2,
+};
+
+/**
+ * Builds the value curve of a fade, about 100 points per second.
+ *
+ * @param {number} from - Start value
+ * @param {number} to - End value
+ * @param {number} seconds - Fade length
+ * @param {string} curve - Curve name (a key of FADE_CURVES)
+ * @returns {Float32Array}
+ */
+function createFadeCurve(from, to, seconds, curve) {
+	const shape = FADE_CURVES[curve];
+	const points = Math.min(Math.max(Math.ceil(seconds * 100), 2), 4096);
+	const values = new Float32Array(points);
+	for (let i = 0; i < points; i++) {
+		values[i] = shape(i / (points - 1), from, to);
+	}
+	// Land exactly on the target, including 0 for exponential fades
+	values[points - 1] = to;
+	return values;
+}
+
+/**
+ * Normalizes the argument of play()/pause()/stop(): a delay in seconds or an
+ * options object with a delay (or an absolute time) and a fade.
+ *
+ * @param {number|Object|undefined} options - Argument passed by the caller
+ * @param {'fadeIn'|'fadeOut'} key - Name of the fade option
+ * @param {number} now - Current context time, to turn options.at into a delay
+ * @returns {{ delay: number, fade: number, curve: string }}
+ */
+function parseFadeOptions(options, key, now) {
+	if (typeof options === 'object' && options !== null) {
+		const delay = options.at !== undefined ? Math.max(options.at - now, 0) : options.delay ?? 0;
+		return { delay, fade: options[key] ?? 0, curve: options.curve ?? 'linear' };
+	}
+	return { delay: options ?? 0, fade: 0, curve: 'linear' };
+}
@@ -18,7 +18,8 @@ import { AudioContextProvider } from './AudioContextProvider.js';
  * 3. Managing listener position for 3D audio
  * 
  * Why it's structured this way:
- * - Uses AudioContextProvider to get a single context (singleton pattern)
+ * - Uses AudioContextProvider to get a single context (singleton pattern), unless
+ *   another context (e.g. an OfflineAudioContext) is passed to the constructor
  * - All AudioItem and SpatialAudio connect to getInput(), not directly to destination
  * - Supports both old API (setPosition/setOrientation) and new API (positionX/forwardX)
  * - Uses getEndTime() for smooth transitions when changing position/orientation
@@ -35,9 +36,13 @@ export class AudioListenerController {
    * 
    * Initializes AudioContext, creates master gain node and connects it to destination.
    * Also initializes internal variables for time tracking.
+   * 
+   * @param {Object} [options={}]
+   * @param {BaseAudioContext} [options.context] - Context to use instead of the shared one,
+   *   e.g. an OfflineAudioContext for rendering (see OfflineRenderer)
    */
-  constructor() {
-    this.context = AudioContextProvider.context;
+  constructor(options = {}) {
+    this.context = options.context ?? AudioContextProvider.context;
     this.gain = this.context.createGain();
     this.gain.connect(this.context.destination);
     this.filter = null;
@@ -108,8 +113,8 @@ export class AudioListenerController {
    */
   removeFilter() {
     if (this.filter !== null) {
-      this.gain.disconnect(this.filter);
-      this.filter.disconnect(this.context.destination);
+      this.gain.disconnect(this.filter.input ?? this.filter);
+      (this.filter.output ?? this.filter).disconnect(this.context.destination);
       this.gain.connect(this.context.destination);
       this.filter = null;
     }
@@ -119,7 +124,7 @@ export class AudioListenerController {
   /**
    * Returns the current filter if set.
    * 
-   * @returns {AudioNode|null} Current filter or null if no filter is set
+   * @returns {AudioNode|{ input: AudioNode, output: AudioNode }|null} Current filter or null if no filter is set
    */
   getFilter() {
     return this.filter;
@@ -132,21 +137,23 @@ export class AudioListenerController {
    * (e.g., reverb, equalizer) to be applied to the entire audio stream.
    * 
    * If a filter is already set, it's first disconnected and replaced with the new one.
+   * Besides AudioNodes, anything with `input` and `output` nodes can be set,
+   * such as an EffectUnit or an EffectRack.
    * 
-   * @param {AudioNode} value - Filter AudioNode (e.g., BiquadFilterNode, ConvolverNode)
+   * @param {AudioNode|{ input: AudioNode, output: AudioNode }} value - Filter (e.g., BiquadFilterNode, ConvolverNode, EffectRack)
    * @returns {AudioListenerController} this for method chaining
    */
   setFilter(value) {
     if (this.filter !== null) {
-      this.gain.disconnect(this.filter);
-      this.filter.disconnect(this.context.destination);
+      this.gain.disconnect(this.filter.input ?? this.filter);
+      (this.filter.output ?? this.filter).disconnect(this.context.destination);
     } else {
       this.gain.disconnect(this.context.destination);
     }
 
     this.filter = value;
-    this.gain.connect(this.filter);
-    this.filter.connect(this.context.destination);
+    this.gain.connect(this.filter.input ?? this.filter);
+    (this.filter.output ?? this.filter).connect(this.context.destination);
 
     return this;
   }
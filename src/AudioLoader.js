@@ -1,5 +1,21 @@
 import { AudioContextProvider } from './AudioContextProvider.js';
 
+/** File extension to MIME type, used to ask the platform about codec support. */
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg; codecs="opus"',
+  webm: 'audio/webm',
+  weba: 'audio/webm',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  caf: 'audio/x-caf',
+};
+
 /**
  * AudioLoader - loader for loading and decoding audio files.
  *
@@ -11,15 +27,17 @@ import { AudioContextProvider } from './AudioContextProvider.js';
  * This class abstracts the process of:
  * 1. Loading audio file via a registered loader plugin (e.g. XhrLoader for URLs)
  * 2. Decoding base64 data URIs directly in-memory (built-in, no plugin needed)
- * 3. Decoding ArrayBuffer into AudioBuffer using AudioContext
+ * 3. Reading in-memory binary sources (ArrayBuffer, TypedArray, Blob, File)
+ * 4. Decoding ArrayBuffer into AudioBuffer using AudioContext
  *
  * Why it's structured this way:
  * - Uses callback-based API (onLoad, onProgress, onError) for flexibility
  * - URL loading is handled by external loader plugins registered via registerLoader()
- * - XhrLoader (giallarhorn/loaders/xhr) is shipped separately so projects that
- *   only use base64 never include XMLHttpRequest in their bundle
- * - Base64 data URIs are decoded in-memory without any network request
- * - Uses AudioContextProvider to get shared context for decoding
+ * - XhrLoader (giallarhorn/loaders/xhr) and FetchLoader (giallarhorn/loaders/fetch)
+ *   are shipped separately so projects that only use base64 never include
+ *   network code in their bundle
+ * - Base64 data URIs and binary sources are decoded in-memory without any network request
+ * - Uses AudioContextProvider to get shared context for decoding, unless a context is given
  * - Handles both network errors and decoding errors
  *
  * @example
@@ -30,6 +48,9 @@ import { AudioContextProvider } from './AudioContextProvider.js';
  *   (buffer) => console.log('Loaded:', buffer)
  * );
  *
+ * // Dropped file, or bytes from an asset pack (no plugins, no base64 round-trip)
+ * loader.load(file, (buffer) => console.log('Loaded:', buffer));
+ *
  * // URL (requires registered loader)
  * import { XhrLoader } from 'giallarhorn/loaders/xhr';
  * loader.registerLoader('url', new XhrLoader());
@@ -41,9 +62,18 @@ import { AudioContextProvider } from './AudioContextProvider.js';
  */
 export class AudioLoader {
 
-  constructor() {
+  /** @type {HTMLAudioElement|null} Element used to query codec support */
+  static _probe = null;
+
+  /**
+   * @param {Object} [options={}]
+   * @param {BaseAudioContext} [options.context] - Context used by decode(). Defaults to the shared one
+   */
+  constructor(options = {}) {
     /** @type {Object<string, { load: Function }>} */
     this._loaders = {};
+    /** @type {BaseAudioContext|null} */
+    this.context = options.context ?? null;
   }
 
   /**
@@ -55,6 +85,58 @@ export class AudioLoader {
     return typeof source === 'string' && source.startsWith('data:');
   }
 
+  /**
+   * Returns true if source is in-memory binary data: an ArrayBuffer, a
+   * TypedArray/DataView, or a Blob (including File).
+   * @param {*} source
+   * @returns {boolean}
+   */
+  static isBinary(source) {
+    return source instanceof ArrayBuffer
+      || ArrayBuffer.isView(source)
+      || (typeof Blob !== 'undefined' && source instanceof Blob);
+  }
+
+  /**
+   * Returns the MIME type of a source: taken from the data URI header or the
+   * Blob's type, or guessed from the URL's (or File's) file extension. Null if
+   * it can't be determined, which is always the case for raw ArrayBuffers.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - URL, base64 data URI or binary source
+   * @returns {string|null}
+   */
+  static getMimeType(source) {
+    if (AudioLoader.isBinary(source)) {
+      if (typeof Blob === 'undefined' || !(source instanceof Blob)) return null;
+      if (source.type) return source.type;
+      return typeof source.name === 'string' ? AudioLoader.getMimeType(source.name) : null;
+    }
+    if (AudioLoader.isBase64(source)) {
+      const match = /^data:([^;,]+)/.exec(source);
+      return match ? match[1] : null;
+    }
+    const match = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(source);
+    return match ? (MIME_TYPES[match[1].toLowerCase()] ?? null) : null;
+  }
+
+  /**
+   * Asks the platform whether it can play the source's format, using
+   * HTMLMediaElement.canPlayType(). Web Audio decodes the same formats as
+   * media elements, so this predicts whether decodeAudioData() will succeed.
+   *
+   * Returns 'maybe' when the answer can't be determined (unknown extension,
+   * no DOM available), so unknown sources are still attempted.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - URL, base64 data URI or binary source
+   * @returns {'probably' | 'maybe' | ''}
+   */
+  static canPlayType(source) {
+    const mimeType = AudioLoader.getMimeType(source);
+    if (!mimeType || typeof document === 'undefined') return 'maybe';
+    if (!AudioLoader._probe) AudioLoader._probe = document.createElement('audio');
+    return /** @type {'probably' | 'maybe' | ''} */ (AudioLoader._probe.canPlayType(mimeType));
+  }
+
   /**
    * Converts a base64 data URI into an ArrayBuffer.
    * @param {string} dataUri
@@ -73,62 +155,215 @@ export class AudioLoader {
     return bytes.buffer;
   }
 
+  /**
+   * Classifies a loading error so callers can report why a file failed.
+   *
+   * - 'aborted': the request was cancelled through an AbortSignal
+   * - 'http': the server answered with an error status (error.status is set)
+   * - 'decode': the bytes arrived but could not be decoded
+   * - 'network': the request never got a response (XHR error event, fetch TypeError)
+   * - 'unknown': anything else (e.g. no URL loader registered)
+   *
+   * @param {*} error - Value passed to an onError callback
+   * @returns {'aborted' | 'http' | 'decode' | 'network' | 'unknown'}
+   */
+  static getErrorReason(error) {
+    if (error && error.reason === 'decode') return 'decode';
+    if (error && error.name === 'AbortError') return 'aborted';
+    if (error && typeof error.status === 'number') return 'http';
+    if (error && error.name === 'EncodingError') return 'decode';
+    if (error instanceof TypeError || (typeof Event !== 'undefined' && error instanceof Event)) return 'network';
+    return 'unknown';
+  }
+
+  /**
+   * Returns the size in bytes of the encoded data held by an in-memory
+   * source, or 0 for URLs (their size is only known once they download).
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source
+   * @returns {number}
+   */
+  static getByteLength(source) {
+    if (AudioLoader.isBase64(source)) return AudioLoader.getBase64ByteLength(source);
+    if (AudioLoader.isBinary(source)) return source.byteLength ?? source.size;
+    return 0;
+  }
+
+  /**
+   * Returns the approximate decoded size in bytes of a base64 data URI,
+   * without decoding it. Used to report progress totals up front.
+   *
+   * @param {string} dataUri
+   * @returns {number}
+   */
+  static getBase64ByteLength(dataUri) {
+    const base64 = dataUri.slice(dataUri.indexOf(',') + 1);
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.max(0, Math.floor(base64.length * 3 / 4) - padding);
+  }
+
   /**
    * Registers an external loader plugin for a given scheme.
    * The loader must expose a load(url, onLoad, onProgress, onError) method.
+   * Loaders that also expose loadArrayBuffer() let AudioLoader split download
+   * from decoding (used for timings and by loadArrayBuffer()/decode()).
    *
    * @param {string} scheme - Key that identifies the loader (e.g. 'url')
-   * @param {{ load: Function }} loader - Loader instance (e.g. new XhrLoader())
+   * @param {{ load: Function, loadArrayBuffer?: Function }} loader - Loader instance (e.g. new XhrLoader())
    */
   registerLoader(scheme, loader) {
     this._loaders[scheme] = loader;
   }
 
   /**
-   * Loads an audio file from URL or base64 data URI and decodes it into AudioBuffer.
+   * Returns true if the encoded bytes of the source can be fetched separately
+   * from decoding, via loadArrayBuffer(). Always true for base64 and binary
+   * sources; for URLs it depends on the registered loader plugin.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - URL, base64 data URI or binary source
+   * @returns {boolean}
+   */
+  canLoadArrayBuffer(source) {
+    if (AudioLoader.isBase64(source) || AudioLoader.isBinary(source)) return true;
+    const urlLoader = this._loaders['url'];
+    return !!urlLoader && typeof urlLoader.loadArrayBuffer === 'function';
+  }
+
+  /**
+   * Loads an audio file from URL, base64 data URI or binary source and decodes it into AudioBuffer.
    *
    * - Base64 data URIs are decoded directly in-memory (no plugins needed).
+   * - ArrayBuffer, TypedArray, Blob and File sources are decoded directly too.
+   *   The caller's bytes are copied first, so decoding doesn't detach them.
    * - URLs are delegated to the 'url' loader registered via registerLoader().
    *   If no loader is registered, a descriptive error is emitted.
    *
-   * @param {string} source - URL of the audio file or a base64 data URI
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - URL of the audio file, a base64 data URI or binary data
    * @param {Function} onLoad - Callback called when audio is successfully decoded. Receives AudioBuffer as argument
    * @param {Function} [onProgress] - Optional callback for progress updates. Receives ProgressEvent (URL only)
    * @param {Function} [onError] - Optional callback for errors. Receives error object. If not provided, errors are logged to console
+   * @param {Object} [options] - Optional per-request options forwarded to the URL loader
+   *   (e.g. { signal, headers, credentials } for FetchLoader). Ignored for in-memory sources.
+   *   The loader's context, if one was given, is passed along as `context` to decode with
    */
-  load(source, onLoad, onProgress, onError) {
-    const handleError = (e) => {
-      if (onError) onError(e);
-      else console.error(e);
-    };
+  load(source, onLoad, onProgress, onError, options) {
+    const handleError = this._errorHandler(onError);
+
+    if (AudioLoader.isBase64(source) || AudioLoader.isBinary(source)) {
+      this._loadInMemory(source, onLoad, handleError);
+      return;
+    }
+
+    const urlLoader = this._getUrlLoader(handleError);
+    if (urlLoader) {
+      urlLoader.load(source, onLoad, onProgress, handleError, this.context ? { ...options, context: this.context } : options);
+    }
+  }
+
+  /**
+   * Loads the encoded bytes of an audio file without decoding them.
+   *
+   * Base64 data URIs are converted in-memory and binary sources are copied
+   * (Blobs are read); URLs require a registered 'url' loader that implements
+   * loadArrayBuffer() (XhrLoader and FetchLoader do).
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - URL of the audio file, a base64 data URI or binary data
+   * @param {Function} onLoad - Called with the encoded ArrayBuffer
+   * @param {Function} [onProgress] - Optional progress callback (URL only)
+   * @param {Function} [onError] - Optional error callback. If not provided, errors are logged to console
+   * @param {Object} [options] - Optional per-request options forwarded to the URL loader
+   */
+  loadArrayBuffer(source, onLoad, onProgress, onError, options) {
+    const handleError = this._errorHandler(onError);
 
     if (AudioLoader.isBase64(source)) {
-      this._loadBase64(source, onLoad, handleError);
-    } else {
-      const urlLoader = this._loaders['url'];
-      if (!urlLoader) {
-        handleError(new Error(
-          'No loader registered for URL sources. ' +
-          "Import and register XhrLoader: audioLoader.registerLoader('url', new XhrLoader())"
-        ));
+      let arrayBuffer;
+      try {
+        arrayBuffer = AudioLoader.decodeBase64ToArrayBuffer(source);
+      } catch (e) {
+        handleError(e);
         return;
       }
-      urlLoader.load(source, onLoad, onProgress, handleError);
+      onLoad(arrayBuffer);
+      return;
+    }
+
+    if (AudioLoader.isBinary(source)) {
+      if (source instanceof ArrayBuffer) {
+        onLoad(source.slice(0));
+      } else if (ArrayBuffer.isView(source)) {
+        onLoad(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+      } else {
+        source.arrayBuffer().then(onLoad, handleError);
+      }
+      return;
     }
+
+    const urlLoader = this._getUrlLoader(handleError);
+    if (!urlLoader) return;
+    if (typeof urlLoader.loadArrayBuffer !== 'function') {
+      handleError(new Error("The registered 'url' loader does not implement loadArrayBuffer()"));
+      return;
+    }
+    urlLoader.loadArrayBuffer(source, onLoad, onProgress, handleError, options);
   }
 
-  /** @private */
-  _loadBase64(dataUri, onLoad, handleError) {
+  /**
+   * Decodes encoded audio bytes into an AudioBuffer using the shared context.
+   *
+   * Note that decodeAudioData() detaches the given ArrayBuffer.
+   * Decoding failures are reported as an Error with `reason: 'decode'` and the
+   * original rejection value as `cause` (Safari rejects with null).
+   *
+   * @param {ArrayBuffer} arrayBuffer - Encoded audio file contents
+   * @param {Function} onLoad - Called with the decoded AudioBuffer
+   * @param {Function} [onError] - Optional error callback. If not provided, errors are logged to console
+   */
+  decode(arrayBuffer, onLoad, onError) {
+    const handleError = this._errorHandler(onError);
+    const handleDecodeError = (e) => {
+      const error = new Error('Unable to decode audio data' + (e && e.message ? ': ' + e.message : ''));
+      error.reason = 'decode';
+      error.cause = e;
+      handleError(error);
+    };
     try {
-      const arrayBuffer = AudioLoader.decodeBase64ToArrayBuffer(dataUri);
-      const context = AudioContextProvider.context;
+      const context = this.context ?? AudioContextProvider.context;
       context
         .decodeAudioData(arrayBuffer, (audioBuffer) => {
           onLoad(audioBuffer);
         })
-        .catch(handleError);
+        .catch(handleDecodeError);
     } catch (e) {
-      handleError(e);
+      handleDecodeError(e);
     }
   }
-}
\ No newline at end of file
+
+  /** @private */
+  _errorHandler(onError) {
+    return (e) => {
+      if (onError) onError(e);
+      else console.error(e);
+    };
+  }
+
+  /** @private */
+  _getUrlLoader(handleError) {
+    const urlLoader = this._loaders['url'];
+    if (!urlLoader) {
+      handleError(new Error(
+        'No loader registered for URL sources. ' +
+        "Import and register XhrLoader: audioLoader.registerLoader('url', new XhrLoader())"
+      ));
+      return null;
+    }
+    return urlLoader;
+  }
+
+  /** @private */
+  _loadInMemory(source, onLoad, handleError) {
+    this.loadArrayBuffer(source, (arrayBuffer) => {
+      this.decode(arrayBuffer, onLoad, handleError);
+    }, null, handleError);
+  }
+}
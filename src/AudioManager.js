@@ -1,6 +1,13 @@
 import { AudioLoader } from './AudioLoader.js';
 import { AudioItem } from './AudioItem.js';
 import { SpatialAudio } from './SpatialAudio.js';
+import { SoundBank } from './SoundBank.js';
+import { AudioSprite } from './AudioSprite.js';
+import { StreamingAudio } from './StreamingAudio.js';
+import { LoadQueue } from './LoadQueue.js';
+import { SoundGenerator } from './SoundGenerator.js';
+import { OneShotAudio } from './OneShotAudio.js';
+import { LeakDetector } from './LeakDetector.js';
 
 /**
  * AudioManager - manager for loading and managing audio resources.
@@ -61,11 +68,42 @@ export class AudioManager {
    * Initializes internal AudioLoader and empty object for storing buffers.
    *
    * @param {AudioListenerController} listener - AudioListenerController instance for creating audio sources
+   * @param {Object} [options={}] - Manager options
+   * @param {number} [options.memoryBudget=Infinity] - Maximum decoded PCM bytes to keep. When exceeded,
+   *   least-recently-used buffers that no AudioItem references are evicted
+   * @param {number} [options.maxDownloads=6] - Maximum parallel downloads (see LoadQueue)
+   * @param {number} [options.maxDecodes=2] - Maximum parallel decodeAudioData() calls
+   * @param {number} [options.staleAfter=0.5] - For sounds registered with register(): how late
+   *   (seconds) a play requested before the sound loaded may still start. Later plays are dropped
+   * @param {import('./AudioMixer.js').AudioMixer} [options.mixer] - Mixer whose buses get() routes
+   *   items to (config.bus, master by default)
    */
-  constructor(listener) {
+  constructor(listener, options = {}) {
     this.listener = listener;
-    this.loader = new AudioLoader();
+    this.loader = new AudioLoader({ context: listener.context });
+    this.queue = new LoadQueue({ maxDownloads: options.maxDownloads, maxDecodes: options.maxDecodes });
     this.buffers = {};
+    this.placeholders = new Set();
+    this.configs = {};
+    this.sources = {};
+    this.regions = {};
+    this.streams = {};
+    this.registered = {};
+    this.staleAfter = options.staleAfter ?? 0.5;
+    this.groups = new Map();
+    this.memoryBudget = options.memoryBudget ?? Infinity;
+    /** @type {import('./AudioMixer.js').AudioMixer|null} */
+    this.mixer = options.mixer ?? null;
+
+    /** @private name -> Set of AudioItems using the buffer */
+    this._refs = new Map();
+    /** @private AudioItem -> buffer name, for release() */
+    this._itemNames = new WeakMap();
+    /** @private name -> value of _clock at last use, least recently used first */
+    this._lastUsed = new Map();
+    this._clock = 0;
+    /** @private name -> Promise of a lazy load in progress */
+    this._lazyLoads = new Map();
   }
 
   /**
@@ -81,10 +119,20 @@ export class AudioManager {
   /**
    * Loads an array of audio files and decodes them into AudioBuffer.
    *
-   * Loads all files in parallel via Promise.all. Each entry can be:
+   * Entries are loaded through the manager's LoadQueue: at most maxDownloads
+   * files download and maxDecodes decode at once, higher-priority entries
+   * first. Pending entries can be reprioritized or cancelled by name with
+   * setPriority() and cancel(). Each entry can be:
    * - A URL string ("music.mp3") — loaded via registered 'url' loader, name extracted from URL
    * - A data URI string ("data:audio/mp3;base64,...") — decoded inline, auto-named "audio_0", ...
-   * - An object { name, data } — data URI stored under the given name
+   * - An object { name, data } — data URI, URL or binary data (ArrayBuffer, TypedArray,
+   *   Blob, File) stored under the given name. Binary data is decoded directly, without
+   *   a base64 round-trip, and the caller's bytes are left intact
+   * - A File — e.g. from drag and drop or an <input type="file">, named after the file
+   *   ("jump.wav" -> "jump")
+   * - An object { name, sources: [...] } — ordered alternatives (e.g. opus, ogg, mp3).
+   *   The first format the platform reports it can play is loaded; if it fails to
+   *   decode, the next one is tried. getSource(name) tells which one was used
    *
    * For URL strings, filename is automatically determined:
    * - "music.mp3" -> "music"
@@ -94,9 +142,31 @@ export class AudioManager {
    * Supports both absolute URLs (via URL constructor) and relative URLs
    * (via string parsing). On URL parsing error, uses fallback parsing.
    *
-   * @param {Array<string | { name: string, data: string }>} files - Array of audio sources to load
-   * @returns {Promise<{audios: Object}>} Promise that resolves with object containing loaded buffers
-   * @throws {Error} If loading any file fails (Promise.all will reject)
+   * Progress is aggregated over all entries and reported through
+   * options.onProgress. Base64 and binary entries contribute their size to the
+   * totals up front, so they move the bar like any downloaded file. The
+   * byte totals are only complete (lengthComputable) once every URL entry
+   * has reported its size.
+   *
+   * @param {Array<string | File | { name: string, data: string | ArrayBuffer | ArrayBufferView | Blob } | { name: string, sources: string[] }>} files - Array of audio sources to load
+   * @param {Object} [options={}] - Loading options
+   * @param {Function} [options.onProgress] - Called with { loaded, total, lengthComputable, filesLoaded, filesFailed, filesTotal }
+   * @param {Function} [options.onFileLoaded] - Called per entry with { name, source, buffer, bytes, downloadTime, decodeTime } (milliseconds)
+   * @param {Function} [options.onFileError] - Called per entry with { name, source, error }
+   * @param {string} [options.group] - Group every entry is added to, for unloadGroup().
+   *   Entries can also set their own `group`
+   * @param {number} [options.priority=0] - Queue priority of every entry (higher loads first).
+   *   Entries can also set their own `priority`
+   * @param {boolean} [options.settle=false] - Wait for every entry instead of rejecting on the
+   *   first failure. Buffers that loaded are kept and failures are listed in report.failed
+   * @param {'silence' | AudioBuffer | Function} [options.placeholder] - In settle mode, buffer stored
+   *   under the name of each failed entry so get() and OneShotAudio.play() keep working.
+   *   'silence' uses a short silent buffer; a function receives the failure and returns a buffer
+   * @returns {Promise<{audios: Object, report: { loaded: string[], failed: Object[] }}>} Promise that
+   *   resolves with the loaded buffers and a report. Each failure is { name, source, reason, status, error }
+   *   where reason is 'network' | 'http' | 'decode' | 'aborted' | 'unknown' (see AudioLoader.getErrorReason).
+   *   Cancelled entries fail with reason 'aborted'
+   * @throws {Error} If loading any file fails and options.settle is not set (Promise.all will reject)
    *
    * @example
    * const { audios } = await manager.loadAll(['music.mp3', 'sound.mp3']);
@@ -106,15 +176,352 @@ export class AudioManager {
    * const { audios } = await manager.loadAll([
    *   { name: 'click', data: 'data:audio/mp3;base64,...' },
    * ]);
+   *
+   * @example
+   * await manager.loadAll(['music.mp3', 'sound.mp3'], {
+   *   onProgress: ({ loaded, total, filesLoaded, filesTotal }) => {
+   *     bar.style.width = (total ? loaded / total : filesLoaded / filesTotal) * 100 + '%';
+   *   },
+   *   onFileLoaded: ({ name, downloadTime, decodeTime }) => console.log(name, downloadTime, decodeTime),
+   * });
+   *
+   * @example
+   * // UI sounds first, music when there's bandwidth left
+   * manager.loadAll(['click.mp3', 'hover.mp3'], { priority: 10 });
+   * manager.loadAll([{ name: 'theme', data: 'theme.mp3', priority: -1 }]);
+   * manager.cancel('theme'); // player skipped the intro
+   *
+   * @example
+   * // Drag and drop, and raw bytes from an asset pack
+   * dropZone.ondrop = (e) => manager.loadAll([...e.dataTransfer.files]);
+   * await manager.loadAll([{ name: 'step', data: pack.get('step.ogg') }]); // Uint8Array
+   *
+   * @example
+   * await manager.loadAll([{ name: 'theme', sources: ['theme.opus', 'theme.ogg', 'theme.mp3'] }]);
+   * manager.getSource('theme'); // 'theme.mp3' on a platform without Ogg support
+   *
+   * @example
+   * // One broken asset doesn't throw away the others
+   * const { report } = await manager.loadAll(files, { settle: true, placeholder: 'silence' });
+   * report.failed.forEach(({ name, reason, status }) => console.warn(name, reason, status));
    */
-  async loadAll(files) {
-    const results = await Promise.all(
-      files.map((entry, index) => this._loadEntry(entry, index))
-    );
-    results.forEach(({ name, buffer }) => {
-      this.buffers[name] = buffer;
+  async loadAll(files, options = {}) {
+    const progress = this._createProgress(files.length, options.onProgress);
+    const loads = files.map((entry, index) => this._loadEntry(entry, index, progress, options));
+    const results = await Promise.all(options.settle ? loads : loads.map((load) => load.then((result) => {
+      if (result.buffer === null) throw result.error;
+      return result;
+    })));
+
+    const report = { loaded: [], failed: [] };
+    for (const { name, source, group, buffer, error } of results) {
+      if (group !== undefined) this._addToGroup(name, group);
+      if (buffer !== null) {
+        this._storeBuffer(name, buffer, source);
+        report.loaded.push(name);
+        continue;
+      }
+      const failure = {
+        name,
+        source,
+        reason: AudioLoader.getErrorReason(error),
+        status: typeof error?.status === 'number' ? error.status : null,
+        error,
+      };
+      report.failed.push(failure);
+      if (options.placeholder && !this.buffers[name]) {
+        this.buffers[name] = this._createPlaceholder(options.placeholder, failure);
+        this.placeholders.add(name);
+      }
+    }
+    this._enforceBudget(results.map(({ name }) => name));
+    return { audios: { ...this.buffers }, report };
+  }
+
+  /**
+   * Loads every sound described by a sound bank manifest in one call.
+   *
+   * - Validates the manifest (see SoundBank) and throws before loading anything if it's invalid
+   * - Loads each sound under its manifest name via loadAll()
+   * - Stores each sound's defaults (loop, volume, spatial settings) so get(name) applies them
+   * - Passes the per-sound `oneShot` policies and the top-level `oneShot` settings to
+   *   OneShotAudio.init(). If OneShotAudio is already bound to this manager, the bank's
+   *   track policies are merged into the existing ones
+   *
+   * @param {Object|string} manifest - Sound bank manifest or its JSON text
+   * @param {Object} [options={}] - Same options as loadAll() (progress callbacks, settle, placeholder), plus:
+   * @param {boolean} [options.lazy=false] - Register the sounds with register() instead of loading them.
+   *   The returned promise then resolves at once, with empty audios and report
+   * @returns {Promise<{audios: Object, report: Object}>} Result of loadAll()
+   * @throws {Error} If the manifest is invalid (error.errors lists every problem)
+   *
+   * @example
+   * const bank = await fetch('sounds/bank.json').then((r) => r.json());
+   * await manager.loadBank(bank, { settle: true, placeholder: 'silence' });
+   * manager.get('music').play(); // loop and volume come from the bank
+   */
+  async loadBank(manifest, options = {}) {
+    const { entries, configs, tracks, streams, oneShot } = SoundBank.parse(manifest);
+
+    Object.assign(this.configs, configs);
+    Object.assign(this.streams, streams);
+
+    if (oneShot !== undefined || Object.keys(tracks).length > 0) {
+      // Already bound to this manager: keep the voices that are playing
+      if (OneShotAudio.manager === this) OneShotAudio.configure({ global: oneShot, tracks });
+      else OneShotAudio.init({ audioManager: this, global: oneShot, tracks });
+    }
+
+    if (options.lazy) {
+      this.register(entries, options);
+      return { audios: {}, report: { loaded: [], failed: [] } };
+    }
+    return this.loadAll(entries, options);
+  }
+
+  /**
+   * Loads an audio sprite: one file holding many sounds, plus a map of regions.
+   *
+   * Each region is registered as `name:region` (e.g. 'ui:click') and works
+   * everywhere a sound name does: get(), has(), OneShotAudio.play(). Only the
+   * region is played; looping regions repeat between their start and end.
+   *
+   * The map can be in howler.js, audiosprite or plain format (see AudioSprite).
+   * If it lists its own files (audiosprite `resources`, howler `src`), they are
+   * used as ordered format alternatives unless options.sources is given.
+   *
+   * @param {string} name - Name of the sprite buffer, and prefix of its regions
+   * @param {Object} sprite - Sprite map
+   * @param {Object} [options={}] - loadAll() options, plus:
+   * @param {string|string[]} [options.sources] - File(s) to load instead of those listed in the map
+   * @param {string} [options.baseUrl] - Prefix for relative file names listed in the map
+   * @returns {Promise<{audios: Object, report: Object}>} Result of loadAll()
+   * @throws {Error} If the sprite map is invalid or lists no file to load
+   *
+   * @example
+   * const map = await fetch('sfx/ui.json').then((r) => r.json()); // audiosprite output
+   * await manager.loadSprite('ui', map, { baseUrl: 'sfx/' });
+   * OneShotAudio.play('ui:click');
+   */
+  async loadSprite(name, sprite, options = {}) {
+    const { regions, sources: listed } = AudioSprite.parse(sprite);
+    let sources = options.sources === undefined ? undefined : [].concat(options.sources);
+    if (sources === undefined && listed !== undefined) {
+      sources = listed.map((source) => {
+        if (!options.baseUrl || /^([a-z][a-z\d+.-]*:|\/)/i.test(source)) return source;
+        return options.baseUrl.replace(/\/?$/, '/') + source;
+      });
+    }
+    if (!sources || sources.length === 0) {
+      throw new Error(`Audio sprite '${name}' lists no file to load; pass options.sources`);
+    }
+
+    this.addSprite(name, regions);
+    return this.loadAll([{ name, sources }], options);
+  }
+
+  /**
+   * Registers sprite regions on a buffer that is (or will be) stored under
+   * `name`. Regions become available as `name:region`.
+   *
+   * @param {string} name - Name of the sprite buffer
+   * @param {Object} sprite - Sprite map or already normalized `{ region: { start, end, loop } }`
+   */
+  addSprite(name, sprite) {
+    const { regions } = AudioSprite.parse(sprite);
+    for (const [region, { start, end, loop }] of Object.entries(regions)) {
+      this.regions[`${name}:${region}`] = { sprite: name, start, end, loop };
+    }
+  }
+
+  /**
+   * Registers sources without loading them. Each sound is loaded the first
+   * time it's needed: by get(), getAsync(), ensureLoaded() or
+   * OneShotAudio.play().
+   *
+   * Until then get() returns an item without a buffer. Calling play() on it
+   * records the request; when the sound arrives the item starts, unless more
+   * than `staleAfter` seconds have passed, in which case the play is dropped
+   * (a late footstep is worse than none). OneShotAudio.play() follows the
+   * same rule and returns null meanwhile.
+   *
+   * Registered sounds that get unloaded (or evicted by the memory budget)
+   * are loaded again on their next use.
+   *
+   * @param {Array<string | File | Object>} files - Entries in any form loadAll() accepts
+   * @param {Object} [options={}]
+   * @param {string} [options.group] - Group every entry is added to once loaded
+   * @param {number} [options.priority=0] - Queue priority of the lazy loads
+   * @param {number} [options.staleAfter] - Overrides the manager's staleAfter for these entries.
+   *   Infinity always plays late sounds (e.g. music), 0 never does
+   * @returns {string[]} Registered names
+   *
+   * @example
+   * manager.register(['footstep.mp3', 'door.mp3']);
+   * manager.register([{ name: 'theme', data: 'theme.mp3' }], { staleAfter: Infinity });
+   *
+   * manager.get('theme').play();      // starts as soon as it's loaded
+   * OneShotAudio.play('footstep');    // plays if loaded within 0.5s, dropped otherwise
+   * const door = await manager.getAsync('door');
+   */
+  register(files, options = {}) {
+    return files.map((entry, index) => {
+      const { name, sources } = this._resolveEntry(entry, index);
+      this.registered[name] = {
+        name,
+        sources,
+        group: entry?.group ?? options.group,
+        priority: entry?.priority ?? options.priority,
+        staleAfter: options.staleAfter,
+      };
+      return name;
     });
-    return { audios: { ...this.buffers } };
+  }
+
+  /**
+   * Returns true if the name (or, for a sprite region, its sprite) was
+   * registered with register(), whether or not it's loaded yet.
+   *
+   * @param {string} name - Audio name or sprite region
+   * @returns {boolean}
+   */
+  isRegistered(name) {
+    return !!this.registered[this._registeredName(name)];
+  }
+
+  /**
+   * Returns how late (seconds) a play requested before the sound loaded may
+   * still start. See register().
+   *
+   * @param {string} name - Audio name or sprite region
+   * @returns {number}
+   */
+  getStaleAfter(name) {
+    return this.registered[this._registeredName(name)]?.staleAfter ?? this.staleAfter;
+  }
+
+  /**
+   * Loads a registered sound if it isn't loaded yet. Concurrent calls share
+   * the same load.
+   *
+   * @param {string} name - Audio name or sprite region
+   * @returns {Promise<void>} Resolves once the buffer is available. Rejects if the
+   *   load fails or the name is neither loaded nor registered
+   */
+  ensureLoaded(name) {
+    if (this.resolve(name)) return Promise.resolve();
+
+    const registeredName = this._registeredName(name);
+    const entry = this.registered[registeredName];
+    if (!entry) return Promise.reject(new Error(`Audio '${name}' is neither loaded nor registered`));
+
+    let load = this._lazyLoads.get(registeredName);
+    if (!load) {
+      load = this.loadAll([entry], { group: entry.group, priority: entry.priority })
+        .then(() => undefined)
+        .finally(() => this._lazyLoads.delete(registeredName));
+      this._lazyLoads.set(registeredName, load);
+    }
+    return load;
+  }
+
+  /**
+   * Like get(), but loads a registered sound first if needed.
+   *
+   * @param {string} name - Audio name or sprite region
+   * @param {Object} [config={}] - Same as get()
+   * @param {boolean} [spatial] - Same as get()
+   * @returns {Promise<AudioItem|SpatialAudio|StreamingAudio|null>} The ready instance, or null if
+   *   the name is unknown
+   * @throws {Error} If loading fails
+   */
+  async getAsync(name, config = {}, spatial) {
+    if (!this.has(name) && !this.isRegistered(name)) return null;
+    if (!this.streams[name]) await this.ensureLoaded(name);
+    return this.get(name, config, spatial);
+  }
+
+  /** @private */
+  _registeredName(name) {
+    if (this.registered[name] || !this.regions[name]) return name;
+    return this.regions[name].sprite;
+  }
+
+  /**
+   * Registers a sound that is streamed instead of decoded into memory.
+   *
+   * Nothing is downloaded until the item plays. get(name) returns a new
+   * StreamingAudio each time; use streams for long music and ambience tracks,
+   * and buffers for short, frequently triggered sounds.
+   *
+   * @param {string} name - Name to use with get()
+   * @param {string} url - URL of the audio file
+   * @param {Object} [config] - Defaults applied by get(), as in setConfig()
+   *
+   * @example
+   * manager.registerStream('theme', 'music/theme.mp3', { loop: true, volume: 0.6 });
+   * const music = manager.get('theme');
+   * music.play();
+   */
+  registerStream(name, url, config) {
+    this.streams[name] = url;
+    if (config !== undefined) this.setConfig(name, config);
+  }
+
+  /**
+   * Sets the default config applied by get(name) for a sound.
+   *
+   * Values passed to get() override these defaults. A `spatial: true` default
+   * makes get(name) return a SpatialAudio unless get() is told otherwise.
+   *
+   * @param {string} name - Audio name
+   * @param {Object} config - Same fields as get()'s config, plus `spatial`
+   */
+  setConfig(name, config) {
+    this.configs[name] = { ...config };
+  }
+
+  /**
+   * Renders a procedural sound (see SoundGenerator) and stores it under a
+   * name, like a loaded file: get(), OneShotAudio.play(), configs and memory
+   * management all work with it unchanged.
+   *
+   * Rendering is deterministic: the same parameters and seed always produce
+   * the same buffer.
+   *
+   * @param {string} name - Key under which the buffer is stored
+   * @param {Object|string} params - SoundGenerator.render() parameters, or a preset
+   *   name ('pickup', 'laser', 'explosion', 'powerup', 'hit', 'jump', 'blip')
+   * @param {Object} [options={}]
+   * @param {number} [options.seed=1] - Seed for noise and preset variation
+   * @param {string} [options.group] - Group to add the sound to, for unloadGroup()
+   * @returns {AudioBuffer} The generated buffer
+   * @throws {Error} If the parameters are invalid or the preset is unknown
+   *
+   * @example
+   * manager.generate('coin', 'pickup', { seed: 7 });
+   * manager.generate('zap', { waveType: 'sawtooth', frequency: 1800, frequencySlide: -12, sustain: 0.08, decay: 0.1 });
+   * OneShotAudio.play('coin');
+   */
+  generate(name, params, options = {}) {
+    const seed = options.seed ?? 1;
+    const description = typeof params === 'string' ? SoundGenerator.preset(params, seed) : params;
+    const buffer = SoundGenerator.render(description, { seed, context: this.listener.context });
+    this._storeBuffer(name, buffer, undefined);
+    if (options.group !== undefined) this._addToGroup(name, options.group);
+    this._enforceBudget([name]);
+    return buffer;
+  }
+
+  /**
+   * Returns true if the buffer stored under this name is a placeholder
+   * standing in for an entry that failed to load (see loadAll's settle mode).
+   *
+   * @param {string} name - Audio name
+   * @returns {boolean}
+   */
+  isPlaceholder(name) {
+    return this.placeholders.has(name);
   }
 
   /**
@@ -126,29 +533,242 @@ export class AudioManager {
    */
   async loadBase64(name, dataUri) {
     const buffer = await this._promisifyLoad(dataUri);
-    this.buffers[name] = buffer;
+    this._storeBuffer(name, buffer, dataUri);
+    this._enforceBudget([name]);
     return buffer;
   }
 
+  /**
+   * Returns the source a sound was actually loaded from. For entries with
+   * several `sources`, this is the format that was picked.
+   *
+   * @param {string} name - Audio name
+   * @returns {string|undefined} URL or data URI, or undefined if not loaded, loaded from binary data or generated
+   */
+  getSource(name) {
+    return this.sources[name];
+  }
+
+  /** @private */
+  _storeBuffer(name, buffer, source) {
+    this.buffers[name] = buffer;
+    // Binary sources aren't kept: holding on to them would keep the encoded bytes alive
+    if (typeof source !== 'string') delete this.sources[name];
+    else this.sources[name] = source;
+    this.placeholders.delete(name);
+    this._touch(name);
+  }
+
+  /** @private */
+  _createPlaceholder(placeholder, failure) {
+    if (typeof placeholder === 'function') return placeholder(failure);
+    if (placeholder === 'silence') {
+      if (!this._silence) {
+        const context = this.listener.context;
+        this._silence = context.createBuffer(1, Math.ceil(context.sampleRate * 0.1), context.sampleRate);
+      }
+      return this._silence;
+    }
+    return placeholder;
+  }
+
+  /**
+   * Loads one loadAll() entry. Never rejects: resolves with the buffer, or
+   * with buffer = null and the error of the last source tried.
+   *
+   * Sources are tried in the order given by _orderSources(); a source that
+   * downloads but fails to decode falls through to the next one.
+   *
+   * @private
+   */
+  async _loadEntry(entry, index, progress, options) {
+    const { name, sources } = this._resolveEntry(entry, index);
+    const group = entry?.group ?? options.group;
+    const candidates = this._orderSources(sources);
+    const file = progress.add(0);
+    const job = this.queue.add(name, entry?.priority ?? options.priority ?? 0);
+    let source = candidates[0];
+    let error;
+
+    try {
+      for (let i = 0; i < candidates.length; i++) {
+        source = candidates[i];
+        progress.reset(file, AudioLoader.getByteLength(source));
+        try {
+          const result = await this._loadSource(source, (event) => progress.update(file, event), job);
+          progress.complete(file, result.bytes);
+          if (options.onFileLoaded) options.onFileLoaded({ name, source, ...result });
+          return { name, source, group, buffer: result.buffer };
+        } catch (e) {
+          error = e;
+          if (AudioLoader.getErrorReason(e) !== 'decode') break;
+        }
+      }
+    } finally {
+      this.queue.finish(job);
+    }
+
+    progress.fail(file);
+    if (options.onFileError) options.onFileError({ name, source, error });
+    return { name, source, group, buffer: null, error };
+  }
+
   /** @private */
-  async _loadEntry(entry, index) {
-    if (typeof entry === 'object' && entry !== null && entry.name && entry.data) {
-      const buffer = await this._promisifyLoad(entry.data);
-      return { name: entry.name, buffer };
+  _resolveEntry(entry, index) {
+    if (typeof entry === 'object' && entry !== null && entry.name) {
+      if (Array.isArray(entry.sources) && entry.sources.length > 0) {
+        return { name: entry.name, sources: entry.sources };
+      }
+      if (entry.data) return { name: entry.name, sources: [entry.data] };
     }
     const source = /** @type {string} */ (entry);
-    const buffer = await this._promisifyLoad(source);
-    const name = AudioLoader.isBase64(source) ? 'audio_' + index : this._extractNameFromUrl(source);
-    return { name, buffer };
+    let name;
+    if (typeof File !== 'undefined' && source instanceof File) name = source.name.replace(/\.[^.]+$/, '');
+    else if (AudioLoader.isBase64(source) || AudioLoader.isBinary(source)) name = 'audio_' + index;
+    else name = this._extractNameFromUrl(source);
+    return { name, sources: [source] };
+  }
+
+  /**
+   * Orders candidate sources for loading: those the platform reports it can
+   * play (AudioLoader.canPlayType) keep their order and go first; the rest
+   * are kept as a last resort, since canPlayType() is only a hint.
+   *
+   * @private
+   */
+  _orderSources(sources) {
+    if (sources.length === 1) return sources;
+    const supported = sources.filter((source) => AudioLoader.canPlayType(source) !== '');
+    const unsupported = sources.filter((source) => !supported.includes(source));
+    return supported.concat(unsupported);
+  }
+
+  /**
+   * Downloads and decodes a source as two separate steps so each can be timed
+   * and queued in its own LoadQueue phase. Falls back to a single load() call
+   * (decodeTime = null), queued as a download, when the registered URL loader
+   * can't hand out the encoded bytes.
+   *
+   * Times measure the work itself, not the time spent waiting in the queue.
+   *
+   * @private
+   */
+  async _loadSource(source, onProgress, job) {
+    if (!this.loader.canLoadArrayBuffer(source)) {
+      return this.queue.run(job, 'download', async (signal) => {
+        const startedAt = performance.now();
+        const buffer = await this._promisifyLoad(source, onProgress, { signal });
+        return { buffer, bytes: null, downloadTime: performance.now() - startedAt, decodeTime: null };
+      });
+    }
+
+    const { arrayBuffer, downloadTime } = await this.queue.run(job, 'download', async (signal) => {
+      const startedAt = performance.now();
+      const arrayBuffer = await new Promise((resolve, reject) => {
+        this.loader.loadArrayBuffer(source, resolve, onProgress, reject, { signal });
+      });
+      return { arrayBuffer, downloadTime: performance.now() - startedAt };
+    });
+    const bytes = arrayBuffer.byteLength;
+
+    return this.queue.run(job, 'decode', async (signal) => {
+      const startedAt = performance.now();
+      const buffer = await new Promise((resolve, reject) => {
+        this.loader.decode(arrayBuffer, resolve, reject);
+      });
+      // decodeAudioData() can't be interrupted; drop the result if the job was cancelled meanwhile
+      if (signal.aborted) throw signal.reason;
+      return { buffer, bytes, downloadTime, decodeTime: performance.now() - startedAt };
+    });
   }
 
   /** @private */
-  _promisifyLoad(source) {
+  _promisifyLoad(source, onProgress = null, options) {
     return new Promise((resolve, reject) => {
-      this.loader.load(source, resolve, null, reject);
+      this.loader.load(source, resolve, onProgress, reject, options);
     });
   }
 
+  /**
+   * Changes the load priority of a sound that is still waiting in the queue.
+   *
+   * @param {string} name - Entry name
+   * @param {number} priority - New priority (higher loads first)
+   * @returns {boolean} true if the entry is still loading
+   */
+  setPriority(name, priority) {
+    return this.queue.setPriority(name, priority);
+  }
+
+  /**
+   * Cancels loading of a sound: it's dropped from the queue, and its request
+   * is aborted if it already started (with loaders that accept a signal, such
+   * as XhrLoader and FetchLoader). The entry fails with reason 'aborted'.
+   *
+   * @param {string} name - Entry name
+   * @returns {boolean} true if the entry was still loading
+   */
+  cancel(name) {
+    return this.queue.cancel(name);
+  }
+
+  /**
+   * Creates the aggregate progress state for one loadAll() call.
+   *
+   * Each file tracks its own loaded/total bytes; totals stay unknown
+   * (0) for URL files until their loader reports a computable length.
+   *
+   * @private
+   */
+  _createProgress(filesTotal, onProgress) {
+    const files = [];
+    let filesLoaded = 0;
+    let filesFailed = 0;
+
+    const emit = () => {
+      if (!onProgress) return;
+      let loaded = 0;
+      let total = 0;
+      let lengthComputable = true;
+      for (const file of files) {
+        loaded += file.loaded;
+        total += file.total;
+        if (!file.done && file.total === 0) lengthComputable = false;
+      }
+      onProgress({ loaded, total, lengthComputable, filesLoaded, filesFailed, filesTotal });
+    };
+
+    return {
+      add(total) {
+        const file = { loaded: 0, total, done: false };
+        files.push(file);
+        return file;
+      },
+      reset(file, total) {
+        file.loaded = 0;
+        file.total = total;
+        emit();
+      },
+      update(file, event) {
+        file.loaded = event.loaded;
+        if (event.lengthComputable) file.total = event.total;
+        emit();
+      },
+      complete(file, bytes) {
+        if (bytes !== null) file.total = bytes;
+        file.loaded = file.total = Math.max(file.loaded, file.total);
+        file.done = true;
+        filesLoaded++;
+        emit();
+      },
+      fail(file) {
+        file.done = true;
+        filesFailed++;
+        emit();
+      },
+    };
+  }
+
   /** @private */
   _extractNameFromUrl(url) {
     try {
@@ -164,8 +784,8 @@ export class AudioManager {
   /**
    * Checks if an audio file with the specified name is loaded.
    *
-   * @param {string} name - Audio file name (without extension)
-   * @returns {boolean} true if buffer with this name exists, otherwise false
+   * @param {string} name - Audio file name (without extension) or sprite region ('sprite:region')
+   * @returns {boolean} true if a buffer or stream with this name exists, otherwise false
    *
    * @example
    * if (manager.has('music')) {
@@ -173,7 +793,7 @@ export class AudioManager {
    * }
    */
   has(name) {
-    return !!this.buffers[name];
+    return !!this.buffers[name] || !!this.streams[name] || (!!this.regions[name] && !!this.buffers[this.regions[name].sprite]);
   }
 
   /**
@@ -189,7 +809,21 @@ export class AudioManager {
    * - distanceModel: attenuation calculation model ('linear', 'inverse', 'exponential')
    * - position: initial sound position in 3D space
    *
-   * @param {string} name - Name of loaded audio file (without extension)
+   * Defaults stored for the name (by loadBank() or setConfig()) are applied
+   * first; values in config override them.
+   *
+   * The returned item holds a reference on the buffer, which protects it
+   * from eviction and unload() until item.dispose() (or release(item)) is
+   * called. Call dispose() once the item is no longer needed.
+   *
+   * Names registered with registerStream() return a StreamingAudio instead
+   * (never spatial, holds no buffer reference).
+   *
+   * Names registered with register() but not loaded yet return an item
+   * without a buffer and start loading; see register() for how play() on
+   * such an item behaves.
+   *
+   * @param {string} name - Name of loaded audio file (without extension) or sprite region ('sprite:region')
    * @param {Object} [config={}] - Audio source configuration
    * @param {boolean} [config.loop] - Whether to loop the sound
    * @param {number} [config.volume] - Volume (0.0 - 1.0)
@@ -197,9 +831,18 @@ export class AudioManager {
    * @param {number} [config.refDistance] - Reference distance for SpatialAudio
    * @param {number} [config.rolloffFactor] - Attenuation coefficient for SpatialAudio
    * @param {string} [config.distanceModel] - Attenuation model for SpatialAudio ('linear' | 'inverse' | 'exponential')
+   * @param {number} [config.maxDistance] - Maximum distance for SpatialAudio
+   * @param {number} [config.coneInnerAngle] - Inner cone angle for SpatialAudio
+   * @param {number} [config.coneOuterAngle] - Outer cone angle for SpatialAudio
+   * @param {number} [config.coneOuterGain] - Gain outside the outer cone for SpatialAudio
    * @param {Object} [config.position] - Initial position {x, y, z} for SpatialAudio
-   * @param {boolean} [spatial=false] - Create SpatialAudio instead of AudioItem
-   * @returns {AudioItem|SpatialAudio|null} Audio source instance or null if file not found
+   * @param {Object} [config.orientation] - Initial orientation {x, y, z} for SpatialAudio
+   * @param {string} [config.bus] - Mixer bus to route the item to (needs a mixer, see the constructor)
+   * @param {Object<string, number|Object>} [config.sends] - Send level (or setSend() options with a level)
+   *   per mixer bus, see AudioMixer.setSends()
+   * @param {boolean} [spatial] - Create SpatialAudio instead of AudioItem. Defaults to the
+   *   stored config's `spatial` flag, or false
+   * @returns {AudioItem|SpatialAudio|StreamingAudio|null} Audio source instance or null if file not found
    *
    * @example
    * // Global audio
@@ -215,12 +858,29 @@ export class AudioManager {
    * }, true);
    * spatial.play();
    */
-  get(name, config = {}, spatial = false) {
-    const buffer = this.buffers[name];
-    if (!buffer) return null;
+  get(name, config = {}, spatial) {
+    if (!this.buffers[name] && this.streams[name]) {
+      return this._createStream(name, config);
+    }
+
+    const resolved = this.resolve(name);
+    if (!resolved && !this.isRegistered(name)) return null;
+    const defaults = this.configs[name];
+    if (defaults) {
+      config = { ...defaults, ...config };
+      spatial = spatial ?? defaults.spatial;
+    }
+    spatial = spatial ?? false;
+    // Fails on an unknown bus before anything is created
+    this._checkBuses(config);
     const audio = spatial ? new SpatialAudio(this.listener) : new AudioItem(this.listener);
-    audio.setBuffer(buffer);
-    if (config.loop !== undefined) audio.loop = config.loop;
+    LeakDetector.label(audio, name);
+    if (this.mixer) {
+      this.mixer.assign(audio, config.bus);
+      if (config.sends) this.mixer.setSends(audio, config.sends);
+    }
+    if (resolved) this._applyBuffer(audio, resolved, config);
+    else this._applyBufferWhenLoaded(audio, name, config);
     if (config.volume !== undefined) audio.volume = config.volume;
     if (config.playbackRate !== undefined) audio.playbackRate = config.playbackRate;
     if (spatial) {
@@ -229,8 +889,320 @@ export class AudioManager {
       if (config.refDistance !== undefined) spatialAudio.refDistance = config.refDistance;
       if (config.rolloffFactor !== undefined) spatialAudio.rolloffFactor = config.rolloffFactor;
       if (config.distanceModel !== undefined) spatialAudio.distanceModel = config.distanceModel;
+      if (config.maxDistance !== undefined) spatialAudio.maxDistance = config.maxDistance;
+      if (config.coneInnerAngle !== undefined || config.coneOuterAngle !== undefined || config.coneOuterGain !== undefined) {
+        spatialAudio.setDirectionalCone(config.coneInnerAngle ?? 360, config.coneOuterAngle ?? 360, config.coneOuterGain ?? 0);
+      }
       if (config.position) spatialAudio.setPosition(config.position);
+      if (config.orientation) spatialAudio.setOrientation(config.orientation);
     }
     return audio;
   }
-}
\ No newline at end of file
+
+  /**
+   * Returns the node items routed to a mixer bus connect to.
+   *
+   * @param {string} [bus] - Bus name. Defaults to the master bus, or to the
+   *   listener input when the manager has no mixer
+   * @returns {AudioNode}
+   * @throws {Error} If a bus is given but the manager has no mixer, or the bus doesn't exist
+   */
+  getDestination(bus) {
+    if (this.mixer) return this.mixer.getInput(bus);
+    if (bus !== undefined) {
+      throw new Error(`Cannot route to mixer bus '${bus}': the AudioManager has no mixer (pass { mixer } to its constructor)`);
+    }
+    return this.listener.getInput();
+  }
+
+  /**
+   * Throws if the bus or a send of a config doesn't exist.
+   *
+   * @private
+   */
+  _checkBuses(config) {
+    this.getDestination(config.bus);
+    for (const bus of Object.keys(config.sends ?? {})) this.getDestination(bus);
+  }
+
+  /** @private */
+  _applyBuffer(audio, { bufferName, buffer, region }, config) {
+    audio.setBuffer(buffer);
+    this.retain(bufferName, audio);
+    if (region) audio.setRegion(region.start, region.end, config.loop ?? region.loop);
+    else if (config.loop !== undefined) audio.loop = config.loop;
+  }
+
+  /**
+   * Gives a lazily loaded item its buffer once it arrives, and honours a
+   * play() requested meanwhile if it isn't older than staleAfter.
+   *
+   * @private
+   */
+  _applyBufferWhenLoaded(audio, name, config) {
+    this.ensureLoaded(name).then(() => {
+      const resolved = this.resolve(name);
+      if (!resolved || audio.disposed) return;
+      const pending = audio.takePendingPlay();
+      this._applyBuffer(audio, resolved, config);
+      const now = audio.context.currentTime;
+      if (pending !== null && !audio.isPlaying && now - pending.at <= this.getStaleAfter(name)) {
+        const delay = Math.max(0, pending.at - now);
+        audio.play(pending.fade ? { delay, ...pending.fade } : delay);
+      }
+    }, (e) => {
+      console.warn(`Unable to load audio '${name}':`, e);
+    });
+  }
+
+  /**
+   * Creates a StreamingAudio for a registered stream. Spatial settings are
+   * ignored: streams play through the listener without a panner.
+   *
+   * @private
+   */
+  _createStream(name, config) {
+    config = { ...this.configs[name], ...config };
+    this._checkBuses(config);
+    const audio = new StreamingAudio(this.listener, this.streams[name]);
+    LeakDetector.label(audio, name);
+    if (this.mixer) {
+      this.mixer.assign(audio, config.bus);
+      if (config.sends) this.mixer.setSends(audio, config.sends);
+    }
+    if (config.loop !== undefined) audio.loop = config.loop;
+    if (config.volume !== undefined) audio.volume = config.volume;
+    if (config.playbackRate !== undefined) audio.playbackRate = config.playbackRate;
+    return audio;
+  }
+
+  /**
+   * Returns the buffer stored under a name and marks it as recently used.
+   *
+   * Use this instead of reading `buffers` directly when creating your own
+   * nodes, so LRU eviction sees the use. Pair with retain() to protect the
+   * buffer while it plays.
+   *
+   * @param {string} name - Audio name or sprite region (returns the sprite's buffer)
+   * @returns {AudioBuffer|null} The buffer, or null if not loaded
+   */
+  getBuffer(name) {
+    return this.resolve(name)?.buffer ?? null;
+  }
+
+  /**
+   * Looks up what a sound name refers to and marks its buffer as recently used.
+   *
+   * For plain sounds, region is null. For sprite regions ('sprite:region'),
+   * bufferName is the sprite's name and region the part to play; apply it
+   * with AudioItem.setRegion().
+   *
+   * @param {string} name - Audio name or sprite region
+   * @returns {{ bufferName: string, buffer: AudioBuffer, region: { start: number, end: number, loop: boolean } | null } | null}
+   *   null if nothing is loaded under this name
+   */
+  resolve(name) {
+    let bufferName = name;
+    let region = null;
+    if (!this.buffers[name] && this.regions[name]) {
+      region = this.regions[name];
+      bufferName = region.sprite;
+    }
+    const buffer = this.buffers[bufferName];
+    if (!buffer) return null;
+    this._touch(bufferName);
+    return { bufferName, buffer, region };
+  }
+
+  /**
+   * Records that an AudioItem uses the buffer stored under a name.
+   *
+   * Referenced buffers are never evicted and unload() refuses to drop them
+   * unless forced. get() retains automatically; OneShotAudio retains its
+   * voices for as long as they play. Disposing the item releases it.
+   *
+   * @param {string} name - Audio name
+   * @param {AudioItem} item - Item using the buffer
+   */
+  retain(name, item) {
+    const previous = this._itemNames.get(item);
+    if (previous === name) return;
+    if (previous !== undefined) this.release(item);
+    else item.once('dispose', () => this.release(item));
+
+    let refs = this._refs.get(name);
+    if (!refs) {
+      refs = new Set();
+      this._refs.set(name, refs);
+    }
+    refs.add(item);
+    this._itemNames.set(item, name);
+    this._touch(name);
+  }
+
+  /**
+   * Drops an AudioItem's reference on its buffer.
+   *
+   * Called by the item's dispose(); call it yourself only to keep using an
+   * item without protecting its buffer. The buffer becomes eligible for
+   * eviction once no items reference it.
+   *
+   * @param {AudioItem} item - Item previously returned by get() or passed to retain()
+   */
+  release(item) {
+    const name = this._itemNames.get(item);
+    if (name === undefined) return;
+    this._itemNames.delete(item);
+    const refs = this._refs.get(name);
+    if (refs) {
+      refs.delete(item);
+      if (refs.size === 0) this._refs.delete(name);
+    }
+  }
+
+  /**
+   * Returns how many AudioItems currently reference a buffer.
+   *
+   * @param {string} name - Audio name
+   * @returns {number}
+   */
+  getRefCount(name) {
+    return this._refs.get(name)?.size ?? 0;
+  }
+
+  /**
+   * Removes a buffer from the manager so its memory can be reclaimed.
+   *
+   * Items still playing it keep working (they hold the AudioBuffer
+   * themselves); the manager just stops holding it. Defaults stored with
+   * setConfig()/loadBank() are kept, so a later reload picks them up again.
+   *
+   * @param {string} name - Audio name
+   * @param {Object} [options={}]
+   * @param {boolean} [options.force=false] - Unload even if AudioItems still reference the buffer
+   * @returns {boolean} true if the buffer was removed; false if it wasn't loaded or is still referenced
+   */
+  unload(name, { force = false } = {}) {
+    if (!this.buffers[name]) return false;
+    if (!force && this.getRefCount(name) > 0) {
+      console.warn(`AudioManager: '${name}' is still used by ${this.getRefCount(name)} item(s); pass { force: true } to unload it anyway.`);
+      return false;
+    }
+    delete this.buffers[name];
+    delete this.sources[name];
+    this.placeholders.delete(name);
+    this._lastUsed.delete(name);
+    for (const [group, names] of this.groups) {
+      names.delete(name);
+      if (names.size === 0) this.groups.delete(group);
+    }
+    return true;
+  }
+
+  /**
+   * Unloads every buffer of a group (see the `group` option of loadAll()).
+   *
+   * @param {string} group - Group name
+   * @param {Object} [options={}] - Same options as unload()
+   * @returns {string[]} Names that were unloaded
+   */
+  unloadGroup(group, options = {}) {
+    const names = this.groups.get(group);
+    if (!names) return [];
+    return [...names].filter((name) => this.unload(name, options));
+  }
+
+  /**
+   * Changes the memory budget and evicts buffers if it's now exceeded.
+   *
+   * @param {number} bytes - Maximum decoded PCM bytes (Infinity for no limit)
+   */
+  setMemoryBudget(bytes) {
+    this.memoryBudget = bytes;
+    this._enforceBudget([]);
+  }
+
+  /**
+   * Reports the decoded memory held by the manager.
+   *
+   * Sizes are computed as channels × length × 4 bytes (32-bit float PCM).
+   * A buffer stored under several names (e.g. the shared silence
+   * placeholder) is counted once in totalBytes.
+   *
+   * @returns {{ totalBytes: number, budget: number, buffers: Object<string, { bytes: number, refs: number, lastUsed: number }> }}
+   */
+  getMemoryStats() {
+    const buffers = {};
+    const counted = new Set();
+    let totalBytes = 0;
+    for (const [name, buffer] of Object.entries(this.buffers)) {
+      const bytes = AudioManager.getBufferBytes(buffer);
+      buffers[name] = { bytes, refs: this.getRefCount(name), lastUsed: this._lastUsed.get(name) ?? 0 };
+      if (!counted.has(buffer)) {
+        counted.add(buffer);
+        totalBytes += bytes;
+      }
+    }
+    return { totalBytes, budget: this.memoryBudget, buffers };
+  }
+
+  /**
+   * Returns the decoded size of an AudioBuffer in bytes.
+   *
+   * @param {AudioBuffer} buffer
+   * @returns {number} numberOfChannels × length × 4
+   */
+  static getBufferBytes(buffer) {
+    return buffer.numberOfChannels * buffer.length * 4;
+  }
+
+  /** @private Marks a name as used now, moving it to the end of the LRU order */
+  _touch(name) {
+    this._lastUsed.delete(name);
+    this._lastUsed.set(name, ++this._clock);
+  }
+
+  /** @private */
+  _addToGroup(name, group) {
+    let names = this.groups.get(group);
+    if (!names) {
+      names = new Set();
+      this.groups.set(group, names);
+    }
+    names.add(name);
+  }
+
+  /**
+   * Evicts least-recently-used, unreferenced buffers until the total fits
+   * the budget. Names in `keep` (typically what was just loaded) are spared.
+   *
+   * @private
+   */
+  _enforceBudget(keep) {
+    if (this.memoryBudget === Infinity) return;
+
+    let { totalBytes } = this.getMemoryStats();
+    if (totalBytes <= this.memoryBudget) return;
+
+    // Names stored under a shared buffer: its bytes are freed with the last one
+    const sharing = new Map();
+    for (const buffer of Object.values(this.buffers)) sharing.set(buffer, (sharing.get(buffer) ?? 0) + 1);
+    const kept = new Set(keep);
+    // Never used (e.g. placeholders) first, then least recently used
+    const order = Object.keys(this.buffers).filter((name) => !this._lastUsed.has(name));
+    for (const name of this._lastUsed.keys()) order.push(name);
+
+    for (const name of order) {
+      if (totalBytes <= this.memoryBudget) break;
+      const buffer = this.buffers[name];
+      if (!buffer || kept.has(name) || this.getRefCount(name) > 0) continue;
+      this.unload(name);
+      sharing.set(buffer, sharing.get(buffer) - 1);
+      if (sharing.get(buffer) === 0) totalBytes -= AudioManager.getBufferBytes(buffer);
+    }
+
+    if (totalBytes > this.memoryBudget) {
+      console.warn(`AudioManager: ${totalBytes} bytes of audio in use exceed the memory budget of ${this.memoryBudget} bytes.`);
+    }
+  }
+}
@@ -0,0 +1,907 @@
+import { MixerBus } from './MixerBus.js';
+
+/** Item events after which a routed item may have started or stopped playing */
+const VOICE_EVENTS = ['play', 'pause', 'stop', 'ended', 'dispose'];
+
+/**
+ * Returns localStorage, or null where it's missing or access to it is denied
+ * (reading it throws a SecurityError with storage disabled or in sandboxed frames).
+ *
+ * @returns {Storage|null}
+ */
+function getDefaultStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Moves an AudioParam from wherever it is now to a value over some time.
+ *
+ * @param {AudioParam} param - Parameter to move
+ * @param {number} value - Target value
+ * @param {number} seconds - Transition length (0 = immediately)
+ * @param {number} now - Current context time
+ * @param {boolean} [exponential=false] - Ramp exponentially (frequencies) instead of linearly
+ */
+function rampParam(param, value, seconds, now, exponential = false) {
+  if (typeof param.cancelAndHoldAtTime === 'function') {
+    param.cancelAndHoldAtTime(now);
+  } else {
+    // Firefox: the value read back is the current one, including a ramp in progress
+    const current = param.value;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(current, now);
+  }
+  if (seconds <= 0) param.setValueAtTime(value, now);
+  else if (exponential) param.exponentialRampToValueAtTime(value, now + seconds);
+  else param.linearRampToValueAtTime(value, now + seconds);
+}
+
+/**
+ * AudioMixer - tree of named buses (music, sfx, voice, ui...) with volume,
+ * mute and solo, between the sounds and the listener.
+ *
+ * The mixer always has a 'master' bus feeding the listener input; other buses
+ * feed master or another bus. Pass the mixer to the AudioManager and route
+ * sounds with get(name, { bus }), OneShotAudio track policies ({ bus }) or
+ * MusicPlayer's `bus` option. With a mixer attached, sounds without a bus
+ * play on master.
+ *
+ * Why it's needed:
+ * Without buses every item connects straight to the listener, so the only
+ * volume control besides each item's own is setMasterVolume(). A settings
+ * menu needs separate music, effects, voice and interface sliders that apply
+ * to every sound of the group, including ones not created yet.
+ *
+ * Why it's structured this way:
+ * - Buses are plain gain chains (see MixerBus); the mixer only keeps them by
+ *   name and works out which ones solo silences
+ * - A sound is routed once with AudioItem.setDestination() and follows its bus
+ *   from then on. The mixer only listens to the item's events to know which
+ *   buses have something playing
+ * - Ducking rules lower a target bus while a trigger bus is busy, judged either
+ *   by its playing items ('voices', exact and free) or by the level of its
+ *   output ('envelope', an AnalyserNode polled by a timer, which also catches
+ *   sounds routed by hand and silence within a playing item; a lower release
+ *   threshold and a hold time keep it from flapping). The deepest
+ *   active duck on a bus wins; attack and release are time constants of
+ *   setTargetAtTime scaled so the change is ~95% done in the given time
+ * - Snapshots are named mix states (bus levels, send levels per return bus,
+ *   master filter cutoff) pushed on a stack. The stack is flattened by priority, then push order: for each
+ *   value, the topmost snapshot that sets it wins, and values no snapshot sets
+ *   go back to neutral. Snapshot levels multiply the user's bus volumes rather
+ *   than replacing them, so a "paused" mix still respects the settings menu.
+ *   The cutoff drives a lowpass filter installed with listener.setFilter()
+ *   the first time a snapshot needs it
+ * - Sends feed an item to further buses, usually "returns" carrying a shared
+ *   effect (createBus(name, { effect })), so a hundred sounds share one
+ *   reverb. A send is two gains from the item to the bus input: its level
+ *   (automatable) and, for spatial items, a distance factor set by a timer
+ *   that follows the listener. Pre-fader sends tap the item before its volume
+ *   and panner (AudioItem.addTap()), post-fader ones after both
+ * - toJSON()/fromJSON() hold volume and mute per bus (not solo, which is a
+ *   mixing aid); save()/load() keep that in localStorage (or any storage with
+ *   getItem/setItem) so user settings survive reloads
+ *
+ * @example
+ * const mixer = new AudioMixer(listener, {
+ *   buses: { music: {}, sfx: {}, footsteps: { parent: 'sfx' }, voice: {}, ui: {} },
+ * });
+ * mixer.load(); // restore the player's settings
+ * const manager = new AudioManager(listener, { mixer });
+ *
+ * manager.get('explosion', { bus: 'sfx' }).play();
+ * OneShotAudio.init({ audioManager: manager, tracks: { step: { bus: 'footsteps' } } });
+ *
+ * // Lower the music while anyone speaks
+ * mixer.addDuckingRule({ trigger: 'voice', target: 'music', amount: -9, attack: 0.15, release: 0.6 });
+ *
+ * // Mix states
+ * mixer.defineSnapshot('underwater', { buses: { sfx: 0.5 }, cutoff: 800, fade: 1 });
+ * mixer.defineSnapshot('paused', { priority: 10, buses: { sfx: 0, music: 0.5 } });
+ * mixer.defineSnapshot('cave', { sends: { reverb: 2 } });   // more of every send to the reverb return
+ * mixer.pushSnapshot('underwater');
+ * mixer.pushSnapshot('paused');   // underwater filter, paused levels
+ * mixer.popSnapshot('paused');    // back to underwater
+ *
+ * // Shared reverb, fed more by distant sounds
+ * mixer.createBus('reverb', { effect: new ReverbEffect({ duration: 2.5, mix: 1 }) });
+ * mixer.setSend(manager.get('gunshot', {}, true), 'reverb', 0.5, { distance: { near: 2, far: 40 } });
+ *
+ * // Settings menu
+ * mixer.getBus('music').volume = 0.4;
+ * mixer.save();
+ */
+export class AudioMixer {
+  /**
+   * Creates a new AudioMixer.
+   *
+   * @param {import('./AudioListenerController.js').AudioListenerController} listener - Listener the master bus feeds
+   * @param {Object} [options={}]
+   * @param {Object<string, { parent?: string, volume?: number, muted?: boolean, effect?: Object }>} [options.buses={}] - Buses
+   *   to create, in order (a parent must come before its children; the default parent is 'master')
+   * @param {string} [options.storageKey='giallarhorn.mixer'] - Key save() and load() use
+   * @param {{ getItem: Function, setItem: Function }} [options.storage] - Storage for save() and load()
+   *   (defaults to localStorage)
+   * @param {Object[]} [options.ducking=[]] - Ducking rules to add (see addDuckingRule())
+   * @param {number} [options.envelopeInterval=0.02] - How often (seconds) 'envelope' ducking rules measure
+   * @param {Object<string, Object>} [options.snapshots={}] - Snapshots to define (see defineSnapshot())
+   * @param {number} [options.distanceInterval=0.1] - How often (seconds) distance-following sends are updated
+   */
+  constructor(listener, options = {}) {
+    this.listener = listener;
+    this.context = listener.context;
+    this.storageKey = options.storageKey ?? 'giallarhorn.mixer';
+    this.storage = options.storage ?? getDefaultStorage();
+    this.envelopeInterval = options.envelopeInterval ?? 0.02;
+    this.distanceInterval = options.distanceInterval ?? 0.1;
+
+    /** @type {Map<string, MixerBus>} */
+    this.buses = new Map();
+    /** The bus every other bus ends up in */
+    this.master = new MixerBus(this, 'master', null);
+    this.buses.set('master', this.master);
+    /** @type {Object[]} Ducking rules, see addDuckingRule() */
+    this.duckingRules = [];
+    /** @type {Object<string, { priority: number, fade: number, buses: Object<string, number>, sends: Object<string, number>, cutoff: number | undefined }>} */
+    this.snapshots = {};
+    /** @type {BiquadFilterNode|null} Master lowpass driven by snapshot cutoffs, once one is used */
+    this.filter = null;
+
+    /** @private item -> bus it's routed to */
+    this._itemBuses = new WeakMap();
+    this._envelopeTimer = null;
+    /** @private item -> Map of bus -> send */
+    this._itemSends = new WeakMap();
+    /** @private Sends whose level follows distance */
+    this._distanceSends = new Set();
+    this._distanceTimer = null;
+    /** @private Pushed snapshots: { name, order } */
+    this._stack = [];
+    this._pushCount = 0;
+    /** @private Cutoff without snapshots, and the one the filter is heading to */
+    this._baseCutoff = null;
+    this._cutoff = null;
+
+    for (const [name, config] of Object.entries(options.buses ?? {})) {
+      this.createBus(name, config);
+    }
+    for (const rule of options.ducking ?? []) this.addDuckingRule(rule);
+    for (const [name, snapshot] of Object.entries(options.snapshots ?? {})) {
+      this.defineSnapshot(name, snapshot);
+    }
+  }
+
+  /**
+   * Creates a bus.
+   *
+   * @param {string} name - Bus name
+   * @param {Object} [options={}]
+   * @param {string} [options.parent='master'] - Bus this one feeds
+   * @param {number} [options.volume=1] - Initial volume
+   * @param {boolean} [options.muted=false] - Initial mute state
+   * @param {AudioNode|{ input: AudioNode, output: AudioNode }} [options.effect] - Insert effect (see MixerBus.setFilter()),
+   *   e.g. a fully wet reverb for a return bus that items feed with setSend()
+   * @returns {MixerBus} The new bus
+   * @throws {Error} If the name is taken or the parent doesn't exist
+   */
+  createBus(name, options = {}) {
+    if (this.buses.has(name)) throw new Error(`Mixer bus '${name}' already exists`);
+    const parent = this._requireBus(options.parent ?? 'master');
+    const bus = new MixerBus(this, name, parent, options);
+    if (options.effect) bus.setFilter(options.effect);
+    this.buses.set(name, bus);
+    this._updateGates();
+    return bus;
+  }
+
+  /**
+   * Returns a bus by name.
+   *
+   * @param {string} name - Bus name
+   * @returns {MixerBus|null} The bus, or null if there's none with that name
+   */
+  getBus(name) {
+    return this.buses.get(name) ?? null;
+  }
+
+  /**
+   * Returns the node sounds routed to a bus connect to.
+   *
+   * @param {string} [name='master'] - Bus name
+   * @returns {GainNode}
+   * @throws {Error} If the bus doesn't exist
+   */
+  getInput(name = 'master') {
+    return this._requireBus(name).input;
+  }
+
+  /**
+   * Routes an item to a bus.
+   *
+   * @param {import('./AudioItem.js').AudioItem} item - Item to route
+   * @param {string} [name='master'] - Bus name
+   * @returns {AudioMixer} this for method chaining
+   * @throws {Error} If the bus doesn't exist
+   */
+  assign(item, name = 'master') {
+    const bus = this._requireBus(name);
+    const previous = this._itemBuses.get(item);
+    item.setDestination(bus.input);
+    this._itemBuses.set(item, bus);
+
+    if (previous === undefined) {
+      const update = () => this._updateVoice(item);
+      for (const type of VOICE_EVENTS) item.on(type, update);
+    } else if (previous.activeItems.delete(item)) {
+      this._updateVoiceRules(previous);
+    }
+    this._updateVoice(item);
+    return this;
+  }
+
+  /**
+   * Feeds an item to a bus besides the one it plays on, e.g. a return bus
+   * with a shared reverb. Calling it again for the same item and bus updates
+   * the send.
+   *
+   * The send level can also be automated directly through the returned send's
+   * `levelGain.gain`.
+   *
+   * @param {import('./AudioItem.js').AudioItem} item - Item to send
+   * @param {string} name - Bus to send to
+   * @param {number} [level=1] - Send level (gain)
+   * @param {Object} [options={}]
+   * @param {boolean} [options.pre] - Tap the item before its volume and panner instead of after them
+   *   (defaults to false, or the send's current setting)
+   * @param {number} [options.seconds=0] - Ramp length for the level change
+   * @param {Object|boolean|null} [options.distance] - Scale the level with the distance to the listener
+   *   (SpatialAudio only): `true` for the defaults, `null` to stop
+   * @param {number} [options.distance.near=1] - Distance at and below which the level is scaled by nearLevel
+   * @param {number} [options.distance.far=50] - Distance at and beyond which the full level is sent
+   * @param {number} [options.distance.nearLevel=0.25] - Level factor up close
+   * @returns {{ item: Object, bus: MixerBus, level: number, pre: boolean, distance: Object|null,
+   *   levelGain: GainNode, distanceGain: GainNode }} The send
+   * @throws {Error} If the bus doesn't exist, or distance is requested for an item without a panner
+   */
+  setSend(item, name, level = 1, options = {}) {
+    const bus = this._requireBus(name);
+    if (options.distance && !item.panner) {
+      throw new Error(`Distance-following sends need a SpatialAudio, got ${item.constructor.name}`);
+    }
+    let sends = this._itemSends.get(item);
+    if (sends === undefined) {
+      sends = new Map();
+      this._itemSends.set(item, sends);
+      item.once('dispose', () => {
+        for (const send of sends.values()) this._disconnectSend(send);
+        sends.clear();
+      });
+    }
+
+    let send = sends.get(bus);
+    if (send === undefined) {
+      send = {
+        item,
+        bus,
+        level,
+        pre: options.pre ?? false,
+        distance: null,
+        levelGain: this.context.createGain(),
+        distanceGain: this.context.createGain(),
+      };
+      send.levelGain.gain.value = level;
+      send.levelGain.connect(send.distanceGain);
+      send.distanceGain.connect(bus.sendGain);
+      this._tapSend(send);
+      sends.set(bus, send);
+    } else {
+      send.level = level;
+      rampParam(send.levelGain.gain, level, options.seconds ?? 0, this.context.currentTime);
+      if (options.pre !== undefined && options.pre !== send.pre) {
+        this._untapSend(send);
+        send.pre = options.pre;
+        this._tapSend(send);
+      }
+    }
+
+    if (options.distance !== undefined) {
+      send.distance = options.distance ? {
+        near: options.distance.near ?? 1,
+        far: options.distance.far ?? 50,
+        nearLevel: options.distance.nearLevel ?? 0.25,
+      } : null;
+      if (send.distance) {
+        this._distanceSends.add(send);
+        this._updateDistance(send, 0);
+      } else {
+        this._distanceSends.delete(send);
+        send.distanceGain.gain.setTargetAtTime(1, this.context.currentTime, 0.01);
+      }
+      this._updateDistanceTimer();
+    }
+    return send;
+  }
+
+  /**
+   * Sets several sends of an item at once, e.g. from a sound's config.
+   * `distance` settings are ignored for items without a panner, so one
+   * config can serve both spatial and plain items.
+   *
+   * @param {import('./AudioItem.js').AudioItem} item - Item to send
+   * @param {Object<string, number|{ level?: number, pre?: boolean, distance?: Object|boolean }>} sends - Level,
+   *   or setSend() options with a level, per bus
+   * @returns {AudioMixer} this for method chaining
+   * @throws {Error} If a bus doesn't exist
+   */
+  setSends(item, sends) {
+    for (const [name, send] of Object.entries(sends)) {
+      if (typeof send === 'number') {
+        this.setSend(item, name, send);
+      } else {
+        const { level = 1, ...options } = send;
+        if (!item.panner) delete options.distance;
+        this.setSend(item, name, level, options);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Returns an item's send to a bus.
+   *
+   * @param {import('./AudioItem.js').AudioItem} item - Item
+   * @param {string} name - Bus name
+   * @returns {Object|null} The send (see setSend()), or null if the item doesn't send there
+   */
+  getSend(item, name) {
+    const bus = this.buses.get(name);
+    return (bus && this._itemSends.get(item)?.get(bus)) ?? null;
+  }
+
+  /**
+   * Stops sending an item to a bus.
+   *
+   * @param {import('./AudioItem.js').AudioItem} item - Item
+   * @param {string} name - Bus name
+   * @returns {boolean} true if there was such a send
+   */
+  removeSend(item, name) {
+    const send = this.getSend(item, name);
+    if (send === null) return false;
+    this._itemSends.get(item).delete(send.bus);
+    this._disconnectSend(send);
+    return true;
+  }
+
+  /**
+   * Counts the items playing on a bus and the buses inside it.
+   *
+   * @param {string} [name='master'] - Bus name
+   * @returns {number}
+   * @throws {Error} If the bus doesn't exist
+   */
+  getActiveCount(name = 'master') {
+    const bus = this._requireBus(name);
+    let count = 0;
+    for (const other of this.buses.values()) {
+      if (other === bus || bus.isAncestorOf(other)) count += other.activeItems.size;
+    }
+    return count;
+  }
+
+  /**
+   * Adds a ducking rule: while the trigger bus is busy, the target bus is
+   * lowered by `amount` decibels.
+   *
+   * @param {Object} options
+   * @param {string} options.trigger - Bus whose activity ducks the target
+   * @param {string} options.target - Bus to duck
+   * @param {number} [options.amount=-9] - Gain change in dB while ducked
+   * @param {number} [options.attack=0.15] - Seconds to duck once the trigger gets busy
+   * @param {number} [options.release=0.6] - Seconds to come back once the trigger is quiet
+   * @param {'voices'|'envelope'} [options.mode='voices'] - 'voices': busy while an item routed to the
+   *   trigger bus (or a bus inside it) plays. 'envelope': busy while the trigger bus output is louder than threshold
+   * @param {number} [options.threshold=-40] - Level in dBFS (RMS) above which the trigger counts as busy, for 'envelope'
+   * @param {number} [options.releaseThreshold] - Level in dBFS the trigger must fall below to count as quiet again,
+   *   for 'envelope' (defaults to 6 dB under threshold)
+   * @param {number} [options.hold=0.25] - Seconds the trigger must stay under releaseThreshold before the
+   *   target comes back, for 'envelope'
+   * @returns {Object} The rule, for removeDuckingRule(). Its `active` field tells whether it's ducking
+   * @throws {Error} If a bus doesn't exist, the target contains the trigger, or the mode is unknown
+   */
+  addDuckingRule(options) {
+    const trigger = this._requireBus(options.trigger);
+    const target = this._requireBus(options.target);
+    if (target === trigger || target.isAncestorOf(trigger)) {
+      throw new Error(`Mixer bus '${target.name}' can't be ducked by '${trigger.name}', which plays through it`);
+    }
+    const mode = options.mode ?? 'voices';
+    if (mode !== 'voices' && mode !== 'envelope') {
+      throw new Error(`Unknown ducking mode '${mode}', expected 'voices' or 'envelope'`);
+    }
+
+    const rule = {
+      trigger,
+      target,
+      amount: options.amount ?? -9,
+      attack: options.attack ?? 0.15,
+      release: options.release ?? 0.6,
+      mode,
+      threshold: options.threshold ?? -40,
+      releaseThreshold: options.releaseThreshold ?? (options.threshold ?? -40) - 6,
+      hold: options.hold ?? 0.25,
+      active: false,
+      analyser: null,
+    };
+    this.duckingRules.push(rule);
+
+    if (mode === 'envelope') {
+      rule.analyser = this.context.createAnalyser();
+      rule.analyser.fftSize = 1024;
+      rule._samples = new Float32Array(rule.analyser.fftSize);
+      // Context time the trigger fell under releaseThreshold, while ducking
+      rule._quietSince = null;
+      trigger.output.connect(rule.analyser);
+      this._updateEnvelopeTimer();
+    } else {
+      this._setRuleActive(rule, this.getActiveCount(trigger.name) > 0);
+    }
+    return rule;
+  }
+
+  /**
+   * Removes a ducking rule. The target bus comes back with the rule's release.
+   *
+   * @param {Object} rule - Rule returned by addDuckingRule()
+   * @returns {boolean} true if the rule was found
+   */
+  removeDuckingRule(rule) {
+    const index = this.duckingRules.indexOf(rule);
+    if (index === -1) return false;
+    this._setRuleActive(rule, false);
+    this.duckingRules.splice(index, 1);
+    if (rule.analyser) {
+      rule.trigger.output.disconnect(rule.analyser);
+      rule.analyser = null;
+      this._updateEnvelopeTimer();
+    }
+    return true;
+  }
+
+  /**
+   * Defines (or redefines) a named mix state.
+   *
+   * @param {string} name - Snapshot name
+   * @param {Object} [snapshot={}]
+   * @param {number} [snapshot.priority=0] - Higher priorities override lower ones in the stack
+   * @param {number} [snapshot.fade=0.5] - Default transition length in seconds, pushing or popping it
+   * @param {Object<string, number>} [snapshot.buses={}] - Level per bus (master included), multiplying its volume
+   * @param {Object<string, number>} [snapshot.sends={}] - Level per bus of every send to it (e.g. a reverb
+   *   return), multiplying the sends' own levels
+   * @param {number} [snapshot.cutoff] - Master lowpass cutoff frequency in Hz
+   * @returns {AudioMixer} this for method chaining
+   * @throws {Error} If a bus doesn't exist or the cutoff isn't a positive frequency
+   */
+  defineSnapshot(name, snapshot = {}) {
+    const buses = { ...snapshot.buses };
+    const sends = { ...snapshot.sends };
+    for (const bus of [...Object.keys(buses), ...Object.keys(sends)]) this._requireBus(bus);
+    if (snapshot.cutoff !== undefined && !(snapshot.cutoff > 0)) {
+      throw new Error(`Invalid cutoff ${snapshot.cutoff} in snapshot '${name}', expected a frequency in Hz`);
+    }
+    this.snapshots[name] = {
+      priority: snapshot.priority ?? 0,
+      fade: snapshot.fade ?? 0.5,
+      buses,
+      sends,
+      cutoff: snapshot.cutoff,
+    };
+    if (this._stack.some((entry) => entry.name === name)) this._applySnapshots(this.snapshots[name].fade);
+    return this;
+  }
+
+  /**
+   * Names of the pushed snapshots, from the bottom of the stack to the top
+   * (by priority, then push order).
+   *
+   * @returns {string[]}
+   */
+  get activeSnapshots() {
+    return this._stack
+      .slice()
+      .sort((a, b) => this.snapshots[a.name].priority - this.snapshots[b.name].priority || a.order - b.order)
+      .map((entry) => entry.name);
+  }
+
+  /**
+   * Pushes a snapshot on the stack and moves the mix to the new state.
+   * Pushing a snapshot that is already active does nothing.
+   *
+   * @param {string} name - Snapshot name
+   * @param {Object} [options={}]
+   * @param {number} [options.fade] - Transition length in seconds (defaults to the snapshot's)
+   * @returns {AudioMixer} this for method chaining
+   * @throws {Error} If the snapshot isn't defined
+   */
+  pushSnapshot(name, options = {}) {
+    const snapshot = this.snapshots[name];
+    if (!snapshot) throw new Error(`Unknown mixer snapshot '${name}'`);
+    if (this._stack.some((entry) => entry.name === name)) return this;
+    this._stack.push({ name, order: this._pushCount++ });
+    this._applySnapshots(options.fade ?? snapshot.fade);
+    return this;
+  }
+
+  /**
+   * Removes a snapshot from the stack and moves the mix to the state left.
+   *
+   * @param {string} [name] - Snapshot name. Defaults to the last one pushed
+   * @param {Object} [options={}]
+   * @param {number} [options.fade] - Transition length in seconds (defaults to the snapshot's)
+   * @returns {boolean} true if the snapshot was active
+   */
+  popSnapshot(name, options = {}) {
+    const index = name === undefined
+      ? this._stack.length - 1
+      : this._stack.findIndex((entry) => entry.name === name);
+    if (index === -1) return false;
+    const [entry] = this._stack.splice(index, 1);
+    this._applySnapshots(options.fade ?? this.snapshots[entry.name].fade);
+    return true;
+  }
+
+  /**
+   * Pops every snapshot, back to the neutral mix.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.fade=0.5] - Transition length in seconds
+   * @returns {AudioMixer} this for method chaining
+   */
+  clearSnapshots(options = {}) {
+    this._stack.length = 0;
+    this._applySnapshots(options.fade ?? 0.5);
+    return this;
+  }
+
+  /**
+   * Flattens the snapshot stack into the values it sets.
+   *
+   * @returns {{ buses: Object<string, number>, sends: Object<string, number>, cutoff: number | undefined }} Level
+   *   and send level per bus set by a snapshot, and the cutoff if one sets it
+   */
+  getSnapshotState() {
+    const state = { buses: {}, sends: {}, cutoff: undefined };
+    for (const name of this.activeSnapshots) {
+      const snapshot = this.snapshots[name];
+      Object.assign(state.buses, snapshot.buses);
+      Object.assign(state.sends, snapshot.sends);
+      if (snapshot.cutoff !== undefined) state.cutoff = snapshot.cutoff;
+    }
+    return state;
+  }
+
+  /**
+   * Unsolos every bus.
+   *
+   * @returns {AudioMixer} this for method chaining
+   */
+  clearSolo() {
+    for (const bus of this.buses.values()) bus._soloed = false;
+    this._updateGates();
+    return this;
+  }
+
+  /**
+   * Returns the volume and mute state of every bus, e.g. to persist settings.
+   *
+   * @returns {Object<string, { volume: number, muted: boolean }>}
+   */
+  toJSON() {
+    const state = {};
+    for (const [name, bus] of this.buses) state[name] = { volume: bus.volume, muted: bus.muted };
+    return state;
+  }
+
+  /**
+   * Applies a state from toJSON(). Buses missing from the state keep their
+   * settings; entries for buses that don't exist are ignored.
+   *
+   * @param {Object<string, { volume?: number, muted?: boolean }>} state - State to apply
+   * @returns {AudioMixer} this for method chaining
+   */
+  fromJSON(state) {
+    for (const [name, { volume, muted }] of Object.entries(state ?? {})) {
+      const bus = this.buses.get(name);
+      if (!bus) continue;
+      if (typeof volume === 'number') bus.setVolume(volume);
+      if (typeof muted === 'boolean') bus._muted = muted;
+    }
+    this._updateGates();
+    return this;
+  }
+
+  /**
+   * Stores the bus settings (see toJSON()) in the storage.
+   *
+   * @returns {AudioMixer} this for method chaining
+   * @throws {Error} If no storage is available
+   */
+  save() {
+    if (!this.storage) throw new Error('AudioMixer.save(): no storage available, pass { storage } to the mixer');
+    this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+    return this;
+  }
+
+  /**
+   * Restores the bus settings stored by save().
+   *
+   * @returns {boolean} true if settings were found and applied
+   */
+  load() {
+    try {
+      const saved = this.storage?.getItem(this.storageKey);
+      if (!saved) return false;
+      this.fromJSON(JSON.parse(saved));
+      return true;
+    } catch (e) {
+      console.warn('Unable to restore mixer settings:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Stops the mixer: clears its timers, removes the ducking rules and
+   * disconnects every bus. Items routed to the buses go silent; the
+   * listener's filter, if a snapshot installed one, is left in place.
+   * The mixer can't be used afterwards.
+   */
+  dispose() {
+    for (const rule of this.duckingRules) {
+      if (rule.analyser) rule.trigger.output.disconnect(rule.analyser);
+    }
+    this.duckingRules = [];
+    this._updateEnvelopeTimer();
+    this._distanceSends.clear();
+    this._updateDistanceTimer();
+    for (const bus of this.buses.values()) bus.dispose();
+  }
+
+  /**
+   * Moves an item in or out of its bus's active items after one of its events.
+   *
+   * @private
+   */
+  _updateVoice(item) {
+    const bus = this._itemBuses.get(item);
+    // Items rerouted by hand (e.g. into a MusicPlayer) no longer count for the bus
+    const playing = item.isPlaying && !item.disposed && item.destination === bus.input;
+    if (playing === bus.activeItems.has(item)) return;
+    if (playing) bus.activeItems.add(item);
+    else bus.activeItems.delete(item);
+    this._updateVoiceRules(bus);
+  }
+
+  /**
+   * Re-evaluates the 'voices' rules triggered by a bus or a bus it plays through.
+   *
+   * @private
+   */
+  _updateVoiceRules(bus) {
+    for (const rule of this.duckingRules) {
+      if (rule.mode !== 'voices') continue;
+      if (rule.trigger !== bus && !rule.trigger.isAncestorOf(bus)) continue;
+      this._setRuleActive(rule, this.getActiveCount(rule.trigger.name) > 0);
+    }
+  }
+
+  /**
+   * Measures the trigger level of every 'envelope' rule. A rule turns on
+   * above its threshold, and off only once the level has stayed under its
+   * release threshold for its hold time, so speech with short gaps or a
+   * level hovering around the threshold doesn't pump the target.
+   *
+   * @private
+   */
+  _measureEnvelopes() {
+    const now = this.context.currentTime;
+    for (const rule of this.duckingRules) {
+      if (rule.mode !== 'envelope') continue;
+      rule.analyser.getFloatTimeDomainData(rule._samples);
+      let sum = 0;
+      for (const sample of rule._samples) sum += sample * sample;
+      const level = 10 * Math.log10(sum / rule._samples.length || 1e-12);
+      if (level > rule.threshold || (rule.active && level >= rule.releaseThreshold)) {
+        rule._quietSince = null;
+        this._setRuleActive(rule, true);
+      } else if (rule.active) {
+        if (rule._quietSince === null) rule._quietSince = now;
+        if (now - rule._quietSince >= rule.hold) {
+          rule._quietSince = null;
+          this._setRuleActive(rule, false);
+        }
+      }
+    }
+  }
+
+  /** @private Runs the envelope timer while there are 'envelope' rules */
+  _updateEnvelopeTimer() {
+    const needed = this.duckingRules.some((rule) => rule.mode === 'envelope');
+    if (needed && this._envelopeTimer === null) {
+      this._envelopeTimer = setInterval(() => this._measureEnvelopes(), this.envelopeInterval * 1000);
+    } else if (!needed && this._envelopeTimer !== null) {
+      clearInterval(this._envelopeTimer);
+      this._envelopeTimer = null;
+    }
+  }
+
+  /** @private Connects a send to its tap point on the item */
+  _tapSend(send) {
+    if (send.pre) send.item.addTap(send.levelGain);
+    else send.item.gain.connect(send.levelGain);
+  }
+
+  /** @private */
+  _untapSend(send) {
+    if (send.pre) send.item.removeTap(send.levelGain);
+    else send.item.gain.disconnect(send.levelGain);
+  }
+
+  /** @private */
+  _disconnectSend(send) {
+    if (!send.item.disposed) this._untapSend(send);
+    send.levelGain.disconnect();
+    send.distanceGain.disconnect();
+    if (this._distanceSends.delete(send)) this._updateDistanceTimer();
+  }
+
+  /**
+   * Sets the distance factor of a send from the item and listener positions.
+   *
+   * @private
+   * @param {Object} send - Send with a `distance` setting
+   * @param {number} smoothing - Time constant of the change (0 = the usual 10 ms)
+   */
+  _updateDistance(send, smoothing) {
+    const panner = send.item.panner;
+    const listener = this.context.listener;
+    // Positions can only be read back through the AudioParam API
+    if (!panner.positionX || !listener.positionX) return;
+    const distance = Math.hypot(
+      panner.positionX.value - listener.positionX.value,
+      panner.positionY.value - listener.positionY.value,
+      panner.positionZ.value - listener.positionZ.value,
+    );
+    const { near, far, nearLevel } = send.distance;
+    const t = far > near ? Math.min(1, Math.max(0, (distance - near) / (far - near))) : 1;
+    const factor = nearLevel + (1 - nearLevel) * t;
+    send.distanceGain.gain.setTargetAtTime(factor, this.context.currentTime, smoothing || 0.01);
+  }
+
+  /** @private Updates the distance factor of every playing item's sends */
+  _updateDistances() {
+    for (const send of this._distanceSends) {
+      if (send.item.isPlaying) this._updateDistance(send, this.distanceInterval / 3);
+    }
+  }
+
+  /** @private Runs the distance timer while there are distance-following sends */
+  _updateDistanceTimer() {
+    const needed = this._distanceSends.size > 0;
+    if (needed && this._distanceTimer === null) {
+      this._distanceTimer = setInterval(() => this._updateDistances(), this.distanceInterval * 1000);
+    } else if (!needed && this._distanceTimer !== null) {
+      clearInterval(this._distanceTimer);
+      this._distanceTimer = null;
+    }
+  }
+
+  /**
+   * Turns a rule on or off and moves its target bus to the deepest duck of
+   * its active rules.
+   *
+   * @private
+   */
+  _setRuleActive(rule, active) {
+    if (rule.active === active) return;
+    rule.active = active;
+
+    let amount = 0;
+    let attack = rule.attack;
+    for (const other of this.duckingRules) {
+      if (other.target === rule.target && other.active && other.amount < amount) {
+        amount = other.amount;
+        attack = other.attack;
+      }
+    }
+    const gain = Math.pow(10, amount / 20);
+    const time = active ? attack : rule.release;
+    // setTargetAtTime covers ~95% of the way in three time constants
+    rule.target.duckGain.gain.setTargetAtTime(gain, this.context.currentTime, Math.max(time, 0.001) / 3);
+  }
+
+  /**
+   * Moves every bus level, send level and the cutoff to the flattened snapshot stack.
+   *
+   * @private
+   * @param {number} fade - Transition length in seconds
+   */
+  _applySnapshots(fade) {
+    const state = this.getSnapshotState();
+    const now = this.context.currentTime;
+    for (const bus of this.buses.values()) {
+      const level = state.buses[bus.name] ?? 1;
+      if (level !== bus._snapshotLevel) {
+        bus._snapshotLevel = level;
+        rampParam(bus.snapshotGain.gain, level, fade, now);
+      }
+      const sendLevel = state.sends[bus.name] ?? 1;
+      if (sendLevel !== bus._sendLevel) {
+        bus._sendLevel = sendLevel;
+        rampParam(bus.sendGain.gain, sendLevel, fade, now);
+      }
+    }
+
+    if (state.cutoff === undefined && this.filter === null) return;
+    const filter = this._getFilter();
+    const cutoff = state.cutoff ?? this._baseCutoff;
+    if (cutoff === this._cutoff) return;
+    this._cutoff = cutoff;
+    rampParam(filter.frequency, cutoff, fade, now, true);
+  }
+
+  /**
+   * Returns the master lowpass, taking over the listener's filter if it's a
+   * BiquadFilterNode or installing a new one.
+   *
+   * @private
+   * @throws {Error} If the listener has another kind of filter
+   */
+  _getFilter() {
+    if (this.filter !== null) return this.filter;
+    const current = this.listener.getFilter();
+    if (current !== null && !current.frequency) {
+      throw new Error('Snapshot cutoffs need a BiquadFilterNode on the listener, but it has another filter');
+    }
+    if (current !== null) {
+      this.filter = current;
+    } else {
+      this.filter = this.context.createBiquadFilter();
+      this.filter.type = 'lowpass';
+      this.filter.frequency.value = this.context.sampleRate / 2;
+      this.listener.setFilter(this.filter);
+    }
+    this._baseCutoff = this.filter.frequency.value;
+    this._cutoff = this._baseCutoff;
+    return this.filter;
+  }
+
+  /** @private */
+  _requireBus(name) {
+    const bus = this.buses.get(name);
+    if (!bus) throw new Error(`Unknown mixer bus '${name}'`);
+    return bus;
+  }
+
+  /**
+   * Applies mute and solo to the gates of every bus. While a bus is soloed,
+   * a bus is heard if it is soloed, fed by a soloed bus, or feeds one; its own
+   * sounds only in the first two cases.
+   *
+   * @private
+   */
+  _updateGates() {
+    const soloed = [...this.buses.values()].filter((bus) => bus._soloed);
+    const now = this.context.currentTime;
+    for (const bus of this.buses.values()) {
+      const inSolo = soloed.length === 0 || soloed.some((s) => s === bus || s.isAncestorOf(bus));
+      const feedsSolo = soloed.some((s) => bus.isAncestorOf(s));
+      const audible = !bus._muted && (inSolo || feedsSolo);
+      bus.muteGain.gain.setTargetAtTime(audible ? 1 : 0, now, 0.01);
+      bus.input.gain.setTargetAtTime(inSolo ? 1 : 0, now, 0.01);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * AudioSprite - parser for audio sprite maps (many named sounds in one file).
+ *
+ * An audio sprite is a single audio file containing many short sounds one
+ * after another, plus a map of named regions. Loading one file instead of
+ * hundreds of tiny ones is much faster on mobile and keeps request counts low.
+ *
+ * Why it's needed:
+ * Sprite maps come from different tools in different shapes. This class
+ * normalizes them into one form - `{ start, end, loop }` in seconds - which
+ * AudioManager uses to play a region through AudioItem's offset/duration and
+ * loopStart/loopEnd support.
+ *
+ * Supported formats:
+ * - howler.js: `{ src: [...], sprite: { click: [offsetMs, durationMs, loop?] } }`
+ * - audiosprite: `{ resources: [...], spritemap: { click: { start, end, loop } } }` (seconds)
+ * - A plain map of regions, either `{ click: { start, end, loop } }` (seconds)
+ *   or `{ click: [offsetMs, durationMs, loop?] }`
+ *
+ * @example
+ * const { regions, sources } = AudioSprite.parse(await fetch('ui.json').then((r) => r.json()));
+ * // regions = { click: { start: 0, end: 0.25, loop: false }, ... }
+ * // sources = ['ui.ogg', 'ui.m4a', 'ui.mp3'] (if the map lists them)
+ */
+export class AudioSprite {
+  /**
+   * Parses a sprite map in any of the supported formats.
+   *
+   * @param {Object} json - Sprite map
+   * @returns {{ regions: Object<string, { start: number, end: number, loop: boolean }>, sources: string[] | undefined }}
+   * @throws {Error} If the map or one of its regions can't be understood
+   */
+  static parse(json) {
+    if (typeof json !== 'object' || json === null) {
+      throw new Error('Invalid audio sprite: expected an object');
+    }
+
+    const map = json.spritemap ?? json.sprite ?? json;
+    const regions = {};
+
+    for (const [name, value] of Object.entries(map)) {
+      if (map === json && (name === 'src' || name === 'urls' || name === 'resources')) continue;
+      regions[name] = AudioSprite.parseRegion(value, name);
+    }
+
+    const sources = json.resources ?? json.src ?? json.urls;
+    return {
+      regions,
+      sources: sources === undefined ? undefined : [].concat(sources),
+    };
+  }
+
+  /**
+   * Normalizes a single region.
+   *
+   * Arrays follow howler.js: [offset, duration, loop] in milliseconds.
+   * Objects follow audiosprite: { start, end, loop } in seconds.
+   *
+   * @param {Array|Object} value - Region definition
+   * @param {string} [name='region'] - Region name, used in error messages
+   * @returns {{ start: number, end: number, loop: boolean }}
+   * @throws {Error} If the region is malformed
+   */
+  static parseRegion(value, name = 'region') {
+    let region;
+    if (Array.isArray(value)) {
+      const [offset, duration, loop] = value;
+      region = { start: offset / 1000, end: (offset + duration) / 1000, loop: !!loop };
+    } else if (typeof value === 'object' && value !== null) {
+      region = { start: value.start, end: value.end, loop: !!value.loop };
+    } else {
+      throw new Error(`Invalid audio sprite region '${name}': expected [offset, duration, loop] or { start, end, loop }`);
+    }
+
+    if (!Number.isFinite(region.start) || !Number.isFinite(region.end) || region.start < 0 || region.end <= region.start) {
+      throw new Error(`Invalid audio sprite region '${name}': start and end must be numbers with 0 <= start < end`);
+    }
+    return region;
+  }
+}
@@ -0,0 +1,215 @@
+import { AudioContextProvider } from './AudioContextProvider.js';
+import { EffectUnit } from './effects/EffectUnit.js';
+
+/**
+ * EffectRack - ordered chain of effect units that can be changed while audio
+ * flows through it.
+ *
+ * The rack has an `input` and an `output` node, so it goes wherever a filter
+ * does: on an item (AudioItem.setFilter()), a mixer bus (MixerBus.setFilter())
+ * or the master output (listener.setFilter()). Attach it once, then insert,
+ * remove and bypass units on the rack.
+ *
+ * Why it's needed:
+ * Swapping the filters of a playing item or bus rewires the graph in one step,
+ * which clicks whenever the new chain doesn't output exactly what the old one
+ * did. An effect that is turned on or off mid-sound has to fade instead.
+ *
+ * Why it's structured this way:
+ * - A bypassed unit passes its input through unchanged, so wiring it in or out
+ *   is inaudible. insert() wires the unit in bypassed, then crossfades it in;
+ *   remove() crossfades it to bypass first and unwires it when the fade is over
+ * - `units` is updated at once (for toJSON() and further edits); a unit being
+ *   removed stays wired until its fade ends, which is why remove() returns a
+ *   promise
+ * - toJSON() is { units: [...] } with each unit's own toJSON(), restored by
+ *   EffectRack.fromJSON() through EffectUnit.fromJSON()
+ *
+ * @example
+ * const rack = new EffectRack();
+ * manager.get('voice').setFilter(rack);
+ *
+ * const radio = rack.insert(new DistortionEffect({ amount: 30, tone: 3000 }));
+ * rack.insert(new EqEffect(), 0);   // before the distortion
+ * radio.bypassed = true;            // crossfades out
+ * await rack.remove(radio);
+ *
+ * localStorage.setItem('voiceFx', JSON.stringify(rack));
+ * const restored = EffectRack.fromJSON(JSON.parse(localStorage.getItem('voiceFx')));
+ */
+export class EffectRack {
+  /**
+   * Creates a rack from the output of toJSON().
+   *
+   * @param {{ units: Object[] }} json - Serialized rack
+   * @param {Object} [options={}]
+   * @param {BaseAudioContext} [options.context] - Context to create the rack in
+   * @param {Function} [options.getBuffer] - Resolves buffer names (e.g. reverb impulse responses) to AudioBuffers
+   * @returns {EffectRack}
+   * @throws {Error} If a unit type isn't registered
+   */
+  static fromJSON(json, options = {}) {
+    const units = (json.units ?? []).map((unit) => EffectUnit.fromJSON(unit, options));
+    return new EffectRack({ context: options.context, units });
+  }
+
+  /**
+   * Creates a new EffectRack.
+   *
+   * @param {Object} [options={}]
+   * @param {EffectUnit[]} [options.units=[]] - Initial units, in order
+   * @param {number} [options.fade=0.03] - Default insert/remove crossfade length in seconds
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.context = options.context ?? AudioContextProvider.context;
+    this.fade = options.fade ?? 0.03;
+    this.input = this.context.createGain();
+    this.output = this.context.createGain();
+    this.input.connect(this.output);
+
+    /** @type {EffectUnit[]} Units in signal order */
+    this.units = [];
+    /** @private Units currently connected, including those fading out in remove() */
+    this._wired = [];
+
+    for (const unit of options.units ?? []) this.insert(unit, this.units.length, { fade: 0 });
+  }
+
+  /**
+   * Inserts a unit. The unit keeps its bypass state: an active unit fades in.
+   *
+   * @param {EffectUnit} unit - Unit to insert
+   * @param {number} [index] - Position in the chain (defaults to the end)
+   * @param {Object} [options={}]
+   * @param {number} [options.fade] - Crossfade length in seconds (defaults to the rack's)
+   * @returns {EffectUnit} The unit
+   * @throws {Error} If the unit is already in the rack
+   */
+  insert(unit, index = this.units.length, options = {}) {
+    if (this._wired.includes(unit)) throw new Error(`${unit.constructor.name} is already in the rack`);
+    const fade = options.fade ?? this.fade;
+    index = Math.max(0, Math.min(index, this.units.length));
+    const wiredIndex = index === 0 ? 0 : this._wired.indexOf(this.units[index - 1]) + 1;
+
+    const active = !unit.bypassed;
+    unit.setBypassed(true, 0);
+    const [from, to] = this._getLink(wiredIndex);
+    from.disconnect(to);
+    from.connect(unit.input);
+    unit.output.connect(to);
+    this._wired.splice(wiredIndex, 0, unit);
+    this.units.splice(index, 0, unit);
+    if (active) unit.setBypassed(false, fade);
+    return unit;
+  }
+
+  /**
+   * Removes a unit: it fades to bypass, then is disconnected. Its bypass state
+   * is restored afterwards, so it can be inserted again as it was.
+   *
+   * @param {EffectUnit|number} unit - Unit or its index
+   * @param {Object} [options={}]
+   * @param {number} [options.fade] - Crossfade length in seconds (defaults to the rack's)
+   * @returns {Promise<EffectUnit>} Resolves with the unit once it's disconnected
+   * @throws {Error} If the unit isn't in the rack
+   */
+  remove(unit, options = {}) {
+    const target = typeof unit === 'number' ? this.units[unit] : unit;
+    const index = this.units.indexOf(target);
+    if (index === -1) throw new Error('Effect unit is not in the rack');
+    const fade = options.fade ?? this.fade;
+    this.units.splice(index, 1);
+
+    const wasBypassed = target.bypassed;
+    const unwire = () => {
+      const wiredIndex = this._wired.indexOf(target);
+      if (wiredIndex === -1) return target; // the rack was disposed meanwhile
+      const [from] = this._getLink(wiredIndex);
+      const [, to] = this._getLink(wiredIndex + 1);
+      from.disconnect(target.input);
+      target.output.disconnect(to);
+      from.connect(to);
+      this._wired.splice(wiredIndex, 1);
+      target.setBypassed(wasBypassed, 0);
+      return target;
+    };
+
+    if (fade <= 0) return Promise.resolve(unwire());
+    target.setBypassed(true, fade);
+    // A little extra so the ramp has surely ended on the audio thread
+    return new Promise((resolve) => setTimeout(() => resolve(unwire()), (fade + 0.02) * 1000));
+  }
+
+  /**
+   * Moves a unit to another position, fading it out and back in.
+   *
+   * @param {EffectUnit|number} unit - Unit or its current index
+   * @param {number} index - New position
+   * @returns {Promise<EffectUnit>} Resolves once the unit is in place
+   */
+  async move(unit, index) {
+    const target = await this.remove(unit);
+    return this.insert(target, index);
+  }
+
+  /**
+   * Bypasses or re-enables a unit with a crossfade.
+   *
+   * @param {EffectUnit|number} unit - Unit or its index
+   * @param {boolean} [value=true] - true to bypass
+   * @returns {EffectRack} this for method chaining
+   * @throws {Error} If the unit isn't in the rack
+   */
+  bypass(unit, value = true) {
+    const target = typeof unit === 'number' ? this.units[unit] : unit;
+    if (!this.units.includes(target)) throw new Error('Effect unit is not in the rack');
+    target.setBypassed(value, this.fade);
+    return this;
+  }
+
+  /**
+   * Removes every unit.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.fade] - Crossfade length in seconds (defaults to the rack's)
+   * @returns {Promise<EffectUnit[]>} Resolves with the removed units
+   */
+  clear(options = {}) {
+    return Promise.all(this.units.slice().map((unit) => this.remove(unit, options)));
+  }
+
+  /**
+   * Serializes the rack: its units in order.
+   *
+   * @returns {{ units: Object[] }}
+   */
+  toJSON() {
+    return { units: this.units.map((unit) => unit.toJSON()) };
+  }
+
+  /**
+   * Disposes every unit and disconnects the rack.
+   */
+  dispose() {
+    for (const unit of this._wired) unit.dispose();
+    this._wired = [];
+    this.units = [];
+    this.input.disconnect();
+    this.output.disconnect();
+  }
+
+  /**
+   * Nodes on either side of a position in the wired chain.
+   *
+   * @private
+   * @param {number} index - Position in `_wired`
+   * @returns {[AudioNode, AudioNode]} Output of the unit before (or the rack input)
+   *   and input of the unit at `index` (or the rack output)
+   */
+  _getLink(index) {
+    const from = index === 0 ? this.input : this._wired[index - 1].output;
+    const to = index === this._wired.length ? this.output : this._wired[index].input;
+    return [from, to];
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * EventEmitter - minimal on/off/once/emit event dispatcher.
+ *
+ * Base class for objects that report state changes to callers, such as
+ * AudioItem's playback lifecycle ('play', 'pause', 'stop', 'loop', 'ended').
+ *
+ * Why it's structured this way:
+ * - A plain Map of listener Sets rather than EventTarget: works the same in
+ *   every environment (including workers and Node test runners), listeners
+ *   receive a plain event object, and on()/off() chain
+ * - Listeners are called with `this` set to the emitter, in the order they
+ *   were added; a listener removed during dispatch still runs for that event
+ *
+ * @example
+ * audio.on('ended', ({ target }) => console.log('finished', target));
+ * audio.once('play', () => console.log('first play'));
+ */
+export class EventEmitter {
+  constructor() {
+    /** @private type -> Set of listeners */
+    this._listeners = new Map();
+  }
+
+  /**
+   * Adds a listener for an event type.
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {this} this for method chaining
+   */
+  on(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with on() or once().
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener to remove
+   * @returns {this} this for method chaining
+   */
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return this;
+    for (const entry of listeners) {
+      if (entry === listener || entry.listener === listener) listeners.delete(entry);
+    }
+    if (listeners.size === 0) this._listeners.delete(type);
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after its first call.
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {this} this for method chaining
+   */
+  once(type, listener) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener.call(this, event);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Calls every listener of an event type.
+   *
+   * @param {string} type - Event type
+   * @param {Object} [event={}] - Event object passed to the listeners
+   * @returns {boolean} true if the event had listeners
+   */
+  emit(type, event = {}) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return false;
+    for (const listener of [...listeners]) listener.call(this, event);
+    return true;
+  }
+
+  /**
+   * Returns the number of listeners of an event type.
+   *
+   * @param {string} type - Event type
+   * @returns {number}
+   */
+  listenerCount(type) {
+    return this._listeners.get(type)?.size ?? 0;
+  }
+
+  /**
+   * Removes every listener of an event type, or of all types.
+   *
+   * @param {string} [type] - Event type. Omit to remove all listeners
+   * @returns {this} this for method chaining
+   */
+  removeAllListeners(type) {
+    if (type === undefined) this._listeners.clear();
+    else this._listeners.delete(type);
+    return this;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * LeakDetector - optional debug registry of audio items that haven't been
+ * disposed.
+ *
+ * While enabled, every AudioItem (and subclass) created is counted until its
+ * dispose() is called. When the count reaches the threshold a warning lists
+ * which sounds the live items play; the next warning comes at twice the
+ * count, and so on.
+ *
+ * Why it's needed:
+ * An item that is dropped without dispose() keeps its gain (and panner)
+ * connected to the listener forever. Nothing fails: memory and audio thread
+ * load just grow, until a long session stutters. Counting live items makes
+ * such leaks visible during development.
+ *
+ * Why it's structured this way:
+ * - Static methods, like AudioContextProvider: items register themselves from
+ *   the AudioItem constructor, so there's nothing to pass around
+ * - Off by default and a no-op then; while enabled it holds strong references
+ *   to live items, so it's meant for debugging only
+ * - AudioManager labels the items it creates with the sound name, so reports
+ *   point at the code that leaks rather than at "AudioItem"
+ *
+ * @example
+ * LeakDetector.enable({ threshold: 100, captureStacks: true });
+ * // ... play for a while ...
+ * console.table(LeakDetector.report().byLabel);
+ */
+export class LeakDetector {
+  /** Whether items are being tracked */
+  static enabled = false;
+  /** Live item count that triggers the first warning */
+  static threshold = 200;
+  /** Record a stack trace for every tracked item */
+  static captureStacks = false;
+  /** @type {Map<Object, { label: string, createdAt: number, stack: string | undefined }>} */
+  static items = new Map();
+  /** @private */
+  static _nextWarning = 200;
+
+  /**
+   * Starts tracking items created from now on.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.threshold=200] - Live item count that triggers the first warning
+   * @param {boolean} [options.captureStacks=false] - Record where each item was created (slow)
+   */
+  static enable(options = {}) {
+    this.enabled = true;
+    this.threshold = options.threshold ?? 200;
+    this.captureStacks = options.captureStacks ?? false;
+    this._nextWarning = this.threshold;
+  }
+
+  /**
+   * Stops tracking and forgets all tracked items.
+   */
+  static disable() {
+    this.enabled = false;
+    this.items.clear();
+  }
+
+  /**
+   * Number of tracked items not disposed yet.
+   *
+   * @returns {number}
+   */
+  static get count() {
+    return this.items.size;
+  }
+
+  /**
+   * Starts tracking an item. Called by the AudioItem constructor.
+   *
+   * @param {Object} item - Item to track
+   */
+  static track(item) {
+    if (!this.enabled) return;
+    this.items.set(item, {
+      label: item.constructor.name,
+      createdAt: Date.now(),
+      stack: this.captureStacks ? new Error().stack : undefined,
+    });
+
+    if (this.items.size >= this._nextWarning) {
+      const top = Object.entries(this.report().byLabel)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([label, count]) => `${label} (${count})`)
+        .join(', ');
+      console.warn(`LeakDetector: ${this.items.size} audio items are alive without dispose(). Most: ${top}`);
+      this._nextWarning *= 2;
+    }
+  }
+
+  /**
+   * Names a tracked item in reports, e.g. with the sound it plays.
+   *
+   * @param {Object} item - Tracked item
+   * @param {string} label - Label to report it under
+   */
+  static label(item, label) {
+    const entry = this.items.get(item);
+    if (entry) entry.label = label;
+  }
+
+  /**
+   * Stops tracking an item. Called by AudioItem.dispose().
+   *
+   * @param {Object} item - Item to forget
+   */
+  static untrack(item) {
+    this.items.delete(item);
+  }
+
+  /**
+   * Summarizes the live items.
+   *
+   * @returns {{ count: number, byLabel: Object<string, number>, oldest: Array<{ label: string, age: number, stack: string | undefined }> }}
+   *   Count per label, and the ten oldest items with their age in seconds
+   */
+  static report() {
+    const byLabel = {};
+    const now = Date.now();
+    const entries = [...this.items.values()];
+    for (const { label } of entries) byLabel[label] = (byLabel[label] ?? 0) + 1;
+    const oldest = entries
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, 10)
+      .map(({ label, createdAt, stack }) => ({ label, age: (now - createdAt) / 1000, stack }));
+    return { count: this.items.size, byLabel, oldest };
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * LoadQueue - limits how many downloads and decodes run at once, and runs
+ * the most important ones first.
+ *
+ * Work is grouped in jobs (one per loaded sound). A job goes through phases
+ * - 'download' then 'decode' - and each phase has its own pool of slots.
+ * When a slot frees up, the waiting task of the highest-priority job takes it;
+ * jobs of equal priority run in the order they were added.
+ *
+ * Why it's needed:
+ * Starting every request and every decodeAudioData() call at once saturates
+ * the network and the main thread. On low-end devices this freezes the page
+ * or crashes the tab, and critical sounds (UI clicks) finish no sooner than
+ * a level's ambience tracks.
+ *
+ * Why it's structured this way:
+ * - Separate download and decode limits: downloads wait on the network and can
+ *   overlap freely, decodes compete for the CPU and should be few
+ * - Jobs are addressed by key (the sound name), so callers can reprioritize or
+ *   cancel without holding on to job objects
+ * - Each job owns an AbortController; its signal is handed to every task so
+ *   cancelling a job also aborts its in-flight request
+ *
+ * @example
+ * const queue = new LoadQueue({ maxDownloads: 4, maxDecodes: 1 });
+ * const job = queue.add('click', 10);
+ * const bytes = await queue.run(job, 'download', (signal) => fetch(url, { signal }).then((r) => r.arrayBuffer()));
+ * const buffer = await queue.run(job, 'decode', () => context.decodeAudioData(bytes));
+ * queue.finish(job);
+ */
+export class LoadQueue {
+  /**
+   * Creates a new LoadQueue.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.maxDownloads=6] - Maximum parallel downloads
+   * @param {number} [options.maxDecodes=2] - Maximum parallel decodes
+   */
+  constructor(options = {}) {
+    this.maxDownloads = options.maxDownloads ?? 6;
+    this.maxDecodes = options.maxDecodes ?? 2;
+
+    /** @private key -> Set of jobs */
+    this._jobs = new Map();
+    /** @private phase -> { active, waiting } */
+    this._phases = {
+      download: { active: 0, waiting: [] },
+      decode: { active: 0, waiting: [] },
+    };
+    this._seq = 0;
+  }
+
+  /**
+   * Number of tasks waiting for a slot, over all phases.
+   *
+   * @returns {number}
+   */
+  get pending() {
+    return this._phases.download.waiting.length + this._phases.decode.waiting.length;
+  }
+
+  /**
+   * Number of tasks currently running, over all phases.
+   *
+   * @returns {number}
+   */
+  get active() {
+    return this._phases.download.active + this._phases.decode.active;
+  }
+
+  /**
+   * Creates a job. Call finish(job) once all its tasks are done.
+   *
+   * @param {string} key - Key used by setPriority() and cancel() (e.g. the sound name)
+   * @param {number} [priority=0] - Higher runs first
+   * @returns {{ key: string, priority: number, signal: AbortSignal }} The job
+   */
+  add(key, priority = 0) {
+    const controller = new AbortController();
+    const job = { key, priority, signal: controller.signal, _controller: controller, _seq: this._seq++ };
+    if (!this._jobs.has(key)) this._jobs.set(key, new Set());
+    this._jobs.get(key).add(job);
+    return job;
+  }
+
+  /**
+   * Runs a task of a job once a slot of the given phase is free.
+   *
+   * Rejects with the job's abort reason if the job is cancelled while the
+   * task is waiting. A running task is expected to watch the signal itself.
+   *
+   * @param {Object} job - Job returned by add()
+   * @param {'download' | 'decode'} phase - Slot pool to use
+   * @param {Function} task - Called with the job's AbortSignal; may return a Promise
+   * @returns {Promise<*>} Result of the task
+   */
+  run(job, phase, task) {
+    return new Promise((resolve, reject) => {
+      if (job.signal.aborted) {
+        reject(job.signal.reason);
+        return;
+      }
+      this._phases[phase].waiting.push({ job, task, resolve, reject });
+      this._pump(phase);
+    });
+  }
+
+  /**
+   * Forgets a job once it's done, so its key no longer matches it.
+   *
+   * @param {Object} job - Job returned by add()
+   */
+  finish(job) {
+    const jobs = this._jobs.get(job.key);
+    if (!jobs) return;
+    jobs.delete(job);
+    if (jobs.size === 0) this._jobs.delete(job.key);
+  }
+
+  /**
+   * Changes the priority of every unfinished job with this key. Tasks already
+   * running are not affected; waiting ones are picked in the new order.
+   *
+   * @param {string} key - Job key
+   * @param {number} priority - New priority (higher runs first)
+   * @returns {boolean} true if a job was found
+   */
+  setPriority(key, priority) {
+    const jobs = this._jobs.get(key);
+    if (!jobs) return false;
+    for (const job of jobs) job.priority = priority;
+    return true;
+  }
+
+  /**
+   * Cancels every unfinished job with this key: waiting tasks are rejected and
+   * running ones see their signal abort.
+   *
+   * @param {string} key - Job key
+   * @returns {boolean} true if a job was found
+   */
+  cancel(key) {
+    const jobs = this._jobs.get(key);
+    if (!jobs) return false;
+    for (const job of [...jobs]) this._abort(job);
+    return true;
+  }
+
+  /**
+   * Cancels every unfinished job.
+   */
+  cancelAll() {
+    for (const jobs of [...this._jobs.values()]) {
+      for (const job of [...jobs]) this._abort(job);
+    }
+  }
+
+  /** @private */
+  _abort(job) {
+    job._controller.abort(new DOMException(`Loading of '${job.key}' was cancelled`, 'AbortError'));
+    for (const phase of Object.values(this._phases)) {
+      phase.waiting = phase.waiting.filter((waiter) => {
+        if (waiter.job !== job) return true;
+        waiter.reject(job.signal.reason);
+        return false;
+      });
+    }
+    this.finish(job);
+  }
+
+  /**
+   * Starts waiting tasks while slots are free, highest priority first.
+   *
+   * @private
+   */
+  _pump(phaseName) {
+    const phase = this._phases[phaseName];
+    const limit = phaseName === 'download' ? this.maxDownloads : this.maxDecodes;
+
+    while (phase.active < limit && phase.waiting.length > 0) {
+      let next = 0;
+      for (let i = 1; i < phase.waiting.length; i++) {
+        const a = phase.waiting[i].job;
+        const b = phase.waiting[next].job;
+        if (a.priority > b.priority || (a.priority === b.priority && a._seq < b._seq)) next = i;
+      }
+      const [waiter] = phase.waiting.splice(next, 1);
+
+      phase.active++;
+      let result;
+      try {
+        result = Promise.resolve(waiter.task(waiter.job.signal));
+      } catch (e) {
+        result = Promise.reject(e);
+      }
+      result
+        .finally(() => {
+          phase.active--;
+          this._pump(phaseName);
+        })
+        .then(waiter.resolve, waiter.reject);
+    }
+  }
+}
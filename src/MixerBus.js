@@ -0,0 +1,230 @@
+/**
+ * MixerBus - one named channel of an AudioMixer: a group of sounds with its
+ * own volume, mute and solo, feeding its parent bus.
+ *
+ * Buses are created by AudioMixer.createBus(); sounds are routed to a bus
+ * with AudioManager.get(name, { bus }) or AudioMixer.assign().
+ *
+ * Why it's structured this way:
+ * - Audio chain: sounds -> input -> sum -> [filter] -> fader -> snapshotGain
+ *   -> duckGain -> muteGain -> parent's sum. Sends from items (see
+ *   AudioMixer.setSend()) reach the input through `sendGain`.
+ *   Child buses join at `sum`, so the input gain only gates the bus's own
+ *   sounds: soloing a child bus silences sounds played directly on its
+ *   parent, but not the child itself
+ * - Volume, snapshot level, ducking and mute are separate gains, so the fader
+ *   only ever holds the user's setting: snapshots, ducking and solo (computed
+ *   by the mixer) never touch it
+ * - Changes use setTargetAtTime, like AudioListenerController.setMasterVolume(),
+ *   so moving a settings slider doesn't click
+ *
+ * @example
+ * const sfx = mixer.createBus('sfx', { volume: 0.8 });
+ * sfx.volume = 0.5;
+ * sfx.muted = true;
+ * mixer.getBus('voice').soloed = true;
+ */
+export class MixerBus {
+  /**
+   * Creates a new MixerBus. Use AudioMixer.createBus() instead.
+   *
+   * @param {import('./AudioMixer.js').AudioMixer} mixer - Mixer the bus belongs to
+   * @param {string} name - Bus name
+   * @param {MixerBus|null} parent - Bus this one feeds, or null for the master bus
+   * @param {Object} [options={}]
+   * @param {number} [options.volume=1] - Initial volume
+   * @param {boolean} [options.muted=false] - Initial mute state
+   */
+  constructor(mixer, name, parent, options = {}) {
+    this.mixer = mixer;
+    this.context = mixer.context;
+    this.name = name;
+    this.parent = parent;
+
+    /** Node sounds routed to this bus connect to */
+    this.input = this.context.createGain();
+    /** Node the mixer's sends to this bus connect to; its level is set by snapshots */
+    this.sendGain = this.context.createGain();
+    /** Sum of the bus's own sounds and its child buses */
+    this.sum = this.context.createGain();
+    this.fader = this.context.createGain();
+    /** Level set by the mixer's active snapshots */
+    this.snapshotGain = this.context.createGain();
+    /** Lowered by the mixer's ducking rules that target this bus */
+    this.duckGain = this.context.createGain();
+    this.muteGain = this.context.createGain();
+    /** @type {AudioNode|{ input: AudioNode, output: AudioNode }|null} Insert effect, see setFilter() */
+    this.filter = null;
+    this.sendGain.connect(this.input);
+    this.input.connect(this.sum);
+    this.sum.connect(this.fader);
+    this.fader.connect(this.snapshotGain);
+    this.snapshotGain.connect(this.duckGain);
+    this.duckGain.connect(this.muteGain);
+    this.muteGain.connect(parent ? parent.sum : mixer.listener.getInput());
+
+    this._volume = options.volume ?? 1;
+    this._muted = options.muted ?? false;
+    this._soloed = false;
+    /** @private Levels the snapshot and send gains are heading to */
+    this._snapshotLevel = 1;
+    this._sendLevel = 1;
+    /** @type {Set<import('./AudioItem.js').AudioItem>} Items routed to this bus that are playing */
+    this.activeItems = new Set();
+    this.fader.gain.value = this._volume;
+    this.muteGain.gain.value = this._muted ? 0 : 1;
+  }
+
+  /**
+   * Output node of the bus (after volume and mute).
+   *
+   * @returns {GainNode}
+   */
+  get output() {
+    return this.muteGain;
+  }
+
+  /**
+   * Gets the bus volume.
+   *
+   * @returns {number} Volume (0.0 - 1.0)
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  /**
+   * Sets the bus volume smoothly.
+   *
+   * @param {number} value - Volume (0.0 - 1.0)
+   */
+  set volume(value) {
+    this.setVolume(value);
+  }
+
+  /**
+   * Sets the bus volume smoothly.
+   *
+   * @param {number} value - Volume (0.0 - 1.0)
+   * @returns {MixerBus} this for method chaining
+   */
+  setVolume(value) {
+    this._volume = value;
+    this.fader.gain.setTargetAtTime(value, this.context.currentTime, 0.01);
+    return this;
+  }
+
+  /**
+   * Whether the bus is muted.
+   *
+   * @returns {boolean}
+   */
+  get muted() {
+    return this._muted;
+  }
+
+  /**
+   * Mutes or unmutes the bus.
+   *
+   * @param {boolean} value - true to mute
+   */
+  set muted(value) {
+    this.setMuted(value);
+  }
+
+  /**
+   * Mutes or unmutes the bus. The volume is kept.
+   *
+   * @param {boolean} value - true to mute
+   * @returns {MixerBus} this for method chaining
+   */
+  setMuted(value) {
+    this._muted = !!value;
+    this.mixer._updateGates();
+    return this;
+  }
+
+  /**
+   * Whether the bus is soloed.
+   *
+   * @returns {boolean}
+   */
+  get soloed() {
+    return this._soloed;
+  }
+
+  /**
+   * Solos or unsolos the bus.
+   *
+   * @param {boolean} value - true to solo
+   */
+  set soloed(value) {
+    this.setSolo(value);
+  }
+
+  /**
+   * Solos or unsolos the bus. While any bus is soloed, only soloed buses,
+   * their child buses and the buses they feed (without their own sounds) are
+   * heard.
+   *
+   * @param {boolean} value - true to solo
+   * @returns {MixerBus} this for method chaining
+   */
+  setSolo(value) {
+    this._soloed = !!value;
+    this.mixer._updateGates();
+    return this;
+  }
+
+  /**
+   * Inserts a filter or effect on the bus, before its volume. Only one can be
+   * set; use an EffectRack to chain several and change them while playing.
+   *
+   * @param {AudioNode|{ input: AudioNode, output: AudioNode }|null} filter - AudioNode, EffectUnit
+   *   or EffectRack, or null to remove the current one
+   * @returns {MixerBus} this for method chaining
+   */
+  setFilter(filter) {
+    if (filter === this.filter) return this;
+    const previous = this.filter;
+    if (previous !== null) {
+      this.sum.disconnect(previous.input ?? previous);
+      (previous.output ?? previous).disconnect(this.fader);
+    } else {
+      this.sum.disconnect(this.fader);
+    }
+
+    this.filter = filter;
+    if (filter !== null) {
+      this.sum.connect(filter.input ?? filter);
+      (filter.output ?? filter).connect(this.fader);
+    } else {
+      this.sum.connect(this.fader);
+    }
+    return this;
+  }
+
+  /**
+   * Disconnects the bus's nodes and its filter. Called by AudioMixer.dispose().
+   */
+  dispose() {
+    for (const node of [this.sendGain, this.input, this.sum, this.fader, this.snapshotGain, this.duckGain, this.muteGain]) {
+      node.disconnect();
+    }
+    if (this.filter !== null) (this.filter.output ?? this.filter).disconnect();
+    this.activeItems.clear();
+  }
+
+  /**
+   * Checks whether this bus feeds another one, directly or through other buses.
+   *
+   * @param {MixerBus} bus - Possible descendant
+   * @returns {boolean}
+   */
+  isAncestorOf(bus) {
+    for (let current = bus.parent; current !== null; current = current.parent) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+}
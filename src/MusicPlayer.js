@@ -0,0 +1,568 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * MusicPlayer - background music controller: crossfades between tracks,
+ * plays playlists and queues, and remembers where each track was left.
+ *
+ * Tracks are AudioItems (or StreamingAudio for streams) from the
+ * AudioManager, routed through the player's own gain node into the listener
+ * (or a mixer bus), so music has its own volume on top of each track's
+ * configured volume.
+ *
+ * Why it's needed:
+ * Switching between menu, exploration and combat themes means fading one
+ * item out while another fades in, stopping and releasing the old one once
+ * silent, and keeping track of positions so an area's theme continues where
+ * it stopped. Every game ends up writing this with two items and a pile of
+ * timers.
+ *
+ * Why it's structured this way:
+ * - play(name) crossfades with equal-power curves by default: the sum of two
+ *   uncorrelated tracks keeps its loudness through the fade
+ * - The position of a track is saved when the player switches away from it
+ *   and used the next time it plays; a track that ends by itself starts over
+ * - The gapless queue and playlists feed the same "next track" slot. The next
+ *   track is started ahead of time on the audio clock, at the exact time the
+ *   current one ends, so there is no gap (streams are scheduled by timers and
+ *   may have a small one)
+ * - Loading is asynchronous (getAsync); a newer play() supersedes one still
+ *   waiting for its track
+ * - Emits 'trackchange' ({ name, previous }) whenever the current track changes,
+ *   and 'ended' when the last track of the queue or playlist finishes
+ *
+ * @example
+ * const music = new MusicPlayer(manager, { crossfade: 3 });
+ * music.play('exploration');            // loops, fades in
+ * music.play('combat', { crossfade: 1 }); // exploration's position is kept
+ * music.play('exploration');            // continues where it was left
+ *
+ * music.addPlaylist('menu', ['theme_a', 'theme_b', 'theme_c'], { shuffle: true, repeat: 'all' });
+ * music.playPlaylist('menu');
+ */
+export class MusicPlayer extends EventEmitter {
+  /**
+   * Creates a new MusicPlayer.
+   *
+   * @param {import('./AudioManager.js').AudioManager} manager - Manager the tracks are loaded in
+   * @param {Object} [options={}]
+   * @param {number} [options.crossfade=2] - Default crossfade length in seconds
+   * @param {string} [options.curve='equalPower'] - Default fade curve (see AudioItem.fadeTo())
+   * @param {number} [options.volume=1] - Music volume
+   * @param {string} [options.bus] - Mixer bus the music plays on (needs a mixer on the manager)
+   */
+  constructor(manager, options = {}) {
+    super();
+    this.manager = manager;
+    this.context = manager.listener.context;
+    this.crossfade = options.crossfade ?? 2;
+    this.curve = options.curve ?? 'equalPower';
+
+    /** Gain node all tracks play through */
+    this.output = this.context.createGain();
+    /** @private Volume the output gain is heading to */
+    this._volume = options.volume ?? 1;
+    this.output.gain.value = this._volume;
+    this.output.connect(manager.getDestination(options.bus));
+
+    /** @type {{ name: string, item: import('./AudioItem.js').AudioItem, startsAt: number } | null} */
+    this.current = null;
+    /** @type {string[]} Tracks to play after the current one, before the playlist continues */
+    this.queue = [];
+    /** @type {Object<string, { tracks: string[], shuffle: boolean, repeat: string }>} */
+    this.playlists = {};
+    /** @type {{ name: string, tracks: string[], shuffle: boolean, repeat: string, order: number[], index: number, nextOrder: number[] | null } | null} */
+    this.playlist = null;
+    /** @type {Map<string, number>} Saved position (seconds) per track */
+    this.positions = new Map();
+
+    /** @private Track already scheduled to follow the current one */
+    this._next = null;
+    /** @private Incremented by every switch, so stale async work can be dropped */
+    this._switch = 0;
+    /** @private Incremented whenever the scheduled track is cancelled, for the same reason */
+    this._schedule = 0;
+  }
+
+  /**
+   * Gets the music volume.
+   *
+   * @returns {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  /**
+   * Sets the music volume smoothly.
+   *
+   * @param {number} value - Volume (0.0 - 1.0)
+   */
+  set volume(value) {
+    this._volume = value;
+    this.output.gain.setTargetAtTime(value, this.context.currentTime, 0.01);
+  }
+
+  /**
+   * Name of the current track, or null.
+   *
+   * @returns {string|null}
+   */
+  get currentTrack() {
+    return this.current ? this.current.name : null;
+  }
+
+  /**
+   * Crossfades to a track. Leaves playlist mode; queued tracks still follow
+   * the new track if it doesn't loop.
+   *
+   * Does nothing if the track is already the current one and playing.
+   *
+   * @param {string} name - Track name in the AudioManager (registered tracks are loaded first)
+   * @param {Object} [options={}]
+   * @param {number} [options.crossfade] - Crossfade length in seconds (0 to cut)
+   * @param {string} [options.curve] - Fade curve
+   * @param {boolean} [options.loop=true] - Loop the track
+   * @param {boolean} [options.restart=false] - Start from the beginning instead of the saved position
+   * @param {number} [options.position] - Start at this position in seconds
+   * @returns {Promise<void>} Resolves when the crossfade completes
+   * @throws {Error} If the track is unknown or fails to load
+   */
+  play(name, options = {}) {
+    this.playlist = null;
+    return this._start(name, { loop: true, ...options });
+  }
+
+  /**
+   * Defines a playlist.
+   *
+   * @param {string} name - Playlist name
+   * @param {string[]} tracks - Track names, in order
+   * @param {Object} [options={}]
+   * @param {boolean} [options.shuffle=false] - Play in random order
+   * @param {'none'|'one'|'all'} [options.repeat='all'] - Stop after the last track,
+   *   repeat the current track, or start the list over
+   * @returns {MusicPlayer} this for method chaining
+   */
+  addPlaylist(name, tracks, options = {}) {
+    this.playlists[name] = {
+      tracks: tracks.slice(),
+      shuffle: options.shuffle ?? false,
+      repeat: options.repeat ?? 'all',
+    };
+    return this;
+  }
+
+  /**
+   * Starts a playlist from its first track (a random one when shuffled).
+   * Tracks follow each other gaplessly.
+   *
+   * @param {string} name - Playlist name
+   * @param {Object} [options={}]
+   * @param {number} [options.crossfade] - Crossfade into the first track
+   * @param {string} [options.curve] - Fade curve
+   * @returns {Promise<void>} Resolves when the crossfade completes
+   * @throws {Error} If the playlist is unknown or empty
+   */
+  playPlaylist(name, options = {}) {
+    const definition = this.playlists[name];
+    if (!definition || definition.tracks.length === 0) {
+      throw new Error(`Unknown or empty playlist '${name}'`);
+    }
+
+    this.queue.length = 0;
+    this.playlist = { name, ...definition, order: [], index: 0, nextOrder: null };
+    this.playlist.order = this._createOrder();
+    return this._start(this._playlistTrack(0), { ...options, loop: this.playlist.repeat === 'one', restart: true });
+  }
+
+  /**
+   * Sets shuffle on the current playlist. The tracks after the current one
+   * are reordered.
+   *
+   * @param {boolean} value - true to shuffle
+   * @returns {MusicPlayer} this for method chaining
+   */
+  setShuffle(value) {
+    const playlist = this.playlist;
+    if (playlist) {
+      const current = playlist.order[playlist.index];
+      playlist.shuffle = value;
+      playlist.nextOrder = null;
+      playlist.order = this._createOrder();
+      if (value) {
+        // Keep the current track where it is; the rest follows in the new order
+        playlist.order.splice(playlist.order.indexOf(current), 1);
+        playlist.order.splice(playlist.index, 0, current);
+      } else {
+        playlist.index = current;
+      }
+      this._rescheduleNext();
+    }
+    return this;
+  }
+
+  /**
+   * Sets the repeat mode of the current playlist.
+   *
+   * @param {'none'|'one'|'all'} mode - Repeat mode
+   * @returns {MusicPlayer} this for method chaining
+   */
+  setRepeat(mode) {
+    if (this.playlist) {
+      this.playlist.repeat = mode;
+      if (this.current) this.current.item.setLoop(mode === 'one');
+      this._rescheduleNext();
+    }
+    return this;
+  }
+
+  /**
+   * Adds tracks to the gapless queue. They play in order once the current
+   * track ends (a looping track doesn't end: call next()).
+   *
+   * @param {...string} names - Track names
+   * @returns {MusicPlayer} this for method chaining
+   */
+  enqueue(...names) {
+    this.queue.push(...names);
+    // A playlist track may already be scheduled: the queue comes first
+    this._rescheduleNext();
+    return this;
+  }
+
+  /**
+   * Empties the gapless queue.
+   *
+   * @returns {MusicPlayer} this for method chaining
+   */
+  clearQueue() {
+    this.queue.length = 0;
+    this._rescheduleNext();
+    return this;
+  }
+
+  /**
+   * Crossfades to the next track of the queue or playlist.
+   *
+   * @param {Object} [options={}] - crossfade and curve, as for play()
+   * @returns {Promise<void>} Resolves when the crossfade completes, at once if there is no next track
+   */
+  next(options = {}) {
+    const name = this._takeNext(true);
+    if (name === null) return Promise.resolve();
+    return this._start(name, { ...options, loop: this._loopsInList(), restart: true });
+  }
+
+  /**
+   * Crossfades to the previous track of the playlist.
+   *
+   * @param {Object} [options={}] - crossfade and curve, as for play()
+   * @returns {Promise<void>} Resolves when the crossfade completes, at once without a playlist
+   */
+  previous(options = {}) {
+    const playlist = this.playlist;
+    if (!playlist) return Promise.resolve();
+    playlist.index = (playlist.index - 1 + playlist.order.length) % playlist.order.length;
+    return this._start(this._playlistTrack(playlist.index), { ...options, loop: this._loopsInList(), restart: true });
+  }
+
+  /**
+   * Fades out and pauses the current track.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.fadeOut] - Fade length in seconds (defaults to the crossfade length)
+   * @param {string} [options.curve] - Fade curve
+   * @returns {Promise<void>} Resolves when paused
+   */
+  pause(options = {}) {
+    if (!this.current) return Promise.resolve();
+    this._cancelNext();
+    return this.current.item.pause({ fadeOut: options.fadeOut ?? this.crossfade, curve: options.curve ?? this.curve });
+  }
+
+  /**
+   * Resumes the current track after pause().
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.fadeIn] - Fade length in seconds (defaults to the crossfade length)
+   * @param {string} [options.curve] - Fade curve
+   * @returns {Promise<void>} Resolves when the fade-in completes
+   */
+  resume(options = {}) {
+    const current = this.current;
+    if (!current || current.item.isPlaying) return Promise.resolve();
+    current.startsAt = this.context.currentTime;
+    const done = current.item.play({ fadeIn: options.fadeIn ?? this.crossfade, curve: options.curve ?? this.curve });
+    this._scheduleNext();
+    return done;
+  }
+
+  /**
+   * Fades out and stops the music. The current track's position is saved.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.fadeOut] - Fade length in seconds (defaults to the crossfade length)
+   * @param {string} [options.curve] - Fade curve
+   * @returns {Promise<void>} Resolves when the fade completes
+   */
+  stop(options = {}) {
+    this._switch++;
+    this._cancelNext();
+    const current = this.current;
+    this.current = null;
+    if (!current) return Promise.resolve();
+    return this._retire(current, options.fadeOut ?? this.crossfade, options.curve ?? this.curve);
+  }
+
+  /**
+   * Forgets saved positions, of one track or of all.
+   *
+   * @param {string} [name] - Track name. Omit to forget all positions
+   * @returns {MusicPlayer} this for method chaining
+   */
+  forgetPosition(name) {
+    if (name === undefined) this.positions.clear();
+    else this.positions.delete(name);
+    return this;
+  }
+
+  /**
+   * Switches to a track.
+   *
+   * @private
+   */
+  async _start(name, options) {
+    if (this.current && this.current.name === name && this.current.item.isPlaying) return;
+
+    const token = ++this._switch;
+    this._cancelNext();
+    const item = await this._createItem(name, options.loop);
+    if (token !== this._switch) {
+      this._discard(item);
+      return;
+    }
+
+    const crossfade = options.crossfade ?? this.crossfade;
+    const curve = options.curve ?? this.curve;
+    const position = options.position ?? (options.restart ? 0 : this.positions.get(name) ?? 0);
+    if (position > 0) item.seek(position);
+
+    const previous = this.current;
+    const entry = { name, item, startsAt: this.context.currentTime };
+    this._setCurrent(entry, previous);
+
+    const fades = [item.play({ fadeIn: crossfade, curve })];
+    if (previous) fades.push(this._retire(previous, crossfade, curve));
+    this._scheduleNext();
+    await Promise.all(fades);
+  }
+
+  /**
+   * Makes an entry current and reports the change.
+   *
+   * @private
+   */
+  _setCurrent(entry, previous) {
+    this.current = entry;
+    entry.item.once('ended', () => this._onEnded(entry));
+    this.emit('trackchange', {
+      type: 'trackchange',
+      target: this,
+      name: entry.name,
+      previous: previous ? previous.name : null,
+      time: this.context.currentTime,
+    });
+  }
+
+  /**
+   * Fades out a track that is no longer current, saving its position.
+   *
+   * @private
+   */
+  async _retire(entry, fadeOut, curve) {
+    this.positions.set(entry.name, entry.item.getPosition());
+    entry.item.removeAllListeners('ended');
+    await entry.item.stop({ fadeOut, curve });
+    this._discard(entry.item);
+  }
+
+  /**
+   * Moves on when the current track ends by itself.
+   *
+   * @private
+   */
+  _onEnded(entry) {
+    if (this.current !== entry) return;
+    this.positions.delete(entry.name);
+    this._discard(entry.item);
+
+    const next = this._next;
+    this._next = null;
+    const name = this._takeNext(false);
+    if (next && next.name === name) {
+      // Already playing, started gaplessly at the end of the finished track
+      this._setCurrent({ name: next.name, item: next.item, startsAt: next.startsAt }, entry);
+      this._scheduleNext();
+      return;
+    }
+    if (next) {
+      // Scheduled before the queue or playlist changed: not the track that follows
+      next.item.stop();
+      this._discard(next.item);
+    }
+
+    this.current = null;
+    if (name !== null) {
+      this._start(name, { crossfade: 0, loop: this._loopsInList(), restart: true }).catch((e) => {
+        console.warn(`Unable to play music track '${name}':`, e);
+      });
+    } else {
+      this.emit('ended', { type: 'ended', target: this, time: this.context.currentTime });
+    }
+  }
+
+  /**
+   * Creates the next track ahead of time and starts it when the current one
+   * ends, for a gapless transition.
+   *
+   * @private
+   */
+  async _scheduleNext() {
+    const current = this.current;
+    if (!current || current.item.loop || this._next) return;
+    const name = this._peekNext();
+    if (name === null) return;
+
+    const token = this._switch;
+    const schedule = this._schedule;
+    let item;
+    try {
+      item = await this._createItem(name, this._loopsInList());
+    } catch (e) {
+      console.warn(`Unable to queue music track '${name}':`, e);
+      return;
+    }
+    if (token !== this._switch || schedule !== this._schedule || this.current !== current || this._next || !current.item.isPlaying) {
+      this._discard(item);
+      return;
+    }
+
+    const now = this.context.currentTime;
+    const source = current.item;
+    const endsAt = Math.max(current.startsAt, now) + (source.getDuration() - source.getPosition()) / source.playbackRate;
+    if (!Number.isFinite(endsAt)) {
+      // Stream without a known length: the next track starts when it ends
+      this._discard(item);
+      return;
+    }
+    const startsAt = Math.max(endsAt, now);
+    item.play(startsAt - now);
+    this._next = { name, item, startsAt };
+  }
+
+  /** @private */
+  _cancelNext() {
+    this._schedule++;
+    if (!this._next) return;
+    this._next.item.stop();
+    this._discard(this._next.item);
+    this._next = null;
+  }
+
+  /** @private */
+  _rescheduleNext() {
+    this._cancelNext();
+    this._scheduleNext();
+  }
+
+  /**
+   * Gets a track from the manager and routes it through the player.
+   *
+   * @private
+   */
+  async _createItem(name, loop) {
+    const item = await this.manager.getAsync(name, { loop });
+    if (!item) throw new Error(`Unknown music track '${name}'`);
+    item.setDestination(this.output);
+    return item;
+  }
+
+  /** @private */
+  _discard(item) {
+    item.dispose();
+  }
+
+  /**
+   * Name of the track after the current one: the queue first, then the playlist.
+   *
+   * @private
+   */
+  _peekNext() {
+    if (this.queue.length > 0) return this.queue[0];
+    const playlist = this.playlist;
+    if (!playlist || playlist.repeat === 'one') return null;
+    const index = playlist.index + 1;
+    if (index < playlist.order.length) return this._playlistTrack(index);
+    if (playlist.repeat !== 'all') return null;
+    // Wrapping around: draw the next round's order now, so its first track can be scheduled
+    if (!playlist.nextOrder) playlist.nextOrder = this._createOrder(playlist.order[playlist.order.length - 1]);
+    return playlist.tracks[playlist.nextOrder[0]];
+  }
+
+  /**
+   * Advances to the track after the current one and returns it.
+   *
+   * @private
+   * @param {boolean} skip - Called by next(): repeat 'one' moves on as well
+   */
+  _takeNext(skip) {
+    if (this.queue.length > 0) return this.queue.shift();
+    const playlist = this.playlist;
+    if (!playlist) return null;
+    if (playlist.repeat === 'one' && !skip) return null;
+
+    playlist.index++;
+    if (playlist.index >= playlist.order.length) {
+      if (playlist.repeat === 'none') {
+        playlist.index = playlist.order.length - 1;
+        return null;
+      }
+      playlist.order = playlist.nextOrder ?? this._createOrder(playlist.order[playlist.order.length - 1]);
+      playlist.nextOrder = null;
+      playlist.index = 0;
+    }
+    return this._playlistTrack(playlist.index);
+  }
+
+  /** @private */
+  _playlistTrack(index) {
+    return this.playlist.tracks[this.playlist.order[index]];
+  }
+
+  /** @private */
+  _loopsInList() {
+    return !!this.playlist && this.playlist.repeat === 'one' && this.queue.length === 0;
+  }
+
+  /**
+   * Builds a playlist order: track indices, shuffled if the playlist is.
+   *
+   * @private
+   * @param {number} [avoid] - Track index a shuffled order shouldn't start with
+   * @returns {number[]}
+   */
+  _createOrder(avoid) {
+    const playlist = this.playlist;
+    const order = playlist.tracks.map((_, i) => i);
+    if (playlist.shuffle) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      if (avoid !== undefined && order.length > 1 && order[0] === avoid) {
+        [order[0], order[1]] = [order[1], order[0]];
+      }
+    }
+    return order;
+  }
+}
@@ -0,0 +1,163 @@
+import { AudioListenerController } from './AudioListenerController.js';
+import { WavEncoder } from './WavEncoder.js';
+
+/** Frames processed by an AudioContext at a time; suspend() works at this granularity. */
+const RENDER_QUANTUM = 128;
+
+/**
+ * OfflineRenderer - renders a scripted audio scene faster than real time into
+ * an AudioBuffer or a WAV file.
+ *
+ * Owns an OfflineAudioContext and an AudioListenerController built on it.
+ * Create an AudioManager on that listener and use AudioItem, SpatialAudio and
+ * OneShotAudio as usual; at() schedules what happens when. render() then
+ * runs the whole timeline and resolves with the mixed result.
+ *
+ * Why it's needed:
+ * Trailers and cinematics need the game's mix baked to a file, and audio
+ * regression tests need the same output on every run, without speakers or a
+ * user gesture. An OfflineAudioContext gives both, as long as the library
+ * can run on it instead of the shared realtime context.
+ *
+ * Why it's structured this way:
+ * - The context is injected into AudioListenerController, and everything
+ *   else takes it from the listener, so no global state is touched and a
+ *   realtime scene can keep playing meanwhile
+ * - Timeline callbacks run while rendering is suspended (suspend/resume), so
+ *   any API call works in them: setPosition(), stop(), volume changes...
+ * - Suspension happens on 128-frame boundaries; callbacks receive the delay
+ *   from the current render time to the exact scheduled time, to pass to
+ *   play(delay) or stop(delay) for sample-accurate starts
+ *
+ * @example
+ * const renderer = new OfflineRenderer({ duration: 8, sampleRate: 48000 });
+ * const manager = new AudioManager(renderer.listener);
+ * await manager.loadAll(['music.mp3', 'door.mp3']);
+ *
+ * renderer.at(0, () => manager.get('music', { volume: 0.6 }).play());
+ * renderer.at(2.5, (delay) => manager.get('door', { position: { x: 4, y: 0, z: 0 } }, true).play(delay));
+ * renderer.at(3, () => renderer.listener.setMasterVolume(0.5));
+ *
+ * const wav = await renderer.renderToWav({ bitDepth: 24 });
+ */
+export class OfflineRenderer {
+  /**
+   * Creates a new OfflineRenderer.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.duration] - Length to render in seconds (required unless context is given)
+   * @param {number} [options.sampleRate=44100] - Sample rate of the result
+   * @param {number} [options.channels=2] - Channel count of the result
+   * @param {OfflineAudioContext} [options.context] - Use this context instead of creating one
+   * @throws {Error} If neither a positive duration nor a context is given
+   */
+  constructor(options = {}) {
+    if (options.context) {
+      this.context = options.context;
+    } else {
+      if (!(options.duration > 0)) {
+        throw new Error('OfflineRenderer needs a positive duration (seconds)');
+      }
+      const sampleRate = options.sampleRate ?? 44100;
+      const OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+      this.context = new OfflineContext(options.channels ?? 2, Math.ceil(options.duration * sampleRate), sampleRate);
+    }
+
+    this.listener = new AudioListenerController({ context: this.context });
+    /** @type {Array<{ time: number, callback: Function }>} */
+    this.events = [];
+    this._rendering = false;
+  }
+
+  /**
+   * Length of the render in seconds.
+   *
+   * @returns {number}
+   */
+  get duration() {
+    return this.context.length / this.context.sampleRate;
+  }
+
+  /**
+   * Schedules a callback on the render timeline.
+   *
+   * Callbacks at time 0 run just before rendering starts; later ones run
+   * while rendering is suspended at the render quantum containing their time.
+   * Callbacks scheduled at the same time run in the order they were added.
+   *
+   * @param {number} time - Time in seconds from the start of the render
+   * @param {Function} callback - Called with (delay, time): delay is the time left
+   *   until the exact scheduled time (pass it to play()/stop()), time is the scheduled time
+   * @returns {OfflineRenderer} this for method chaining
+   * @throws {Error} If rendering has already started
+   */
+  at(time, callback) {
+    if (this._rendering) throw new Error('Cannot schedule events once rendering has started');
+    this.events.push({ time: Math.max(0, time), callback });
+    return this;
+  }
+
+  /**
+   * Runs the timeline and renders it.
+   *
+   * A renderer renders once: OfflineAudioContext can't be restarted.
+   *
+   * @returns {Promise<AudioBuffer>} The rendered audio
+   * @throws {Error} If called more than once, or if a timeline callback throws
+   */
+  async render() {
+    if (this._rendering) throw new Error('OfflineRenderer can only render once');
+    this._rendering = true;
+
+    const context = this.context;
+    const quantum = RENDER_QUANTUM / context.sampleRate;
+    const pending = this.events
+      .map((event, index) => ({ ...event, index }))
+      .filter(({ time }) => time < this.duration)
+      .sort((a, b) => a.time - b.time || a.index - b.index);
+
+    let failure = null;
+    const runDue = () => {
+      // Events that fall within the current render quantum can't be suspended for separately
+      const limit = context.currentTime + quantum;
+      while (pending.length > 0 && pending[0].time < limit) {
+        const { time, callback } = pending.shift();
+        callback(Math.max(0, time - context.currentTime), time);
+      }
+    };
+    const scheduleNext = () => {
+      if (pending.length === 0) return;
+      context.suspend(pending[0].time).then(() => {
+        try {
+          runDue();
+          scheduleNext();
+        } catch (e) {
+          failure = e;
+          pending.length = 0;
+        }
+        context.resume();
+      });
+    };
+
+    runDue();
+    if (pending.length > 0 && typeof context.suspend !== 'function') {
+      throw new Error('This OfflineAudioContext does not support suspend(); only events at time 0 can be rendered');
+    }
+    scheduleNext();
+
+    const buffer = await context.startRendering();
+    if (failure) throw failure;
+    return buffer;
+  }
+
+  /**
+   * Renders the timeline and encodes the result as WAV.
+   *
+   * @param {Object} [options={}] - WavEncoder.encode() options
+   * @param {16|24|32} [options.bitDepth=16] - 16/24-bit integer PCM, or 32-bit float
+   * @returns {Promise<ArrayBuffer>} WAV file bytes
+   */
+  async renderToWav(options = {}) {
+    return WavEncoder.encode(await this.render(), options);
+  }
+}
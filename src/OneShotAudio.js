@@ -19,6 +19,8 @@ import { SpatialAudio } from './SpatialAudio.js';
  * @property {number} [priority] - Priority (higher = more important)
  * @property {string} [stealStrategy] - Steal strategy ('ignore' | 'stealOldest' | 'stealQuietest')
  * @property {number} [stealFadeMs] - Fade-out duration when stealing (milliseconds)
+ * @property {string} [bus] - Mixer bus the track plays on (see AudioMixer)
+ * @property {Object<string, number|Object>} [sends] - Mixer sends of the track's voices (see AudioMixer.setSends())
  * @property {OneShotSpatialOptions} [spatialDefaults] - Default spatial audio settings
  */
 
@@ -61,7 +63,7 @@ import { SpatialAudio } from './SpatialAudio.js';
  *     }
  *   },
  *   tracks: {
- *     footstep: { maxVoices: 3, minInterval: 0.1 },
+ *     footstep: { maxVoices: 3, minInterval: 0.1, bus: 'footsteps' },
  *     jump: { maxVoices: 2, minInterval: 0.05 }
  *   }
  * });
@@ -94,6 +96,10 @@ export class OneShotAudio {
    * @param {number} [config.global.defaultPolicy.priority=0] - Default priority (higher = more important)
    * @param {string} [config.global.defaultPolicy.stealStrategy='ignore'] - Default steal strategy ('ignore' | 'stealOldest' | 'stealQuietest')
    * @param {number} [config.global.defaultPolicy.stealFadeMs=120] - Default fade-out duration when stealing (milliseconds)
+   * @param {string} [config.global.defaultPolicy.bus] - Default mixer bus (needs a mixer on the AudioManager).
+   *   Without one, tracks play on the bus of the sound's AudioManager config, or master
+   * @param {Object<string, number|Object>} [config.global.defaultPolicy.sends] - Default mixer sends
+   *   (see AudioMixer.setSends()). Without them, the sends of the sound's AudioManager config
    * @param {Object} [config.tracks={}] - Per-track policies (overrides defaultPolicy)
    */
   static init({ audioManager, global = {}, tracks = {} } = {}) {
@@ -118,6 +124,30 @@ export class OneShotAudio {
     this.lastStartAt = new Map();
   }
 
+  /**
+   * Changes the configuration after init(), without touching the voices
+   * already playing.
+   * 
+   * Global settings and the default policy are merged into the current ones;
+   * track policies replace those of the same name and leave the others.
+   * 
+   * @param {Object} config - Configuration object
+   * @param {Object} [config.global={}] - Global settings to change, as for init()
+   * @param {Object} [config.tracks={}] - Per-track policies to add or replace
+   * @throws {Error} If init() hasn't been called
+   * 
+   * @example
+   * OneShotAudio.configure({ tracks: { explosion: { maxVoices: 2, priority: 5 } } });
+   */
+  static configure({ global = {}, tracks = {} } = {}) {
+    if (!this.global) throw new Error('OneShotAudio.configure() needs OneShotAudio.init() first');
+    this.global = {
+      maxGlobalVoices: global.maxGlobalVoices ?? this.global.maxGlobalVoices,
+      defaultPolicy: { ...this.global.defaultPolicy, ...global.defaultPolicy },
+    };
+    Object.assign(this.trackPolicies, tracks);
+  }
+
   /**
    * Gets the effective policy for a track name.
    * 
@@ -136,6 +166,8 @@ export class OneShotAudio {
       priority: p.priority ?? d.priority,
       stealStrategy: p.stealStrategy ?? d.stealStrategy,
       stealFadeMs: p.stealFadeMs ?? d.stealFadeMs ?? 120,
+      bus: p.bus ?? d.bus,
+      sends: p.sends ?? d.sends,
       spatialDefaults: p.spatialDefaults ?? undefined,
     };
   }
@@ -158,10 +190,14 @@ export class OneShotAudio {
    * Returns null if sound cannot be played (not loaded, interval too short, or
    * limits reached with 'ignore' strategy).
    * 
+   * Sounds registered with AudioManager.register() but not loaded yet start
+   * loading and return null; the play happens when they arrive, unless that
+   * is more than the manager's staleAfter seconds later.
+   * 
    * Creates a new AudioItem or SpatialAudio instance, configures it, starts playback,
    * and tracks it until it ends. Automatically cleans up when playback completes.
    * 
-   * @param {string} name - Name of the audio file (as loaded in AudioManager)
+   * @param {string} name - Name of the audio file (as loaded in AudioManager) or sprite region ('sprite:region')
    * @param {Object} [options={}] - Playback options
    * @param {number} [options.volume] - Volume (0.0 - 1.0)
    * @param {number} [options.playbackRate] - Playback rate multiplier
@@ -169,6 +205,11 @@ export class OneShotAudio {
    * @param {number} [options.priority] - Priority for voice stealing (higher = more important)
    * @param {number} [options.minIntervalOverride] - Override minimum interval for this play
    * @param {number} [options.duration] - Maximum duration to play (stops after this time)
+   * @param {number} [options.delay] - Delay in seconds before starting
+   * @param {number} [options.at] - Context time to start at, instead of a delay (e.g. Transport.nextBeat())
+   * @param {string} [options.bus] - Mixer bus to play on, instead of the track policy's
+   * @param {Object<string, number|Object>} [options.sends] - Mixer sends, instead of the track policy's
+   *   (see AudioMixer.setSends())
    * @param {Object} [options.spatial] - Spatial audio configuration (enables SpatialAudio)
    * @param {Object} [options.spatial.position] - 3D position {x, y, z}
    * @param {number} [options.spatial.refDistance] - Reference distance
@@ -180,22 +221,38 @@ export class OneShotAudio {
    * @returns {Object|null} Voice object {name, node, priority} or null if cannot play
    */
   static play(name, options = {}) {
-    const buffer = this.manager.buffers[name];
-    if (!buffer) return null;
+    const resolved = this.manager.resolve(name);
+    if (!resolved) {
+      if (this.manager.isRegistered(name)) this._playWhenLoaded(name, options);
+      return null;
+    }
 
     /** @type {OneShotPolicy} */
     const policy = this.getPolicy(name);
     const now = this.context.currentTime;
+    const startAt = Math.max(options.at ?? now + (options.delay ?? 0), now);
     const last = this.lastStartAt.get(name) ?? -Infinity;
     const minInt = options.minIntervalOverride ?? policy.minInterval;
-    if (now - last < minInt) return null;
+    // Starts may be scheduled ahead, so the interval applies in both directions
+    if (Math.abs(startAt - last) < minInt) return null;
 
+    const bus = options.bus ?? policy.bus ?? this.manager.configs[name]?.bus;
+    const sends = options.sends ?? policy.sends ?? this.manager.configs[name]?.sends;
+    // Fails on an unknown bus before a voice is stolen
+    this.manager.getDestination(bus);
+    for (const sendBus of Object.keys(sends ?? {})) this.manager.getDestination(sendBus);
     const trackSet = this.activeByTrack.get(name) || new Set();
     if (!this._ensureCapacity(policy, trackSet, options.priority ?? policy.priority)) return null;
 
     const isSpatial = !!options.spatial;
     const node = isSpatial ? new SpatialAudio(this.manager.listener) : new AudioItem(this.manager.listener);
-    node.setBuffer(buffer);
+    if (this.manager.mixer) {
+      this.manager.mixer.assign(node, bus);
+      if (sends) this.manager.mixer.setSends(node, sends);
+    }
+    node.setBuffer(resolved.buffer);
+    if (resolved.region) node.setRegion(resolved.region.start, resolved.region.end, resolved.region.loop);
+    this.manager.retain(resolved.bufferName, node);
 
     if (options.volume !== undefined) node.gain.gain.value = options.volume;
     if (options.playbackRate !== undefined) node.setPlaybackRate(options.playbackRate);
@@ -226,37 +283,53 @@ export class OneShotAudio {
 
     const voice = { name, node, priority: options.priority ?? policy.priority };
     const handleEnd = () => {
-      try { node.disconnect(); } catch (_) {}
+      node.dispose();
       this.active.delete(voice);
       trackSet.delete(voice);
       if (trackSet.size === 0) this.activeByTrack.delete(name);
-      if (node.source) node.source.onended = null;
     };
+    node.once('ended', handleEnd);
 
     // Start playback, AudioItem will correctly connect its chain in play()
-    node.play();
+    node.play(startAt - now);
     // Apply position after start, so SpatialAudio doesn't filter out the call
     if (desiredPosition && isSpatial) {
       /** @type {SpatialAudio} */
       const spatialNode = node;
       spatialNode.setPosition(desiredPosition);
     }
-    this.lastStartAt.set(name, now);
+    this.lastStartAt.set(name, startAt);
 
     this.active.add(voice);
     trackSet.add(voice);
     this.activeByTrack.set(name, trackSet);
 
-    if (node.source) node.source.onended = handleEnd;
-
     if (options.duration !== undefined && node.source) {
-      const stopAt = this.context.currentTime + Math.max(0, options.duration);
+      const stopAt = startAt + Math.max(0, options.duration);
       node.source.stop(stopAt);
     }
 
     return voice;
   }
 
+  /**
+   * Plays a registered sound once it's loaded, if the request isn't stale by then.
+   * 
+   * @param {string} name - Audio name
+   * @param {Object} options - Options passed to play()
+   * @private
+   */
+  static _playWhenLoaded(name, options) {
+    const requestedAt = this.context.currentTime;
+    this.manager.ensureLoaded(name).then(() => {
+      if (this.context.currentTime - requestedAt <= this.manager.getStaleAfter(name)) {
+        this.play(name, options);
+      }
+    }, (e) => {
+      console.warn(`Unable to load audio '${name}':`, e);
+    });
+  }
+
   /**
    * Ensures there's capacity to play a new sound.
    * 
@@ -327,13 +400,11 @@ export class OneShotAudio {
     }
 
     // Correct stop and cleanup after fade
-    const cleanup = () => {
-      try { victim.node.disconnect(); } catch (_) {}
-      if (victim.node.source) victim.node.source.onended = null;
-    };
+    const cleanup = () => victim.node.dispose();
     try {
-      if (victim.node.source) victim.node.source.onended = cleanup;
+      // stop() detaches the node's own onended handler, so attach cleanup after it
       victim.node.stop(stopAt - t > 0 ? stopAt - t : 0);
+      if (victim.node.source) victim.node.source.onended = cleanup;
     } catch (_) {
       cleanup();
     }
@@ -0,0 +1,340 @@
+const DISTANCE_MODELS = ['linear', 'inverse', 'exponential'];
+const STEAL_STRATEGIES = ['ignore', 'stealOldest', 'stealQuietest'];
+
+const SOUND_KEYS = ['src', 'data', 'stream', 'loop', 'volume', 'playbackRate', 'bus', 'sends', 'spatial', 'oneShot'];
+const SPATIAL_KEYS = [
+  'refDistance', 'rolloffFactor', 'distanceModel', 'maxDistance',
+  'coneInnerAngle', 'coneOuterAngle', 'coneOuterGain', 'position', 'orientation',
+];
+const POLICY_KEYS = ['maxVoices', 'minInterval', 'priority', 'stealStrategy', 'stealFadeMs', 'bus', 'sends', 'spatialDefaults'];
+const SEND_KEYS = ['level', 'pre', 'distance'];
+const SEND_DISTANCE_KEYS = ['near', 'far', 'nearLevel'];
+const ONE_SHOT_SPATIAL_KEYS = [
+  'position', 'refDistance', 'maxDistance', 'rolloffFactor',
+  'coneInnerAngle', 'coneOuterAngle', 'coneOuterGain',
+];
+
+/**
+ * SoundBank - versioned, validated manifest describing a set of sounds.
+ *
+ * A sound bank gathers in one JSON document what would otherwise be spread
+ * over several calls: where each sound is loaded from, the name it's stored
+ * under, its playback defaults (loop, volume, spatial settings) and its
+ * OneShotAudio track policy. AudioManager.loadBank() consumes it.
+ *
+ * Why it's needed:
+ * Keeping names, URLs, defaults and voice policies in sync by hand is error
+ * prone. A single manifest can be authored by designers, shipped as a JSON
+ * file and checked up front, so a typo fails loudly with the exact path to
+ * the bad value instead of silently producing a wrong mix.
+ *
+ * Why it's structured this way:
+ * - Static methods only: the bank is plain data, this class just checks and
+ *   normalizes it
+ * - `version` is required so the format can evolve without guessing
+ * - Unknown keys are errors, which catches misspelled options
+ * - All problems are collected and reported together, each prefixed with its path
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "baseUrl": "sounds/",
+ *   "oneShot": { "maxGlobalVoices": 16, "defaultPolicy": { "maxVoices": 4 } },
+ *   "sounds": {
+ *     "music": { "src": "music.mp3", "loop": true, "volume": 0.5, "bus": "music" },
+ *     "walk": { "src": "walk.mp3", "loop": true, "spatial": { "refDistance": 20, "distanceModel": "inverse" } },
+ *     "shot": { "src": "shot.mp3", "bus": "sfx", "sends": { "reverb": { "level": 0.4, "distance": true } } },
+ *     "jump": { "src": "jump.mp3", "oneShot": { "maxVoices": 2, "minInterval": 0.05 } },
+ *     "theme": { "src": ["theme.opus", "theme.ogg", "theme.mp3"], "loop": true },
+ *     "click": { "data": "data:audio/mp3;base64,SUQzBAAA..." },
+ *     "ambience": { "src": "forest.mp3", "stream": true, "loop": true }
+ *   }
+ * }
+ */
+export class SoundBank {
+  /** Manifest format version understood by this release. */
+  static VERSION = 1;
+
+  /**
+   * Validates a manifest and returns the list of problems found.
+   *
+   * @param {Object|string} manifest - Manifest object or its JSON text
+   * @returns {string[]} Error messages, each prefixed with the path to the bad value. Empty if valid
+   */
+  static validate(manifest) {
+    const errors = [];
+
+    if (typeof manifest === 'string') {
+      try {
+        manifest = JSON.parse(manifest);
+      } catch (e) {
+        return [`manifest: invalid JSON (${e.message})`];
+      }
+    }
+
+    if (!isObject(manifest)) {
+      return ['manifest: expected an object'];
+    }
+
+    checkKeys(manifest, ['version', 'baseUrl', 'oneShot', 'sounds'], 'manifest', errors);
+
+    if (manifest.version === undefined) {
+      errors.push('version: required');
+    } else if (manifest.version !== SoundBank.VERSION) {
+      errors.push(`version: unsupported version ${JSON.stringify(manifest.version)} (expected ${SoundBank.VERSION})`);
+    }
+
+    if (manifest.baseUrl !== undefined && typeof manifest.baseUrl !== 'string') {
+      errors.push('baseUrl: expected a string');
+    }
+
+    if (manifest.oneShot !== undefined) {
+      if (!isObject(manifest.oneShot)) {
+        errors.push('oneShot: expected an object');
+      } else {
+        checkKeys(manifest.oneShot, ['maxGlobalVoices', 'defaultPolicy'], 'oneShot', errors);
+        checkInteger(manifest.oneShot.maxGlobalVoices, 1, 'oneShot.maxGlobalVoices', errors);
+        if (manifest.oneShot.defaultPolicy !== undefined) {
+          checkPolicy(manifest.oneShot.defaultPolicy, 'oneShot.defaultPolicy', errors);
+        }
+      }
+    }
+
+    if (!isObject(manifest.sounds)) {
+      errors.push('sounds: expected an object mapping names to sound entries');
+      return errors;
+    }
+
+    for (const [name, sound] of Object.entries(manifest.sounds)) {
+      checkSound(sound, `sounds.${name}`, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates a manifest and converts it into load entries and configs.
+   *
+   * Relative `src` URLs are resolved against `baseUrl` by simple concatenation
+   * (absolute URLs and data URIs are left as they are). An array of `src`
+   * URLs becomes a multi-source entry, loaded with format fallback. Sounds
+   * marked `stream` are not loaded; they are returned in `streams` instead.
+   *
+   * @param {Object|string} manifest - Manifest object or its JSON text
+   * @returns {{ entries: Array<{ name: string, data?: string, sources?: string[] }>, configs: Object<string, Object>, tracks: Object<string, Object>, streams: Object<string, string>, oneShot: Object|undefined }}
+   * @throws {Error} If the manifest is invalid. The message lists every problem; the array is also available as error.errors
+   */
+  static parse(manifest) {
+    const errors = SoundBank.validate(manifest);
+    if (errors.length > 0) {
+      const error = new Error('Invalid sound bank:\n  ' + errors.join('\n  '));
+      error.errors = errors;
+      throw error;
+    }
+
+    if (typeof manifest === 'string') manifest = JSON.parse(manifest);
+
+    const baseUrl = manifest.baseUrl ?? '';
+    const entries = [];
+    const configs = {};
+    const tracks = {};
+    const streams = {};
+
+    for (const [name, sound] of Object.entries(manifest.sounds)) {
+      if (sound.stream) {
+        streams[name] = resolveUrl(baseUrl, sound.src);
+      } else if (Array.isArray(sound.src)) {
+        entries.push({ name, sources: sound.src.map((src) => resolveUrl(baseUrl, src)) });
+      } else {
+        entries.push({ name, data: sound.data ?? resolveUrl(baseUrl, sound.src) });
+      }
+
+      const config = {};
+      if (sound.loop !== undefined) config.loop = sound.loop;
+      if (sound.volume !== undefined) config.volume = sound.volume;
+      if (sound.playbackRate !== undefined) config.playbackRate = sound.playbackRate;
+      if (sound.bus !== undefined) config.bus = sound.bus;
+      if (sound.sends !== undefined) config.sends = sound.sends;
+      if (sound.spatial) {
+        config.spatial = true;
+        if (isObject(sound.spatial)) Object.assign(config, sound.spatial);
+      }
+      configs[name] = config;
+
+      if (sound.oneShot !== undefined) tracks[name] = { ...sound.oneShot };
+    }
+
+    return { entries, configs, tracks, streams, oneShot: manifest.oneShot };
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+function isUrlList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isUrl);
+}
+
+function resolveUrl(baseUrl, src) {
+  if (!baseUrl || src.startsWith('data:') || /^[a-z][a-z\d+.-]*:/i.test(src) || src.startsWith('/')) {
+    return src;
+  }
+  return baseUrl.endsWith('/') ? baseUrl + src : baseUrl + '/' + src;
+}
+
+function checkKeys(object, allowed, path, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) errors.push(`${path}.${key}: unknown option`);
+  }
+}
+
+function checkNumber(value, min, path, errors, exclusive = false) {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number`);
+  } else if (exclusive ? value <= min : value < min) {
+    errors.push(`${path}: expected a number ${exclusive ? 'greater than' : '>='} ${min}`);
+  }
+}
+
+function checkString(value, path, errors) {
+  if (value === undefined) return;
+  if (typeof value !== 'string' || value === '') {
+    errors.push(`${path}: expected a non-empty string`);
+  }
+}
+
+function checkInteger(value, min, path, errors) {
+  if (value === undefined) return;
+  if (!Number.isInteger(value) || value < min) {
+    errors.push(`${path}: expected an integer >= ${min}`);
+  }
+}
+
+function checkVector(value, path, errors) {
+  if (value === undefined) return;
+  if (!isObject(value) || ['x', 'y', 'z'].some((axis) => typeof value[axis] !== 'number')) {
+    errors.push(`${path}: expected { x, y, z } numbers`);
+  }
+}
+
+function checkEnum(value, allowed, path, errors) {
+  if (value === undefined) return;
+  if (!allowed.includes(value)) {
+    errors.push(`${path}: expected one of ${allowed.map((v) => `'${v}'`).join(', ')}`);
+  }
+}
+
+function checkSpatial(spatial, keys, path, errors) {
+  if (!isObject(spatial)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  checkKeys(spatial, keys, path, errors);
+  checkNumber(spatial.refDistance, 0, `${path}.refDistance`, errors);
+  checkNumber(spatial.rolloffFactor, 0, `${path}.rolloffFactor`, errors);
+  checkNumber(spatial.maxDistance, 0, `${path}.maxDistance`, errors, true);
+  checkNumber(spatial.coneInnerAngle, 0, `${path}.coneInnerAngle`, errors);
+  checkNumber(spatial.coneOuterAngle, 0, `${path}.coneOuterAngle`, errors);
+  checkNumber(spatial.coneOuterGain, 0, `${path}.coneOuterGain`, errors);
+  checkEnum(spatial.distanceModel, DISTANCE_MODELS, `${path}.distanceModel`, errors);
+  checkVector(spatial.position, `${path}.position`, errors);
+  checkVector(spatial.orientation, `${path}.orientation`, errors);
+}
+
+function checkSends(sends, path, errors) {
+  if (sends === undefined) return;
+  if (!isObject(sends)) {
+    errors.push(`${path}: expected an object of send levels by bus`);
+    return;
+  }
+  for (const [bus, send] of Object.entries(sends)) {
+    const sendPath = `${path}.${bus}`;
+    if (typeof send === 'number') {
+      checkNumber(send, 0, sendPath, errors);
+      continue;
+    }
+    if (!isObject(send)) {
+      errors.push(`${sendPath}: expected a level or { level, pre, distance }`);
+      continue;
+    }
+    checkKeys(send, SEND_KEYS, sendPath, errors);
+    checkNumber(send.level, 0, `${sendPath}.level`, errors);
+    if (send.pre !== undefined && typeof send.pre !== 'boolean') {
+      errors.push(`${sendPath}.pre: expected a boolean`);
+    }
+    if (send.distance !== undefined && typeof send.distance !== 'boolean') {
+      if (!isObject(send.distance)) {
+        errors.push(`${sendPath}.distance: expected a boolean or { near, far, nearLevel }`);
+      } else {
+        checkKeys(send.distance, SEND_DISTANCE_KEYS, `${sendPath}.distance`, errors);
+        checkNumber(send.distance.near, 0, `${sendPath}.distance.near`, errors);
+        checkNumber(send.distance.far, 0, `${sendPath}.distance.far`, errors);
+        checkNumber(send.distance.nearLevel, 0, `${sendPath}.distance.nearLevel`, errors);
+      }
+    }
+  }
+}
+
+function checkPolicy(policy, path, errors) {
+  if (!isObject(policy)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  checkKeys(policy, POLICY_KEYS, path, errors);
+  checkInteger(policy.maxVoices, 1, `${path}.maxVoices`, errors);
+  checkNumber(policy.minInterval, 0, `${path}.minInterval`, errors);
+  checkNumber(policy.priority, -Infinity, `${path}.priority`, errors);
+  checkEnum(policy.stealStrategy, STEAL_STRATEGIES, `${path}.stealStrategy`, errors);
+  checkNumber(policy.stealFadeMs, 0, `${path}.stealFadeMs`, errors);
+  checkString(policy.bus, `${path}.bus`, errors);
+  checkSends(policy.sends, `${path}.sends`, errors);
+  if (policy.spatialDefaults !== undefined) {
+    checkSpatial(policy.spatialDefaults, ONE_SHOT_SPATIAL_KEYS, `${path}.spatialDefaults`, errors);
+  }
+}
+
+function checkSound(sound, path, errors) {
+  if (!isObject(sound)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  checkKeys(sound, SOUND_KEYS, path, errors);
+
+  if (sound.src === undefined && sound.data === undefined) {
+    errors.push(`${path}: one of 'src' or 'data' is required`);
+  } else if (sound.src !== undefined && sound.data !== undefined) {
+    errors.push(`${path}: 'src' and 'data' are mutually exclusive`);
+  }
+  if (sound.src !== undefined && !isUrl(sound.src) && !isUrlList(sound.src)) {
+    errors.push(`${path}.src: expected a URL string or a non-empty array of URL strings`);
+  }
+  if (sound.data !== undefined && (typeof sound.data !== 'string' || !sound.data.startsWith('data:'))) {
+    errors.push(`${path}.data: expected a data URI`);
+  }
+
+  if (sound.stream !== undefined && typeof sound.stream !== 'boolean') {
+    errors.push(`${path}.stream: expected a boolean`);
+  } else if (sound.stream && !isUrl(sound.src)) {
+    errors.push(`${path}.stream: streamed sounds need a single 'src' URL`);
+  }
+  if (sound.loop !== undefined && typeof sound.loop !== 'boolean') {
+    errors.push(`${path}.loop: expected a boolean`);
+  }
+  checkNumber(sound.volume, 0, `${path}.volume`, errors);
+  checkNumber(sound.playbackRate, 0, `${path}.playbackRate`, errors, true);
+  checkString(sound.bus, `${path}.bus`, errors);
+  checkSends(sound.sends, `${path}.sends`, errors);
+
+  if (sound.spatial !== undefined && typeof sound.spatial !== 'boolean') {
+    checkSpatial(sound.spatial, SPATIAL_KEYS, `${path}.spatial`, errors);
+  }
+  if (sound.oneShot !== undefined) {
+    checkPolicy(sound.oneShot, `${path}.oneShot`, errors);
+  }
+}
@@ -0,0 +1,308 @@
+import { AudioContextProvider } from './AudioContextProvider.js';
+
+const WAVE_TYPES = ['square', 'sawtooth', 'sine', 'triangle', 'noise'];
+
+/** Parameters used when a description leaves them out. */
+const DEFAULTS = {
+  waveType: 'square',
+  frequency: 440,
+  minFrequency: 0,
+  frequencySlide: 0,
+  frequencyDeltaSlide: 0,
+  vibratoDepth: 0,
+  vibratoSpeed: 0,
+  arpeggioMultiplier: 1,
+  arpeggioTime: 0,
+  dutyCycle: 0.5,
+  dutyCycleSweep: 0,
+  repeatTime: 0,
+  attack: 0,
+  sustain: 0.1,
+  sustainPunch: 0,
+  decay: 0.2,
+  lowPassCutoff: 0,
+  highPassCutoff: 0,
+  volume: 0.5,
+};
+
+/**
+ * SoundGenerator - renders sound effects from a parameter description
+ * instead of loading them from files.
+ *
+ * Synthesis follows sfxr: one oscillator (square, sawtooth, sine, triangle or
+ * noise) with a pitch slide, vibrato, arpeggio and repeat, shaped by an
+ * attack/sustain/decay envelope and run through one-pole low-pass and
+ * high-pass filters. Samples are computed directly into an AudioBuffer, so
+ * rendering is synchronous and doesn't depend on the audio clock.
+ *
+ * Why it's needed:
+ * Prototypes and size-constrained builds (game jams, playable ads) can't
+ * always ship audio files. A few numbers describe a jump or a coin pickup,
+ * and the result is a regular AudioBuffer that works everywhere a loaded
+ * sound does.
+ *
+ * Why it's structured this way:
+ * - Static methods only: a description in, an AudioBuffer out
+ * - Units are seconds and Hz rather than sfxr's 0..1 sliders, so values read
+ *   like the rest of the library
+ * - Everything random (noise, presets) comes from a seeded PRNG (mulberry32),
+ *   so the same description and seed always render the same samples
+ *
+ * @example
+ * const buffer = SoundGenerator.render({
+ *   waveType: 'square',
+ *   frequency: 520,
+ *   frequencySlide: 2,     // octaves per second
+ *   sustain: 0.05,
+ *   decay: 0.15,
+ * });
+ *
+ * // Randomized preset: the same seed always gives the same coin sound
+ * const coin = SoundGenerator.render(SoundGenerator.preset('pickup', 42));
+ */
+export class SoundGenerator {
+  /** Names accepted by preset(). */
+  static PRESETS = ['pickup', 'laser', 'explosion', 'powerup', 'hit', 'jump', 'blip'];
+
+  /**
+   * Renders a description into a mono AudioBuffer.
+   *
+   * @param {Object} params - Sound description. Omitted values use the defaults below
+   * @param {'square'|'sawtooth'|'sine'|'triangle'|'noise'} [params.waveType='square'] - Oscillator shape
+   * @param {number} [params.frequency=440] - Start frequency (Hz)
+   * @param {number} [params.minFrequency=0] - The sound stops when a downward slide passes this frequency (Hz)
+   * @param {number} [params.frequencySlide=0] - Pitch slide (octaves per second, negative slides down)
+   * @param {number} [params.frequencyDeltaSlide=0] - Change of the slide (octaves per second²)
+   * @param {number} [params.vibratoDepth=0] - Vibrato depth (fraction of the frequency)
+   * @param {number} [params.vibratoSpeed=0] - Vibrato rate (Hz)
+   * @param {number} [params.arpeggioMultiplier=1] - Frequency multiplier applied after arpeggioTime
+   * @param {number} [params.arpeggioTime=0] - When the arpeggio jump happens (seconds, 0 = never)
+   * @param {number} [params.dutyCycle=0.5] - Square wave duty cycle (0..1)
+   * @param {number} [params.dutyCycleSweep=0] - Duty cycle change per second
+   * @param {number} [params.repeatTime=0] - Restart pitch and arpeggio every this many seconds (0 = never)
+   * @param {number} [params.attack=0] - Envelope attack (seconds)
+   * @param {number} [params.sustain=0.1] - Envelope sustain (seconds)
+   * @param {number} [params.sustainPunch=0] - Extra volume at the start of sustain (0..1)
+   * @param {number} [params.decay=0.2] - Envelope decay (seconds)
+   * @param {number} [params.lowPassCutoff=0] - Low-pass cutoff (Hz, 0 = off)
+   * @param {number} [params.highPassCutoff=0] - High-pass cutoff (Hz, 0 = off)
+   * @param {number} [params.volume=0.5] - Output volume (0..1)
+   * @param {Object} [options={}]
+   * @param {number} [options.seed=1] - Seed for the noise generator
+   * @param {BaseAudioContext} [options.context] - Context that creates the buffer (defaults to the shared one)
+   * @returns {AudioBuffer}
+   * @throws {Error} If waveType is unknown or the envelope is empty
+   */
+  static render(params, options = {}) {
+    const p = { ...DEFAULTS, ...params };
+    if (!WAVE_TYPES.includes(p.waveType)) {
+      throw new Error(`Unknown waveType '${p.waveType}', expected one of ${WAVE_TYPES.join(', ')}`);
+    }
+    const duration = p.attack + p.sustain + p.decay;
+    if (!(duration > 0)) {
+      throw new Error('Generated sound has no duration: attack + sustain + decay must be greater than 0');
+    }
+
+    const context = options.context ?? AudioContextProvider.context;
+    const sampleRate = context.sampleRate;
+    const length = Math.ceil(duration * sampleRate);
+    const buffer = context.createBuffer(1, length, sampleRate);
+    const data = buffer.getChannelData(0);
+    const random = SoundGenerator.createRandom(options.seed ?? 1);
+
+    const dt = 1 / sampleRate;
+    const lowPass = p.lowPassCutoff > 0 ? 1 - Math.exp(-2 * Math.PI * p.lowPassCutoff * dt) : 1;
+    const highPass = p.highPassCutoff > 0 ? Math.exp(-2 * Math.PI * p.highPassCutoff * dt) : 0;
+
+    let frequency = 0;
+    let slide = 0;
+    let arpeggioDone = false;
+    let phase = 0;
+    let noise = 0;
+    let lowPassed = 0;
+    let highPassInput = 0;
+    let highPassed = 0;
+    let sectionStart = 0;
+
+    const restart = () => {
+      frequency = p.frequency;
+      slide = p.frequencySlide;
+      arpeggioDone = false;
+    };
+    restart();
+
+    for (let i = 0; i < length; i++) {
+      const t = i * dt;
+
+      if (p.repeatTime > 0 && t - sectionStart >= p.repeatTime) {
+        sectionStart = t;
+        restart();
+      }
+      if (!arpeggioDone && p.arpeggioTime > 0 && t - sectionStart >= p.arpeggioTime) {
+        frequency *= p.arpeggioMultiplier;
+        arpeggioDone = true;
+      }
+
+      slide += p.frequencyDeltaSlide * dt;
+      frequency *= Math.pow(2, slide * dt);
+      if (frequency < p.minFrequency) break;
+
+      const vibrato = p.vibratoDepth > 0 ? 1 + p.vibratoDepth * Math.sin(2 * Math.PI * p.vibratoSpeed * t) : 1;
+      const previousPhase = phase;
+      phase = (phase + frequency * vibrato * dt) % 1;
+      if (phase < previousPhase) noise = random() * 2 - 1;
+
+      let sample;
+      switch (p.waveType) {
+        case 'square': {
+          const duty = Math.min(Math.max(p.dutyCycle + p.dutyCycleSweep * t, 0.01), 0.99);
+          sample = phase < duty ? 0.5 : -0.5;
+          break;
+        }
+        case 'sawtooth':
+          sample = 1 - phase * 2;
+          break;
+        case 'sine':
+          sample = Math.sin(phase * 2 * Math.PI);
+          break;
+        case 'triangle':
+          sample = 1 - Math.abs(phase * 4 - 2);
+          break;
+        default:
+          sample = noise;
+      }
+
+      lowPassed += (sample - lowPassed) * lowPass;
+      highPassed = highPass * (highPassed + lowPassed - highPassInput);
+      highPassInput = lowPassed;
+      const filtered = p.highPassCutoff > 0 ? highPassed : lowPassed;
+
+      data[i] = Math.min(Math.max(filtered * SoundGenerator._envelope(p, t) * p.volume, -1), 1);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Returns randomized parameters for a kind of sound, like sfxr's generator
+   * buttons. The same kind and seed always give the same parameters.
+   *
+   * @param {'pickup'|'laser'|'explosion'|'powerup'|'hit'|'jump'|'blip'} kind - Kind of sound
+   * @param {number} [seed=1] - Variation
+   * @returns {Object} Parameters for render()
+   * @throws {Error} If the kind is unknown
+   */
+  static preset(kind, seed = 1) {
+    const random = SoundGenerator.createRandom(seed);
+    const between = (min, max) => min + (max - min) * random();
+    const pick = (values) => values[Math.floor(random() * values.length)];
+
+    switch (kind) {
+      case 'pickup':
+        return {
+          waveType: 'square',
+          frequency: between(700, 1600),
+          arpeggioMultiplier: between(1.3, 1.8),
+          arpeggioTime: between(0.04, 0.1),
+          sustain: between(0.03, 0.12),
+          sustainPunch: between(0.3, 0.6),
+          decay: between(0.1, 0.3),
+        };
+      case 'laser':
+        return {
+          waveType: pick(['square', 'sawtooth', 'sine']),
+          frequency: between(900, 2400),
+          minFrequency: 100,
+          frequencySlide: -between(6, 20),
+          dutyCycle: between(0.2, 0.5),
+          dutyCycleSweep: between(-0.5, 0.5),
+          sustain: between(0.05, 0.15),
+          decay: between(0.05, 0.2),
+          highPassCutoff: random() < 0.3 ? between(100, 600) : 0,
+        };
+      case 'explosion':
+        return {
+          waveType: 'noise',
+          frequency: between(60, 400),
+          frequencySlide: -between(0, 2),
+          sustain: between(0.1, 0.3),
+          sustainPunch: between(0.2, 0.8),
+          decay: between(0.3, 0.8),
+          lowPassCutoff: between(800, 4000),
+          volume: 0.35,
+        };
+      case 'powerup':
+        return {
+          waveType: pick(['square', 'sawtooth']),
+          frequency: between(200, 600),
+          frequencySlide: between(1, 4),
+          vibratoDepth: random() < 0.5 ? between(0.05, 0.2) : 0,
+          vibratoSpeed: between(5, 15),
+          repeatTime: random() < 0.5 ? between(0.08, 0.2) : 0,
+          sustain: between(0.1, 0.3),
+          decay: between(0.1, 0.4),
+        };
+      case 'hit':
+        return {
+          waveType: pick(['square', 'sawtooth', 'noise']),
+          frequency: between(150, 800),
+          minFrequency: 40,
+          frequencySlide: -between(3, 10),
+          sustain: between(0.01, 0.05),
+          decay: between(0.05, 0.2),
+          highPassCutoff: random() < 0.5 ? between(100, 400) : 0,
+        };
+      case 'jump':
+        return {
+          waveType: 'square',
+          frequency: between(250, 600),
+          frequencySlide: between(2, 6),
+          dutyCycle: between(0.2, 0.6),
+          sustain: between(0.05, 0.15),
+          decay: between(0.05, 0.2),
+          lowPassCutoff: random() < 0.5 ? between(2000, 8000) : 0,
+        };
+      case 'blip':
+        return {
+          waveType: pick(['square', 'sine']),
+          frequency: between(400, 1400),
+          dutyCycle: between(0.2, 0.5),
+          sustain: between(0.02, 0.06),
+          decay: between(0.01, 0.05),
+        };
+      default:
+        throw new Error(`Unknown preset '${kind}', expected one of ${SoundGenerator.PRESETS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Creates a seeded pseudo-random generator (mulberry32).
+   *
+   * @param {number} seed - Any number; equal seeds give equal sequences
+   * @returns {() => number} Function returning numbers in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = (seed >>> 0) || 1;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Envelope level at time t: linear attack, sustain with an optional punch
+   * that fades out over the sustain, linear decay.
+   *
+   * @private
+   */
+  static _envelope(p, t) {
+    if (t < p.attack) return t / p.attack;
+    t -= p.attack;
+    if (t < p.sustain) return 1 + p.sustainPunch * 2 * (1 - t / p.sustain);
+    t -= p.sustain;
+    return p.decay > 0 ? Math.max(1 - t / p.decay, 0) : 0;
+  }
+}
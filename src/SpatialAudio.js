@@ -153,6 +153,7 @@ export class SpatialAudio extends AudioItem {
    * @returns {SpatialAudio} this for method chaining
    */
   setDirectionalCone(coneInnerAngle, coneOuterAngle, coneOuterGain) {
+    this._assertNotDisposed('setDirectionalCone()');
     this.panner.coneInnerAngle = coneInnerAngle;
     this.panner.coneOuterAngle = coneOuterAngle;
     this.panner.coneOuterGain = coneOuterGain;
@@ -175,6 +176,7 @@ export class SpatialAudio extends AudioItem {
    * @returns {SpatialAudio} this for method chaining
    */
   setPosition(position) {
+    this._assertNotDisposed('setPosition()');
     if (this.hasPlaybackControl === true && this.isPlaying === false) return this;
 
     const panner = this.panner;
@@ -208,6 +210,7 @@ export class SpatialAudio extends AudioItem {
    * @returns {SpatialAudio} this for method chaining
    */
   setOrientation(orientation) {
+    this._assertNotDisposed('setOrientation()');
     const panner = this.panner;
     const { x, y, z } = orientation;
 
@@ -253,4 +256,15 @@ export class SpatialAudio extends AudioItem {
     }
     return this;
   }
+
+  /**
+   * Releases the item's nodes, including the panner.
+   *
+   * @see AudioItem#dispose
+   */
+  dispose() {
+    if (this.disposed) return;
+    super.dispose();
+    this.panner.disconnect();
+  }
 }
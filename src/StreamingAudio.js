@@ -0,0 +1,337 @@
+import { AudioItem } from './AudioItem.js';
+
+/**
+ * StreamingAudio - audio item that streams from a media element instead of
+ * decoding the whole file up front.
+ *
+ * Plays through an HTMLMediaElement routed into the Web Audio graph with
+ * createMediaElementSource(), so it shares the listener, filters and volume
+ * handling of AudioItem while the browser downloads and decodes the file
+ * progressively.
+ *
+ * Why it's needed:
+ * decodeAudioData() turns a file into raw PCM: a 5-minute stereo track at
+ * 44.1 kHz takes about 100 MB of memory and can't start until fully decoded.
+ * For music and ambience a media element starts almost immediately and keeps
+ * only a small window of decoded audio in memory.
+ *
+ * Why it's structured this way:
+ * - Extends AudioItem and keeps its play/pause/stop/volume API, so streams and
+ *   buffers are interchangeable in game code
+ * - Playback control goes through the media element (play/pause/currentTime),
+ *   not through AudioBufferSourceNodes, so hasPlaybackControl stays true
+ * - A media element can only be wired to one MediaElementAudioSourceNode,
+ *   so each StreamingAudio owns its element
+ * - Lifecycle events come from the element's own events: 'play' fires once
+ *   the element actually starts, 'loop' when a looping element seeks back
+ *   to the start
+ * - Sample-accurate features of buffers (detune, loopStart/loopEnd, scheduling
+ *   with precise delays) are not available on media elements
+ *
+ * @example
+ * const music = new StreamingAudio(listener, 'music/theme.mp3');
+ * music.loop = true;
+ * music.volume = 0.6;
+ * music.on('ended', () => console.log('done'));
+ * music.play();
+ * music.seek(30);
+ */
+export class StreamingAudio extends AudioItem {
+  /**
+   * Creates a new StreamingAudio.
+   *
+   * @param {AudioListenerController} listener - AudioListenerController instance to connect to
+   * @param {string|HTMLMediaElement} [source] - URL to stream, or an existing audio element
+   */
+  constructor(listener, source) {
+    super(listener);
+
+    /** @type {HTMLMediaElement} */
+    this.element = typeof source === 'object' && source !== null ? source : document.createElement('audio');
+    /** @private Whether the element was created here, and is emptied by dispose() */
+    this._ownsElement = this.element !== source;
+    if (this._ownsElement) {
+      this.element.preload = 'auto';
+      this.element.crossOrigin = 'anonymous';
+      if (source) this.element.src = source;
+    }
+
+    /** @type {Function|null} Called with this item when playback reaches the end, after the 'ended' event */
+    this.onended = null;
+
+    this._delayTimer = null;
+    this._stopping = false;
+    this._seeking = false;
+    this._listen(this.element, 'seeked', (event) => this._onMediaEvent(event));
+
+    this.setMediaElementSource(this.element);
+    this.hasPlaybackControl = true;
+  }
+
+  /**
+   * Gets the URL being streamed.
+   *
+   * @returns {string}
+   */
+  get src() {
+    return this.element.src;
+  }
+
+  /**
+   * Sets the URL to stream. Stops the current playback.
+   *
+   * @param {string} value - URL of the audio file
+   */
+  set src(value) {
+    this.stop();
+    this.element.src = value;
+  }
+
+  /**
+   * Current playback position in seconds, from offset. Setting it seeks.
+   *
+   * @returns {number}
+   */
+  get currentTime() {
+    return this.getPosition();
+  }
+
+  /**
+   * Seeks to a position. See seek().
+   *
+   * @param {number} value - Position in seconds
+   */
+  set currentTime(value) {
+    this.seek(value);
+  }
+
+  /**
+   * Length of the stream in seconds. NaN until metadata has loaded, Infinity
+   * for live streams.
+   *
+   * @returns {number}
+   */
+  get streamDuration() {
+    return this.element.duration;
+  }
+
+  /**
+   * Starts or resumes the element. play() adds fades around it.
+   *
+   * The browser may reject playback that isn't started from a user gesture;
+   * such failures are logged and isPlaying is reset.
+   *
+   * @protected
+   * @param {number} delay - Delay in seconds before starting playback
+   * @returns {StreamingAudio} this for method chaining
+   */
+  _play(delay) {
+    if (this.isPlaying === true) {
+      console.warn('Audio is already playing.');
+      return;
+    }
+
+    this.isPlaying = true;
+
+    if (delay > 0) {
+      this._delayTimer = setTimeout(() => {
+        this._delayTimer = null;
+        this._startElement();
+      }, delay * 1000);
+    } else {
+      this._startElement();
+    }
+
+    return this;
+  }
+
+  /**
+   * Pauses the element, keeping the position. pause() adds fades around it.
+   *
+   * @protected
+   * @returns {StreamingAudio} this for method chaining
+   */
+  _pause() {
+    this._cancelDelay();
+    this.element.pause();
+    this.isPlaying = false;
+    return this;
+  }
+
+  /**
+   * Stops the element and rewinds to offset. stop() adds fades around it.
+   * Replaces a delayed stop that is still pending.
+   *
+   * @protected
+   * @param {number} delay - Delay in seconds before stopping
+   * @returns {StreamingAudio} this for method chaining
+   */
+  _stop(delay) {
+    this._cancelDelay();
+
+    if (delay > 0) {
+      this._delayTimer = setTimeout(() => {
+        this._delayTimer = null;
+        this._stop(0);
+      }, delay * 1000);
+      return this;
+    }
+
+    // The element's pause event reports this as 'stop' rather than 'pause'
+    if (!this.element.paused) this._stopping = true;
+    this.element.pause();
+    this._seekElement(this.offset);
+    this.isPlaying = false;
+    return this;
+  }
+
+  /**
+   * Gets the playback position in seconds, from offset. The media element
+   * keeps track of it, including across rate changes and loops.
+   *
+   * @returns {number} Position in seconds
+   */
+  getPosition() {
+    return Math.max(this.element.currentTime - this.offset, 0);
+  }
+
+  /**
+   * Jumps to a position in the stream, counted from offset. Works while
+   * playing or paused.
+   *
+   * @param {number} time - Position in seconds
+   * @returns {StreamingAudio} this for method chaining
+   */
+  seek(time) {
+    this._assertNotDisposed('seek()');
+    this._seekElement(this.offset + Math.max(0, time));
+    return this;
+  }
+
+  /**
+   * Gets the length of the stream from offset in seconds. NaN until metadata
+   * has loaded, Infinity for live streams.
+   *
+   * @returns {number}
+   */
+  getDuration() {
+    return this.element.duration - this.offset;
+  }
+
+  /**
+   * Sets whether the stream loops. Applied immediately.
+   *
+   * @param {boolean} value - true to enable looping
+   * @returns {StreamingAudio} this for method chaining
+   */
+  setLoop(value) {
+    this._assertNotDisposed('setLoop()');
+    this.loop = value;
+    this.element.loop = value;
+    return this;
+  }
+
+  /**
+   * Sets the playback rate. Media elements keep the pitch by default.
+   *
+   * @param {number} value - Playback rate multiplier
+   * @returns {StreamingAudio} this for method chaining
+   */
+  setPlaybackRate(value) {
+    this._assertNotDisposed('setPlaybackRate()');
+    this.playbackRate = value;
+    this.element.playbackRate = value;
+    return this;
+  }
+
+  /**
+   * Stores the detune value. Media elements can't be detuned, so it has no
+   * audible effect on streams.
+   *
+   * @param {number} value - Detune value in cents
+   * @returns {StreamingAudio} this for method chaining
+   */
+  setDetune(value) {
+    this._assertNotDisposed('setDetune()');
+    this.detune = value;
+    return this;
+  }
+
+  /**
+   * Stops the stream and releases the item's nodes. An element created by
+   * this item is emptied so the browser drops its download and buffers; an
+   * element passed in is only paused.
+   *
+   * @see AudioItem#dispose
+   */
+  dispose() {
+    if (this.disposed) return;
+    this._cancelDelay();
+    this._stopping = false;
+    this.element.pause();
+    super.dispose();
+    if (this._ownsElement) {
+      this.element.removeAttribute('src');
+      this.element.load();
+    }
+  }
+
+  /**
+   * Called when the media element reaches the end (not while looping).
+   */
+  onEnded() {
+    super.onEnded();
+    if (this.onended) this.onended(this);
+  }
+
+  /** @private */
+  _onMediaEvent(event) {
+    if (event.type === 'pause' && this._stopping) {
+      this._stopping = false;
+      this.isPlaying = false;
+      this._emit('stop');
+    } else if (event.type === 'seeked') {
+      // Seeks not started by seek()/stop() are the element wrapping around
+      if (!this._seeking && this.loop && this.isPlaying) this._emit('loop');
+      this._seeking = false;
+    } else {
+      super._onMediaEvent(event);
+    }
+  }
+
+  /** @private */
+  _startElement() {
+    this.element.loop = this.loop;
+    this.element.playbackRate = this.playbackRate;
+    if (this.element.ended || (this.element.currentTime === 0 && this.offset > 0)) {
+      this._seekElement(this.offset);
+    }
+
+    const result = this.element.play();
+    if (result && typeof result.catch === 'function') {
+      result.catch((e) => {
+        this.isPlaying = false;
+        console.warn('Unable to start streaming audio:', e);
+      });
+    }
+  }
+
+  /** @private */
+  _seekElement(time) {
+    try {
+      this._seeking = true;
+      this.element.currentTime = time;
+    } catch (e) {
+      // Setting currentTime before metadata is available throws in some browsers
+      this._seeking = false;
+    }
+  }
+
+  /** @private */
+  _cancelDelay() {
+    if (this._delayTimer !== null) {
+      clearTimeout(this._delayTimer);
+      this._delayTimer = null;
+    }
+  }
+}
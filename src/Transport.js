@@ -0,0 +1,285 @@
+import { AudioContextProvider } from './AudioContextProvider.js';
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Transport - musical clock on the AudioContext timeline: tempo, time
+ * signature, bar/beat positions, quantization and look-ahead scheduling.
+ *
+ * The transport maps context time to beats. quantize() and its shortcuts
+ * nextBeat()/nextBar() return the exact context time of the next grid line,
+ * to pass as the `at` option of AudioItem.play()/stop() or OneShotAudio.play().
+ * schedule() and the 'beat'/'bar' events run a little ahead of time with the
+ * exact time of the beat, so callbacks can schedule sounds on it.
+ *
+ * Why it's needed:
+ * Timers (setTimeout, requestAnimationFrame) jitter by several milliseconds
+ * and stall in background tabs, which is audible in anything rhythmic. The
+ * audio clock is sample-accurate, but only if sounds are scheduled on it in
+ * advance rather than started "now" from a timer.
+ *
+ * Why it's structured this way:
+ * - "Two clocks" scheduling: a coarse timer wakes up every `interval` seconds
+ *   and hands out everything due within the next `lookAhead` seconds, with
+ *   exact context times. The timer only needs to be early, never precise
+ * - Tempo changes keep the current beat position: the beat/time mapping is
+ *   re-anchored at the change. Beats already handed out (within lookAhead)
+ *   keep their times
+ * - Beats and bars count from 0; `beatsPerBar` and `beatUnit` describe the time
+ *   signature, and the tempo counts beats (of `beatUnit`) per minute
+ * - Events are { type, target, beat, bar, beatInBar, time }. Beats missed while
+ *   timers were throttled (background tab) are skipped, not handed out late
+ *
+ * @example
+ * const transport = new Transport({ bpm: 128, beatsPerBar: 4 });
+ * transport.start();
+ *
+ * // Start a stinger on the next bar line, sample-accurately
+ * manager.get('stinger').play({ at: transport.nextBar() });
+ * OneShotAudio.play('hit', { at: transport.nextBeat() });
+ *
+ * // Metronome
+ * transport.on('beat', ({ time, beatInBar }) => {
+ *   OneShotAudio.play(beatInBar === 0 ? 'tick_high' : 'tick', { at: time });
+ * });
+ */
+export class Transport extends EventEmitter {
+  /**
+   * Creates a new Transport.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.bpm=120] - Tempo in beats per minute
+   * @param {number} [options.beatsPerBar=4] - Beats per bar (time signature numerator)
+   * @param {number} [options.beatUnit=4] - Note value of a beat (time signature denominator)
+   * @param {number} [options.lookAhead=0.1] - How far ahead (seconds) beats and scheduled callbacks are handed out
+   * @param {number} [options.interval=0.025] - How often (seconds) the scheduler wakes up
+   * @param {BaseAudioContext} [options.context] - Context whose clock to follow (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    super();
+    this.context = options.context ?? AudioContextProvider.context;
+    this.bpm = options.bpm ?? 120;
+    this.beatsPerBar = options.beatsPerBar ?? 4;
+    this.beatUnit = options.beatUnit ?? 4;
+    this.lookAhead = options.lookAhead ?? 0.1;
+    this.interval = options.interval ?? 0.025;
+    this.isRunning = false;
+
+    /** @private Beat/time mapping: beat _anchorBeat is at context time _anchorTime */
+    this._anchorTime = 0;
+    this._anchorBeat = 0;
+    /** @private Next beat to hand out */
+    this._nextBeat = 0;
+    /** @private Callbacks sorted by beat: { id, beat, callback } */
+    this._scheduled = [];
+    this._nextId = 1;
+    this._timer = null;
+  }
+
+  /**
+   * Length of a beat in seconds at the current tempo.
+   *
+   * @returns {number}
+   */
+  get secondsPerBeat() {
+    return 60 / this.bpm;
+  }
+
+  /**
+   * Starts the transport: beat 0 is at `time`.
+   *
+   * @param {number} [time] - Context time of beat 0 (defaults to now)
+   * @param {number} [beat=0] - Beat to start from
+   * @returns {Transport} this for method chaining
+   */
+  start(time = this.context.currentTime, beat = 0) {
+    this.stop();
+    this._anchorTime = time;
+    this._anchorBeat = beat;
+    this._nextBeat = Math.ceil(beat);
+    this.isRunning = true;
+    this._tick();
+    this._timer = setInterval(() => this._tick(), this.interval * 1000);
+    return this;
+  }
+
+  /**
+   * Stops the transport. Callbacks scheduled with schedule() are kept.
+   *
+   * @returns {Transport} this for method chaining
+   */
+  stop() {
+    if (this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this.isRunning = false;
+    return this;
+  }
+
+  /**
+   * Changes the tempo, keeping the current beat position.
+   *
+   * @param {number} bpm - Beats per minute
+   * @returns {Transport} this for method chaining
+   */
+  setBpm(bpm) {
+    if (!(bpm > 0)) throw new Error(`Invalid tempo ${bpm}, expected a positive number of beats per minute`);
+    const now = this.context.currentTime;
+    if (this.isRunning && now > this._anchorTime) {
+      this._anchorBeat = this.timeToBeat(now);
+      this._anchorTime = now;
+    }
+    this.bpm = bpm;
+    return this;
+  }
+
+  /**
+   * Changes the time signature. Bar numbers are counted from beat 0 with the
+   * new signature.
+   *
+   * @param {number} beatsPerBar - Beats per bar
+   * @param {number} [beatUnit] - Note value of a beat
+   * @returns {Transport} this for method chaining
+   */
+  setTimeSignature(beatsPerBar, beatUnit = this.beatUnit) {
+    this.beatsPerBar = beatsPerBar;
+    this.beatUnit = beatUnit;
+    return this;
+  }
+
+  /**
+   * Converts a context time to a (fractional) beat.
+   *
+   * @param {number} time - Context time in seconds
+   * @returns {number} Beat, negative before the start
+   */
+  timeToBeat(time) {
+    return this._anchorBeat + (time - this._anchorTime) / this.secondsPerBeat;
+  }
+
+  /**
+   * Converts a beat to context time.
+   *
+   * @param {number} beat - Beat (may be fractional)
+   * @returns {number} Context time in seconds
+   */
+  beatToTime(beat) {
+    return this._anchorTime + (beat - this._anchorBeat) * this.secondsPerBeat;
+  }
+
+  /**
+   * Gets the musical position at a time.
+   *
+   * @param {number} [time] - Context time (defaults to now)
+   * @returns {{ beats: number, bar: number, beat: number }} Total beats (fractional),
+   *   bar, and beat within the bar (fractional), all from 0
+   */
+  getPosition(time = this.context.currentTime) {
+    const beats = this.timeToBeat(time);
+    const bar = Math.floor(beats / this.beatsPerBar);
+    return { beats, bar, beat: beats - bar * this.beatsPerBar };
+  }
+
+  /**
+   * Returns the context time of the next grid line at or after a time.
+   *
+   * Times within a millisecond after a grid line snap to it rather than to
+   * the next one. Before the first start() the grid is anchored at context
+   * time 0.
+   *
+   * @param {'beat'|'bar'|number} [grid='beat'] - Grid: a beat, a bar, or a length in beats (0.5 = half a beat)
+   * @param {number} [time] - Context time to quantize (defaults to now)
+   * @returns {number} Context time in seconds
+   * @throws {Error} If the grid is not positive
+   */
+  quantize(grid = 'beat', time = this.context.currentTime) {
+    const size = grid === 'bar' ? this.beatsPerBar : grid === 'beat' ? 1 : grid;
+    if (!(size > 0)) throw new Error(`Invalid quantize grid '${grid}'`);
+    const tolerance = 0.001 / this.secondsPerBeat;
+    const beat = Math.ceil((this.timeToBeat(time) - tolerance) / size) * size;
+    return Math.max(this.beatToTime(beat), time);
+  }
+
+  /**
+   * Context time of the next beat.
+   *
+   * @param {number} [time] - From this time (defaults to now)
+   * @returns {number}
+   */
+  nextBeat(time) {
+    return this.quantize('beat', time);
+  }
+
+  /**
+   * Context time of the next bar line.
+   *
+   * @param {number} [time] - From this time (defaults to now)
+   * @returns {number}
+   */
+  nextBar(time) {
+    return this.quantize('bar', time);
+  }
+
+  /**
+   * Calls a callback ahead of time for a beat, with the beat's exact context
+   * time. Beats already in the past when the transport reaches them are
+   * called right away with their (past) time.
+   *
+   * @param {number} beat - Beat (may be fractional), see timeToBeat()
+   * @param {Function} callback - Called with (time, beat)
+   * @returns {number} Id for cancel()
+   */
+  schedule(beat, callback) {
+    const entry = { id: this._nextId++, beat, callback };
+    let index = this._scheduled.length;
+    while (index > 0 && this._scheduled[index - 1].beat > beat) index--;
+    this._scheduled.splice(index, 0, entry);
+    return entry.id;
+  }
+
+  /**
+   * Cancels a callback added with schedule().
+   *
+   * @param {number} id - Id returned by schedule()
+   * @returns {boolean} true if it was still pending
+   */
+  cancel(id) {
+    const index = this._scheduled.findIndex((entry) => entry.id === id);
+    if (index === -1) return false;
+    this._scheduled.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Hands out everything due before the look-ahead horizon.
+   *
+   * @private
+   */
+  _tick() {
+    if (!this.isRunning) return;
+    const now = this.context.currentTime;
+    const horizon = now + this.lookAhead;
+
+    // Beats missed while timers were throttled (background tab) are skipped
+    if (this.beatToTime(this._nextBeat) < now) this._nextBeat = Math.ceil(this.timeToBeat(now));
+
+    while (this._scheduled.length > 0 && this.beatToTime(this._scheduled[0].beat) < horizon) {
+      const { beat, callback } = this._scheduled.shift();
+      callback(this.beatToTime(beat), beat);
+    }
+
+    while (this.beatToTime(this._nextBeat) < horizon) {
+      const beat = this._nextBeat++;
+      const bar = Math.floor(beat / this.beatsPerBar);
+      const event = {
+        target: this,
+        beat,
+        bar,
+        beatInBar: beat - bar * this.beatsPerBar,
+        time: this.beatToTime(beat),
+      };
+      if (event.beatInBar === 0) this.emit('bar', { type: 'bar', ...event });
+      this.emit('beat', { type: 'beat', ...event });
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * WavEncoder - encodes an AudioBuffer as a WAV (RIFF) file.
+ *
+ * Supports 16- and 24-bit integer PCM and 32-bit float. Channels are
+ * interleaved in the order of the AudioBuffer; samples outside [-1, 1] are
+ * clipped for the integer formats.
+ *
+ * Why it's needed:
+ * Rendered audio (see OfflineRenderer) has to leave the browser in a format
+ * every editor and player understands, and regression tests need a stable
+ * byte representation to compare. WAV is uncompressed, trivial to write and
+ * needs no codec.
+ *
+ * @example
+ * const wav = WavEncoder.encode(buffer, { bitDepth: 24 });
+ * const url = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+ */
+export class WavEncoder {
+  /**
+   * Encodes an AudioBuffer into WAV file bytes.
+   *
+   * @param {AudioBuffer} audioBuffer - Audio to encode
+   * @param {Object} [options={}]
+   * @param {16|24|32} [options.bitDepth=16] - 16/24-bit integer PCM, or 32-bit float
+   * @returns {ArrayBuffer} Complete WAV file
+   * @throws {Error} If bitDepth isn't 16, 24 or 32
+   */
+  static encode(audioBuffer, options = {}) {
+    const bitDepth = options.bitDepth ?? 16;
+    if (bitDepth !== 16 && bitDepth !== 24 && bitDepth !== 32) {
+      throw new Error(`Unsupported WAV bit depth ${bitDepth}, expected 16, 24 or 32`);
+    }
+
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, bitDepth === 32 ? 3 : 1, true); // 3 = IEEE float, 1 = integer PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let channel = 0; channel < channels; channel++) {
+      data.push(audioBuffer.getChannelData(channel));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = data[channel][i];
+        if (bitDepth === 32) {
+          view.setFloat32(offset, sample, true);
+        } else {
+          const clipped = Math.max(-1, Math.min(1, sample));
+          if (bitDepth === 16) {
+            view.setInt16(offset, Math.round(clipped < 0 ? clipped * 0x8000 : clipped * 0x7fff), true);
+          } else {
+            const value = Math.round(clipped < 0 ? clipped * 0x800000 : clipped * 0x7fffff);
+            view.setUint8(offset, value & 0xff);
+            view.setUint8(offset + 1, (value >> 8) & 0xff);
+            view.setUint8(offset + 2, (value >> 16) & 0xff);
+          }
+        }
+        offset += bytesPerSample;
+      }
+    }
+
+    return view.buffer;
+  }
+
+  /**
+   * Encodes an AudioBuffer into a WAV Blob, ready for download or upload.
+   *
+   * @param {AudioBuffer} audioBuffer - Audio to encode
+   * @param {Object} [options={}] - Same as encode()
+   * @returns {Blob} Blob of type 'audio/wav'
+   */
+  static toBlob(audioBuffer, options = {}) {
+    return new Blob([WavEncoder.encode(audioBuffer, options)], { type: 'audio/wav' });
+  }
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
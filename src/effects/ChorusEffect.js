@@ -0,0 +1,53 @@
+import { EffectUnit } from './EffectUnit.js';
+
+/**
+ * ChorusEffect - a short delay whose time is swept by a sine LFO.
+ *
+ * Parameters, all AudioParam-backed: `rate` (Hz) of the LFO, `depth`
+ * (seconds the delay time swings either way) and `delay` (center delay time
+ * in seconds).
+ *
+ * @example
+ * const chorus = new ChorusEffect({ rate: 0.8, depth: 0.004 });
+ * mixer.getBus('music').setFilter(chorus);
+ */
+export class ChorusEffect extends EffectUnit {
+  static type = 'chorus';
+
+  /**
+   * Creates a new ChorusEffect. The LFO runs until dispose().
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.rate=1.5] - LFO frequency in Hz
+   * @param {number} [options.depth=0.003] - Delay time swing in seconds
+   * @param {number} [options.delay=0.02] - Center delay time in seconds
+   * @param {number} [options.mix=0.5] - Wet share
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   */
+  constructor(options = {}) {
+    super(options, 0.5);
+    this.delay = this.context.createDelay(0.1);
+    this.lfo = this.context.createOscillator();
+    this.lfo.type = 'sine';
+    this.depthGain = this.context.createGain();
+    this.input.connect(this.delay);
+    this.delay.connect(this.wet);
+    this.lfo.connect(this.depthGain);
+    this.depthGain.connect(this.delay.delayTime);
+
+    this._defineParam('rate', { value: options.rate ?? 1.5, min: 0.01, max: 20, param: this.lfo.frequency });
+    this._defineParam('depth', { value: options.depth ?? 0.003, min: 0, max: 0.02, param: this.depthGain.gain });
+    this._defineParam('delay', { value: options.delay ?? 0.02, min: 0.001, max: 0.05, param: this.delay.delayTime });
+    this.lfo.start();
+  }
+
+  dispose() {
+    this.lfo.stop();
+    this.lfo.disconnect();
+    this.depthGain.disconnect();
+    this.delay.disconnect();
+    super.dispose();
+  }
+}
+
+EffectUnit.register(ChorusEffect);
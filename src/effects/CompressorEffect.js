@@ -0,0 +1,68 @@
+import { EffectUnit } from './EffectUnit.js';
+
+/**
+ * CompressorEffect - DynamicsCompressorNode with makeup gain.
+ *
+ * Parameters: `threshold` (dB), `knee` (dB), `ratio`, `attack` and `release`
+ * (seconds) are the compressor's own AudioParams; `makeup` (dB) boosts the
+ * compressed signal back up.
+ *
+ * @example
+ * const glue = new CompressorEffect({ threshold: -18, ratio: 3, makeup: 4 });
+ * mixer.getBus('music').setFilter(glue);
+ */
+export class CompressorEffect extends EffectUnit {
+  static type = 'compressor';
+
+  /**
+   * Creates a new CompressorEffect.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.threshold=-24] - Level (dB) above which the signal is compressed
+   * @param {number} [options.knee=30] - Range (dB) above the threshold where the curve eases into the ratio
+   * @param {number} [options.ratio=12] - Input dB change for 1 dB output change
+   * @param {number} [options.attack=0.003] - Seconds to reduce the gain by 10 dB
+   * @param {number} [options.release=0.25] - Seconds to increase the gain by 10 dB
+   * @param {number} [options.makeup=0] - Gain (dB) applied after compression
+   * @param {number} [options.mix=1] - Wet share (below 1 for parallel compression)
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   */
+  constructor(options = {}) {
+    super(options, 1);
+    this.compressor = this.context.createDynamicsCompressor();
+    this.makeupGain = this.context.createGain();
+    this.input.connect(this.compressor);
+    this.compressor.connect(this.makeupGain);
+    this.makeupGain.connect(this.wet);
+
+    const c = this.compressor;
+    this._defineParam('threshold', { value: options.threshold ?? -24, min: -100, max: 0, param: c.threshold });
+    this._defineParam('knee', { value: options.knee ?? 30, min: 0, max: 40, param: c.knee });
+    this._defineParam('ratio', { value: options.ratio ?? 12, min: 1, max: 20, param: c.ratio });
+    this._defineParam('attack', { value: options.attack ?? 0.003, min: 0, max: 1, param: c.attack });
+    this._defineParam('release', { value: options.release ?? 0.25, min: 0, max: 1, param: c.release });
+    this._defineParam('makeup', {
+      value: options.makeup ?? 0,
+      min: -24,
+      max: 24,
+      apply: (db, seconds) => this._rampTo(this.makeupGain.gain, Math.pow(10, db / 20), seconds),
+    });
+  }
+
+  /**
+   * Current gain reduction in dB (0 or negative), for meters.
+   *
+   * @returns {number}
+   */
+  get reduction() {
+    return this.compressor.reduction;
+  }
+
+  dispose() {
+    this.compressor.disconnect();
+    this.makeupGain.disconnect();
+    super.dispose();
+  }
+}
+
+EffectUnit.register(CompressorEffect);
@@ -0,0 +1,52 @@
+import { EffectUnit } from './EffectUnit.js';
+
+/**
+ * DelayEffect - echo: a DelayNode feeding back into itself.
+ *
+ * Parameters: `time` (seconds, up to maxTime) and `feedback` (0 - 0.95, the
+ * level of each repeat relative to the previous one), both AudioParam-backed.
+ *
+ * @example
+ * const echo = new DelayEffect({ time: 0.375, feedback: 0.45, mix: 0.25 });
+ * manager.get('voice').setFilter(echo);
+ * echo.setParam('time', 0.5, 1); // tape-style pitch bend while it moves
+ */
+export class DelayEffect extends EffectUnit {
+  static type = 'delay';
+
+  /**
+   * Creates a new DelayEffect.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.time=0.25] - Delay time in seconds
+   * @param {number} [options.feedback=0.35] - Repeat level (0 - 0.95)
+   * @param {number} [options.maxTime=2] - Longest delay time the unit supports (fixed)
+   * @param {number} [options.mix=0.3] - Wet share
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   */
+  constructor(options = {}) {
+    super(options, 0.3);
+    this.maxTime = options.maxTime ?? 2;
+    this.delay = this.context.createDelay(this.maxTime);
+    this.feedback = this.context.createGain();
+    this.input.connect(this.delay);
+    this.delay.connect(this.feedback);
+    this.feedback.connect(this.delay);
+    this.delay.connect(this.wet);
+
+    this._defineParam('time', { value: options.time ?? 0.25, min: 0, max: this.maxTime, param: this.delay.delayTime });
+    this._defineParam('feedback', { value: options.feedback ?? 0.35, min: 0, max: 0.95, param: this.feedback.gain });
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), maxTime: this.maxTime };
+  }
+
+  dispose() {
+    this.delay.disconnect();
+    this.feedback.disconnect();
+    super.dispose();
+  }
+}
+
+EffectUnit.register(DelayEffect);
@@ -0,0 +1,68 @@
+import { EffectUnit } from './EffectUnit.js';
+
+/**
+ * Builds a soft-clipping curve; higher amounts clip harder.
+ *
+ * @param {number} amount - Drive, 0 - 100
+ * @returns {Float32Array}
+ */
+function createCurve(amount) {
+  const samples = 2048;
+  const curve = new Float32Array(samples);
+  const k = amount * 2;
+  for (let i = 0; i < samples; i++) {
+    const x = (i * 2) / (samples - 1) - 1;
+    curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+  }
+  return curve;
+}
+
+/**
+ * DistortionEffect - WaveShaperNode overdrive followed by a tone (lowpass) filter.
+ *
+ * Parameters: `amount` (0 - 100) rebuilds the shaping curve, so it can't be
+ * ramped or automated; `tone` (Hz) is the filter's AudioParam.
+ *
+ * @example
+ * const radio = new DistortionEffect({ amount: 30, tone: 3000 });
+ * manager.get('radio_chatter').setFilter(radio);
+ */
+export class DistortionEffect extends EffectUnit {
+  static type = 'distortion';
+
+  /**
+   * Creates a new DistortionEffect.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.amount=20] - Drive, 0 - 100
+   * @param {number} [options.tone=8000] - Lowpass frequency (Hz) after the shaper
+   * @param {number} [options.mix=1] - Wet share
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   */
+  constructor(options = {}) {
+    super(options, 1);
+    this.shaper = this.context.createWaveShaper();
+    this.shaper.oversample = '4x';
+    this.toneFilter = this.context.createBiquadFilter();
+    this.toneFilter.type = 'lowpass';
+    this.input.connect(this.shaper);
+    this.shaper.connect(this.toneFilter);
+    this.toneFilter.connect(this.wet);
+
+    this._defineParam('amount', {
+      value: options.amount ?? 20,
+      min: 0,
+      max: 100,
+      apply: (amount) => { this.shaper.curve = createCurve(amount); },
+    });
+    this._defineParam('tone', { value: options.tone ?? 8000, min: 200, max: 22050, param: this.toneFilter.frequency });
+  }
+
+  dispose() {
+    this.shaper.disconnect();
+    this.toneFilter.disconnect();
+    super.dispose();
+  }
+}
+
+EffectUnit.register(DistortionEffect);
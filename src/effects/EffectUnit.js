@@ -0,0 +1,298 @@
+import { AudioContextProvider } from '../AudioContextProvider.js';
+
+/** Time constant (seconds) of parameter changes without a ramp */
+const SMOOTHING = 0.01;
+/** Default bypass crossfade length in seconds */
+const CROSSFADE = 0.03;
+
+/**
+ * EffectUnit - base class of the built-in effects (EqEffect, CompressorEffect,
+ * DelayEffect, DistortionEffect, ChorusEffect, ReverbEffect).
+ *
+ * A unit is a small node graph with an `input` and an `output` gain, so it can
+ * be used anywhere a filter node can: AudioItem.setFilters(), listener.setFilter(),
+ * MixerBus.setFilter(), or in an EffectRack. Inside, the input is split into a
+ * dry path and the effect (wet) path, mixed back at the output.
+ *
+ * Why it's needed:
+ * Every effect needs the same plumbing around its nodes: wet/dry mixing, a
+ * bypass that doesn't click, parameters that can be set, ramped and saved.
+ * Building that by hand for each raw AudioNode is where most of the bugs are.
+ *
+ * Why it's structured this way:
+ * - Parameters are declared by name with a range. Those backed by an AudioParam
+ *   can be ramped with setParam(name, value, seconds) or automated directly
+ *   through getAudioParam(name); the others (e.g. distortion amount, reverb
+ *   length) rebuild what they drive when set
+ * - `mix` is the wet share (0 = dry only, 1 = effect only). Bypass crossfades
+ *   to the dry path instead of rewiring, so it can be toggled while playing
+ * - toJSON() is { type, bypassed, ...parameters }, which is also what the
+ *   constructor takes; EffectUnit.fromJSON() looks the type up among the
+ *   registered effects (built-ins register themselves)
+ *
+ * @example
+ * const delay = new DelayEffect({ time: 0.25, feedback: 0.4, mix: 0.3 });
+ * item.setFilter(delay);
+ * delay.setParam('feedback', 0.6, 2); // over two seconds
+ * delay.bypassed = true;
+ * const saved = delay.toJSON();      // { type: 'delay', bypassed: true, time: 0.25, feedback: 0.6, ... }
+ * const copy = EffectUnit.fromJSON(saved);
+ */
+export class EffectUnit {
+  /** @type {Object<string, typeof EffectUnit>} Effect classes by type, for fromJSON() */
+  static types = {};
+
+  /**
+   * Makes an effect class available to fromJSON() under its static `type`.
+   *
+   * @param {typeof EffectUnit} EffectClass - Class with a static `type` string
+   */
+  static register(EffectClass) {
+    EffectUnit.types[EffectClass.type] = EffectClass;
+  }
+
+  /**
+   * Creates a unit from the output of toJSON().
+   *
+   * @param {Object} json - Serialized unit
+   * @param {Object} [options={}]
+   * @param {BaseAudioContext} [options.context] - Context to create the unit in
+   * @param {Function} [options.getBuffer] - Resolves buffer names (e.g. a reverb impulse response)
+   *   to AudioBuffers, e.g. (name) => manager.getBuffer(name)
+   * @returns {EffectUnit}
+   * @throws {Error} If the type isn't registered
+   */
+  static fromJSON(json, options = {}) {
+    const { type, bypassed, ...params } = json;
+    const EffectClass = EffectUnit.types[type];
+    if (!EffectClass) throw new Error(`Unknown effect type '${type}'`);
+    const unit = new EffectClass({ ...params, context: options.context, getBuffer: options.getBuffer });
+    if (bypassed) unit.setBypassed(true, 0);
+    return unit;
+  }
+
+  /**
+   * Creates the input/output and wet/dry nodes. Subclasses connect `input`
+   * through their nodes to `wet`, then declare their parameters.
+   *
+   * @param {Object} [options={}]
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in (defaults to the shared one)
+   * @param {number} [options.mix] - Wet share, 0 - 1 (defaults to the effect's own default)
+   * @param {number} [defaultMix=1] - Wet share when options.mix isn't given
+   */
+  constructor(options = {}, defaultMix = 1) {
+    this.context = options.context ?? AudioContextProvider.context;
+    this.input = this.context.createGain();
+    this.output = this.context.createGain();
+    /** Effect path gain, the wet share */
+    this.wet = this.context.createGain();
+    /** Direct path gain, the dry share */
+    this.dry = this.context.createGain();
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.wet.connect(this.output);
+
+    /** @type {Object<string, { value: number, min: number, max: number, param: AudioParam | null, apply: Function | null }>} */
+    this.params = {};
+    this._bypassed = false;
+    this.params.mix = {
+      value: Math.min(1, Math.max(0, options.mix ?? defaultMix)),
+      min: 0,
+      max: 1,
+      param: null,
+      apply: (value, seconds) => this._applyMix(seconds),
+    };
+    this._setMixNow();
+  }
+
+  /**
+   * Effect type name, as used by toJSON() and fromJSON().
+   *
+   * @returns {string}
+   */
+  get type() {
+    return /** @type {typeof EffectUnit} */ (this.constructor).type;
+  }
+
+  /**
+   * Whether the unit is bypassed (dry signal only).
+   *
+   * @returns {boolean}
+   */
+  get bypassed() {
+    return this._bypassed;
+  }
+
+  /**
+   * Bypasses the unit or brings it back, with a short crossfade.
+   *
+   * @param {boolean} value - true to bypass
+   */
+  set bypassed(value) {
+    this.setBypassed(value);
+  }
+
+  /**
+   * Bypasses the unit or brings it back.
+   *
+   * @param {boolean} value - true to bypass
+   * @param {number} [seconds=0.03] - Crossfade length (0 = immediately)
+   * @returns {EffectUnit} this for method chaining
+   */
+  setBypassed(value, seconds = CROSSFADE) {
+    this._bypassed = !!value;
+    if (seconds > 0) this._applyMix(seconds);
+    else this._setMixNow();
+    return this;
+  }
+
+  /**
+   * Gets a parameter value.
+   *
+   * @param {string} name - Parameter name
+   * @returns {number}
+   * @throws {Error} If the unit has no such parameter
+   */
+  getParam(name) {
+    return this._requireParam(name).value;
+  }
+
+  /**
+   * Sets a parameter, clamped to its range.
+   *
+   * @param {string} name - Parameter name
+   * @param {number} value - New value
+   * @param {number} [seconds=0] - Ramp length for AudioParam-backed parameters (0 = smoothed jump)
+   * @returns {EffectUnit} this for method chaining
+   * @throws {Error} If the unit has no such parameter
+   */
+  setParam(name, value, seconds = 0) {
+    const entry = this._requireParam(name);
+    entry.value = Math.min(entry.max, Math.max(entry.min, value));
+    if (entry.apply) {
+      entry.apply(entry.value, seconds);
+    } else {
+      this._rampTo(entry.param, entry.value, seconds);
+    }
+    return this;
+  }
+
+  /**
+   * Returns the AudioParam behind a parameter, to automate it directly
+   * (setValueCurveAtTime, modulation...). Values set that way aren't seen by
+   * getParam() or toJSON().
+   *
+   * @param {string} name - Parameter name
+   * @returns {AudioParam|null} The AudioParam, or null if the parameter isn't backed by one
+   * @throws {Error} If the unit has no such parameter
+   */
+  getAudioParam(name) {
+    return this._requireParam(name).param;
+  }
+
+  /**
+   * Returns every parameter value by name.
+   *
+   * @returns {Object<string, number>}
+   */
+  getParams() {
+    const values = {};
+    for (const [name, { value }] of Object.entries(this.params)) values[name] = value;
+    return values;
+  }
+
+  /**
+   * Serializes the unit: its type, bypass state and parameters.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return { type: this.type, bypassed: this._bypassed, ...this.getParams() };
+  }
+
+  /**
+   * Disconnects the unit's nodes. The unit can't be used afterwards.
+   */
+  dispose() {
+    this.input.disconnect();
+    this.dry.disconnect();
+    this.wet.disconnect();
+    this.output.disconnect();
+  }
+
+  /**
+   * Declares a parameter. Without `apply`, `param` is set to the value.
+   *
+   * @protected
+   * @param {string} name - Parameter name
+   * @param {Object} spec
+   * @param {number} spec.value - Initial value
+   * @param {number} [spec.min=-Infinity] - Lowest value
+   * @param {number} [spec.max=Infinity] - Highest value
+   * @param {AudioParam} [spec.param] - AudioParam holding the value
+   * @param {Function} [spec.apply] - Called with (value, seconds) instead, for parameters that need converting
+   */
+  _defineParam(name, { value, min = -Infinity, max = Infinity, param = null, apply = null }) {
+    const clamped = Math.min(max, Math.max(min, value));
+    this.params[name] = { value: clamped, min, max, param, apply };
+    if (apply) apply(clamped, 0);
+    else param.value = clamped;
+  }
+
+  /**
+   * Moves an AudioParam to a value: linearly over `seconds`, or smoothed when 0.
+   *
+   * @protected
+   * @param {AudioParam} param - Param to move
+   * @param {number} value - Target value
+   * @param {number} seconds - Ramp length
+   */
+  _rampTo(param, value, seconds) {
+    const now = this.context.currentTime;
+    if (seconds > 0) {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+      param.linearRampToValueAtTime(value, now + seconds);
+    } else {
+      param.setTargetAtTime(value, now, SMOOTHING);
+    }
+  }
+
+  /** @private */
+  _requireParam(name) {
+    const entry = this.params[name];
+    if (!entry) throw new Error(`${this.constructor.name} has no parameter '${name}'`);
+    return entry;
+  }
+
+  /**
+   * Moves the wet and dry gains to the mix, or to dry only when bypassed.
+   *
+   * @private
+   * @param {number} seconds - Ramp length (0 = smoothed jump)
+   */
+  _applyMix(seconds) {
+    const { wet, dry } = this._getMixGains();
+    this._rampTo(this.wet.gain, wet, seconds);
+    this._rampTo(this.dry.gain, dry, seconds);
+  }
+
+  /**
+   * Sets the wet and dry gains without any transition.
+   *
+   * @private
+   */
+  _setMixNow() {
+    const { wet, dry } = this._getMixGains();
+    this.wet.gain.cancelScheduledValues(0);
+    this.dry.gain.cancelScheduledValues(0);
+    this.wet.gain.value = wet;
+    this.dry.gain.value = dry;
+  }
+
+  /** @private */
+  _getMixGains() {
+    const mix = this.params.mix.value;
+    return this._bypassed ? { wet: 0, dry: 1 } : { wet: mix, dry: 1 - mix };
+  }
+}
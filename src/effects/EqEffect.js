@@ -0,0 +1,88 @@
+import { EffectUnit } from './EffectUnit.js';
+
+/** Bands used when none are given: a low shelf, a mid peak and a high shelf */
+const DEFAULT_BANDS = [
+  { name: 'low', type: 'lowshelf', frequency: 200 },
+  { name: 'mid', type: 'peaking', frequency: 1000 },
+  { name: 'high', type: 'highshelf', frequency: 5000 },
+];
+
+/**
+ * EqEffect - multi-band equalizer: one BiquadFilterNode per band, in series.
+ *
+ * Each band has the parameters `<band>.frequency`, `<band>.gain` (dB) and
+ * `<band>.q`, all AudioParam-backed.
+ *
+ * @example
+ * const eq = new EqEffect();                 // low / mid / high
+ * eq.setParam('low.gain', 6);
+ * eq.setParam('high.gain', -12, 0.5);
+ *
+ * const telephone = new EqEffect({
+ *   bands: [
+ *     { name: 'cut', type: 'highpass', frequency: 400 },
+ *     { name: 'top', type: 'lowpass', frequency: 3000 },
+ *   ],
+ * });
+ */
+export class EqEffect extends EffectUnit {
+  static type = 'eq';
+
+  /**
+   * Creates a new EqEffect.
+   *
+   * @param {Object} [options={}]
+   * @param {Array<{ name: string, type?: BiquadFilterType, frequency?: number, gain?: number, q?: number }>} [options.bands]
+   *   Bands in order (defaults to low shelf at 200 Hz, peak at 1 kHz, high shelf at 5 kHz)
+   * @param {number} [options.mix=1] - Wet share
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   */
+  constructor(options = {}) {
+    super(options, 1);
+    /** @type {Array<{ name: string, filter: BiquadFilterNode }>} */
+    this.bands = [];
+
+    let previous = this.input;
+    for (const band of options.bands ?? DEFAULT_BANDS) {
+      if (this.bands.some(({ name }) => name === band.name)) {
+        throw new Error(`Duplicate EQ band '${band.name}'`);
+      }
+      const filter = this.context.createBiquadFilter();
+      filter.type = band.type ?? 'peaking';
+      this._defineParam(`${band.name}.frequency`, { value: band.frequency ?? 1000, min: 10, max: 22050, param: filter.frequency });
+      this._defineParam(`${band.name}.gain`, { value: band.gain ?? 0, min: -40, max: 40, param: filter.gain });
+      this._defineParam(`${band.name}.q`, { value: band.q ?? 1, min: 0.0001, max: 100, param: filter.Q });
+      previous.connect(filter);
+      previous = filter;
+      this.bands.push({ name: band.name, filter });
+    }
+    previous.connect(this.wet);
+  }
+
+  /**
+   * Serializes the equalizer, with its bands as an array.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      bypassed: this.bypassed,
+      mix: this.getParam('mix'),
+      bands: this.bands.map(({ name, filter }) => ({
+        name,
+        type: filter.type,
+        frequency: this.getParam(`${name}.frequency`),
+        gain: this.getParam(`${name}.gain`),
+        q: this.getParam(`${name}.q`),
+      })),
+    };
+  }
+
+  dispose() {
+    for (const { filter } of this.bands) filter.disconnect();
+    super.dispose();
+  }
+}
+
+EffectUnit.register(EqEffect);
@@ -0,0 +1,120 @@
+import { EffectUnit } from './EffectUnit.js';
+import { SoundGenerator } from '../SoundGenerator.js';
+
+/**
+ * ReverbEffect - convolution reverb (ConvolverNode).
+ *
+ * The impulse response is either a loaded AudioBuffer (a recorded room) or
+ * generated: stereo noise fading out over `duration` seconds, with `decay`
+ * shaping the fade (higher = dies away faster). `duration` and `decay` only
+ * apply to the generated impulse and rebuild it when set, so they can't be
+ * ramped or automated. The noise comes from a seeded generator, so the same
+ * settings and `seed` always give the same reverb (including after
+ * toJSON()/fromJSON() and in offline renders).
+ *
+ * To keep a loaded impulse in toJSON(), give it by name together with a
+ * `getBuffer` function (e.g. the manager's); an AudioBuffer passed directly
+ * can't be serialized.
+ *
+ * @example
+ * const hall = new ReverbEffect({ duration: 3, decay: 2.5, mix: 0.35 });
+ *
+ * await manager.load('ir_cathedral', 'audio/ir/cathedral.wav');
+ * const cathedral = new ReverbEffect({ impulse: 'ir_cathedral', getBuffer: (name) => manager.getBuffer(name) });
+ */
+export class ReverbEffect extends EffectUnit {
+  static type = 'reverb';
+
+  /**
+   * Creates a new ReverbEffect.
+   *
+   * @param {Object} [options={}]
+   * @param {AudioBuffer|string} [options.impulse] - Impulse response, or its name for getBuffer (generated if omitted)
+   * @param {Function} [options.getBuffer] - Resolves an impulse name to an AudioBuffer
+   * @param {number} [options.duration=2] - Length of the generated impulse in seconds
+   * @param {number} [options.decay=2] - Fade curve of the generated impulse
+   * @param {number} [options.seed=1] - Seed of the generated impulse's noise
+   * @param {number} [options.mix=0.3] - Wet share
+   * @param {BaseAudioContext} [options.context] - Context to create the nodes in
+   * @throws {Error} If the impulse is a name that getBuffer can't resolve
+   */
+  constructor(options = {}) {
+    super(options, 0.3);
+    this.getBuffer = options.getBuffer ?? null;
+    /** Seed of the generated impulse's noise */
+    this.seed = options.seed ?? 1;
+    this.convolver = this.context.createConvolver();
+    this.input.connect(this.convolver);
+    this.convolver.connect(this.wet);
+
+    /** Name of the loaded impulse, or null when generated or given as a buffer */
+    this.impulseName = null;
+    this._loaded = Boolean(options.impulse);
+    this._defineParam('duration', { value: options.duration ?? 2, min: 0.1, max: 10, apply: () => this._generateImpulse() });
+    this._defineParam('decay', { value: options.decay ?? 2, min: 0.5, max: 10, apply: () => this._generateImpulse() });
+    if (options.impulse) this.setImpulse(options.impulse);
+  }
+
+  /**
+   * Replaces the impulse response.
+   *
+   * @param {AudioBuffer|string|null} impulse - Impulse response, its name for getBuffer, or null to use the generated one
+   * @returns {ReverbEffect} this for method chaining
+   * @throws {Error} If the name can't be resolved
+   */
+  setImpulse(impulse) {
+    if (impulse === null) {
+      this.impulseName = null;
+      this._loaded = false;
+      this._generateImpulse();
+      return this;
+    }
+
+    let buffer = impulse;
+    if (typeof impulse === 'string') {
+      buffer = this.getBuffer?.(impulse) ?? null;
+      if (!buffer) throw new Error(`Impulse response '${impulse}' isn't loaded`);
+    }
+    this.impulseName = typeof impulse === 'string' ? impulse : null;
+    this._loaded = true;
+    this.convolver.buffer = buffer;
+    return this;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.seed = this.seed;
+    if (this.impulseName !== null) json.impulse = this.impulseName;
+    return json;
+  }
+
+  dispose() {
+    this.convolver.disconnect();
+    super.dispose();
+  }
+
+  /**
+   * Fills the convolver with decaying stereo noise, unless a loaded impulse is in use.
+   *
+   * @private
+   */
+  _generateImpulse() {
+    // Called while the parameters are being declared: wait for both
+    if (this._loaded || !this.params.duration || !this.params.decay) return;
+    const duration = this.params.duration.value;
+    const decay = this.params.decay.value;
+    const rate = this.context.sampleRate;
+    const length = Math.max(1, Math.round(duration * rate));
+    const impulse = this.context.createBuffer(2, length, rate);
+    const random = SoundGenerator.createRandom(this.seed);
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
+      }
+    }
+    this.convolver.buffer = impulse;
+  }
+}
+
+EffectUnit.register(ReverbEffect);
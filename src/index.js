@@ -1,7 +1,28 @@
 export { AudioContextProvider } from './AudioContextProvider.js';
 export { AudioListenerController } from './AudioListenerController.js';
+export { EventEmitter } from './EventEmitter.js';
 export { AudioItem } from './AudioItem.js';
 export { SpatialAudio } from './SpatialAudio.js';
+export { StreamingAudio } from './StreamingAudio.js';
 export { AudioLoader } from './AudioLoader.js';
+export { LoadQueue } from './LoadQueue.js';
 export { AudioManager } from './AudioManager.js';
 export { OneShotAudio } from './OneShotAudio.js';
+export { MixerBus } from './MixerBus.js';
+export { AudioMixer } from './AudioMixer.js';
+export { EffectUnit } from './effects/EffectUnit.js';
+export { EqEffect } from './effects/EqEffect.js';
+export { CompressorEffect } from './effects/CompressorEffect.js';
+export { DelayEffect } from './effects/DelayEffect.js';
+export { DistortionEffect } from './effects/DistortionEffect.js';
+export { ChorusEffect } from './effects/ChorusEffect.js';
+export { ReverbEffect } from './effects/ReverbEffect.js';
+export { EffectRack } from './EffectRack.js';
+export { MusicPlayer } from './MusicPlayer.js';
+export { Transport } from './Transport.js';
+export { SoundBank } from './SoundBank.js';
+export { SoundGenerator } from './SoundGenerator.js';
+export { OfflineRenderer } from './OfflineRenderer.js';
+export { WavEncoder } from './WavEncoder.js';
+export { AudioSprite } from './AudioSprite.js';
+export { LeakDetector } from './LeakDetector.js';
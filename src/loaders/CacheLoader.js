@@ -0,0 +1,382 @@
+import { AudioContextProvider } from '../AudioContextProvider.js';
+
+const DATA_STORE = 'data';
+const META_STORE = 'meta';
+
+/**
+ * CacheLoader - persistent offline cache for downloaded audio files.
+ *
+ * Wraps another URL loader (XhrLoader, FetchLoader, ...) and keeps the
+ * encoded bytes it downloads in IndexedDB. Later loads of the same URL are
+ * decoded from the local copy without touching the network, which gives
+ * fast starts on repeat visits and lets a game run offline.
+ *
+ * Why it's needed:
+ * The browser HTTP cache is not reliable for large game assets (it may be
+ * evicted at any time, and many CDNs send short cache lifetimes). An explicit
+ * cache under our control can be versioned with the asset manifest, capped in
+ * size and filled ahead of time.
+ *
+ * Why it's structured this way:
+ * - It's a loader plugin itself (same SourceLoader contract), so it's enabled
+ *   with registerLoader('url', ...) and nothing else in the library changes
+ * - Entries are keyed by URL plus a version (or a per-request content hash);
+ *   bumping the version invalidates everything cached under older versions
+ * - Bytes and metadata live in separate object stores, so bumping an entry's
+ *   last-access time on a hit doesn't rewrite the whole file
+ * - Size is capped by evicting least-recently-accessed entries
+ * - If IndexedDB is unavailable (private mode, non-browser), it silently
+ *   passes every request through to the wrapped loader
+ *
+ * @example
+ * import { FetchLoader } from 'giallarhorn/loaders/fetch';
+ * import { CacheLoader } from 'giallarhorn/loaders/cache';
+ *
+ * const cache = new CacheLoader(new FetchLoader(), {
+ *   version: bank.assetsVersion,
+ *   maxBytes: 200 * 1024 * 1024,
+ * });
+ * manager.registerLoader('url', cache);
+ *
+ * // Fill the cache in the background while the player is in the menu
+ * cache.prewarm(level2Urls);
+ */
+export class CacheLoader {
+  /**
+   * Creates a new CacheLoader.
+   *
+   * @param {Object} loader - URL loader to fetch misses with. Must implement loadArrayBuffer()
+   * @param {Object} [options={}] - Cache options
+   * @param {string|number} [options.version='1'] - Asset version. Entries cached under another version are discarded
+   * @param {number} [options.maxBytes=Infinity] - Size cap for cached bytes; least-recently-used entries are evicted
+   * @param {string} [options.dbName='giallarhorn-audio-cache'] - IndexedDB database name
+   */
+  constructor(loader, options = {}) {
+    if (!loader || typeof loader.loadArrayBuffer !== 'function') {
+      throw new Error('CacheLoader requires a loader that implements loadArrayBuffer() (e.g. XhrLoader or FetchLoader)');
+    }
+    this.loader = loader;
+    this.version = String(options.version ?? '1');
+    this.maxBytes = options.maxBytes ?? Infinity;
+    this.dbName = options.dbName ?? 'giallarhorn-audio-cache';
+
+    /** @private @type {Promise<IDBDatabase|null>|null} */
+    this._db = null;
+  }
+
+  /**
+   * Loads an audio file, from the cache if present, and decodes it.
+   *
+   * @param {string} url - URL to load
+   * @param {Function} onLoad - Called with the decoded AudioBuffer
+   * @param {Function} [onProgress] - Called with ProgressEvent (a single event on cache hits)
+   * @param {Function} onError - Called on network or decoding errors
+   * @param {Object} [options={}] - Per-request options, forwarded to the wrapped loader on a miss
+   * @param {string} [options.hash] - Content hash keying the entry instead of the cache version
+   * @param {BaseAudioContext} [options.context] - Context to decode with (defaults to the shared one)
+   */
+  load(url, onLoad, onProgress, onError, options = {}) {
+    this.loadArrayBuffer(url, (arrayBuffer) => {
+      try {
+        const context = options.context ?? AudioContextProvider.context;
+        context
+          .decodeAudioData(arrayBuffer, (audioBuffer) => {
+            onLoad(audioBuffer);
+          })
+          .catch(onError);
+      } catch (e) {
+        onError(e);
+      }
+    }, onProgress, onError, options);
+  }
+
+  /**
+   * Returns the encoded bytes of a URL: from the cache on a hit, otherwise
+   * downloaded through the wrapped loader and stored for next time.
+   *
+   * @param {string} url - URL to load
+   * @param {Function} onLoad - Called with the encoded ArrayBuffer
+   * @param {Function} [onProgress] - Called with ProgressEvent
+   * @param {Function} onError - Called on network errors
+   * @param {Object} [options={}] - Per-request options (see load())
+   */
+  loadArrayBuffer(url, onLoad, onProgress, onError, options = {}) {
+    this._get(url, options.hash).then((cached) => {
+      if (cached) {
+        if (onProgress) {
+          onProgress(new ProgressEvent('progress', {
+            lengthComputable: true,
+            loaded: cached.byteLength,
+            total: cached.byteLength,
+          }));
+        }
+        onLoad(cached);
+        return;
+      }
+      this.loader.loadArrayBuffer(url, (arrayBuffer) => {
+        // decodeAudioData() detaches the buffer it's given, so store a copy
+        this._put(url, options.hash, arrayBuffer.slice(0));
+        onLoad(arrayBuffer);
+      }, onProgress, onError, options);
+    }).catch(onError);
+  }
+
+  /**
+   * Downloads URLs into the cache without decoding them.
+   *
+   * Meant to run in the background (e.g. while the player is in a menu):
+   * requests run with low concurrency, URLs already cached are skipped and
+   * failures are collected instead of thrown.
+   *
+   * @param {string[]} urls - URLs to cache
+   * @param {Object} [options={}]
+   * @param {number} [options.concurrency=2] - Parallel downloads
+   * @param {AbortSignal} [options.signal] - Stops pre-warming (remaining URLs are skipped)
+   * @param {Function} [options.onProgress] - Called with { done, total } after each URL
+   * @returns {Promise<{ cached: string[], fetched: string[], failed: Array<{ url: string, error: * }> }>}
+   */
+  async prewarm(urls, options = {}) {
+    const concurrency = Math.max(1, options.concurrency ?? 2);
+    const result = { cached: [], fetched: [], failed: [] };
+    const queue = urls.slice();
+    let done = 0;
+
+    const worker = async () => {
+      while (queue.length > 0 && !options.signal?.aborted) {
+        const url = queue.shift();
+        try {
+          if (await this.has(url)) {
+            result.cached.push(url);
+          } else {
+            const arrayBuffer = await new Promise((resolve, reject) => {
+              this.loader.loadArrayBuffer(url, resolve, null, reject, { signal: options.signal });
+            });
+            await this._put(url, undefined, arrayBuffer);
+            result.fetched.push(url);
+          }
+        } catch (error) {
+          result.failed.push({ url, error });
+        }
+        done++;
+        if (options.onProgress) options.onProgress({ done, total: urls.length });
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    return result;
+  }
+
+  /**
+   * Returns true if the URL is cached for the current version (or hash).
+   *
+   * @param {string} url
+   * @param {string} [hash]
+   * @returns {Promise<boolean>}
+   */
+  async has(url, hash) {
+    const db = await this._open();
+    if (!db) return false;
+    const meta = await request(db.transaction(META_STORE).objectStore(META_STORE).get(this._key(url, hash)));
+    return !!meta;
+  }
+
+  /**
+   * Removes a URL from the cache.
+   *
+   * @param {string} url
+   * @param {string} [hash]
+   * @returns {Promise<void>}
+   */
+  async delete(url, hash) {
+    const db = await this._open();
+    if (!db) return;
+    await this._deleteKeys(db, [this._key(url, hash)]);
+  }
+
+  /**
+   * Removes every cached entry.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._open();
+    if (!db) return;
+    const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    tx.objectStore(DATA_STORE).clear();
+    tx.objectStore(META_STORE).clear();
+    await complete(tx);
+  }
+
+  /**
+   * Returns the total size of cached bytes.
+   *
+   * @returns {Promise<number>}
+   */
+  async getSize() {
+    const db = await this._open();
+    if (!db) return 0;
+    const entries = await request(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    return entries.reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  /**
+   * Switches to another asset version and discards entries cached under
+   * other versions. Typically called with the version of a new manifest.
+   *
+   * @param {string|number} version
+   * @returns {Promise<void>}
+   */
+  async setVersion(version) {
+    this.version = String(version);
+    const db = await this._open();
+    if (db) await this._pruneVersions(db);
+  }
+
+  /** @private */
+  _key(url, hash) {
+    return url + '#' + (hash ?? 'v' + this.version);
+  }
+
+  /**
+   * Opens the database once. Resolves with null if IndexedDB can't be used,
+   * in which case the cache is bypassed.
+   *
+   * @private
+   */
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const openRequest = indexedDB.open(this.dbName, 1);
+      openRequest.onupgradeneeded = () => {
+        const db = openRequest.result;
+        db.createObjectStore(DATA_STORE);
+        const meta = db.createObjectStore(META_STORE, { keyPath: 'key' });
+        meta.createIndex('lastAccess', 'lastAccess');
+      };
+      openRequest.onsuccess = () => resolve(openRequest.result);
+      openRequest.onerror = () => {
+        console.warn('CacheLoader: IndexedDB unavailable, caching disabled.', openRequest.error);
+        resolve(null);
+      };
+    }).then(async (db) => {
+      try {
+        if (db) await this._pruneVersions(db);
+      } catch (e) {
+        // Old versions are only wasted space: the cache still works
+        console.warn('CacheLoader: unable to remove old cache versions.', e);
+      }
+      return db;
+    });
+    return this._db;
+  }
+
+  /**
+   * Returns the cached bytes and bumps the entry's last-access time.
+   * Resolves with null on a miss or on any storage error.
+   *
+   * @private
+   */
+  async _get(url, hash) {
+    try {
+      const db = await this._open();
+      if (!db) return null;
+      const key = this._key(url, hash);
+      const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+      const [bytes, meta] = await Promise.all([
+        request(tx.objectStore(DATA_STORE).get(key)),
+        request(tx.objectStore(META_STORE).get(key)),
+      ]);
+      if (!bytes || !meta) return null;
+      tx.objectStore(META_STORE).put({ ...meta, lastAccess: Date.now() });
+      return bytes;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores bytes, then evicts least-recently-used entries over the size cap.
+   * Storage errors (quota exceeded, ...) are logged and otherwise ignored.
+   *
+   * @private
+   */
+  async _put(url, hash, arrayBuffer) {
+    try {
+      const db = await this._open();
+      if (!db) return;
+      if (arrayBuffer.byteLength > this.maxBytes) return;
+      const key = this._key(url, hash);
+      const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+      tx.objectStore(DATA_STORE).put(arrayBuffer, key);
+      tx.objectStore(META_STORE).put({
+        key,
+        url,
+        version: hash === undefined ? this.version : null,
+        size: arrayBuffer.byteLength,
+        lastAccess: Date.now(),
+      });
+      await complete(tx);
+      await this._evict(db);
+    } catch (e) {
+      console.warn(`CacheLoader: could not cache ${url}.`, e);
+    }
+  }
+
+  /** @private */
+  async _evict(db) {
+    if (this.maxBytes === Infinity) return;
+    const index = db.transaction(META_STORE).objectStore(META_STORE).index('lastAccess');
+    const entries = await request(index.getAll());
+    let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const stale = [];
+    for (const entry of entries) {
+      if (size <= this.maxBytes) break;
+      stale.push(entry.key);
+      size -= entry.size;
+    }
+    if (stale.length > 0) await this._deleteKeys(db, stale);
+  }
+
+  /**
+   * Deletes entries stored under another version. Entries keyed by a content
+   * hash (version null) stay valid across versions.
+   *
+   * @private
+   */
+  async _pruneVersions(db) {
+    const entries = await request(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    const stale = entries
+      .filter((entry) => entry.version !== null && entry.version !== this.version)
+      .map((entry) => entry.key);
+    if (stale.length > 0) await this._deleteKeys(db, stale);
+  }
+
+  /** @private */
+  _deleteKeys(db, keys) {
+    const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    for (const key of keys) {
+      tx.objectStore(DATA_STORE).delete(key);
+      tx.objectStore(META_STORE).delete(key);
+    }
+    return complete(tx);
+  }
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function complete(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
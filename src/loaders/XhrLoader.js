@@ -14,6 +14,11 @@ import { AudioContextProvider } from '../AudioContextProvider.js';
  * const loader = new AudioLoader();
  * loader.registerLoader('url', new XhrLoader());
  * loader.load('music.mp3', (buf) => console.log(buf));
+ *
+ * // Cancellable request
+ * const controller = new AbortController();
+ * loader.load('music.mp3', onLoad, null, onError, { signal: controller.signal });
+ * controller.abort(); // onError receives an AbortError
  */
 export class XhrLoader {
   /**
@@ -23,10 +28,45 @@ export class XhrLoader {
    * @param {string} url - URL to fetch
    * @param {Function} onLoad - Called with the decoded AudioBuffer on success
    * @param {Function} [onProgress] - Called with ProgressEvent during download
-   * @param {Function} onError - Called on network or decoding errors
+   * @param {Function} onError - Called on network, HTTP, abort or decoding errors
+   * @param {Object} [options={}] - Per-request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {BaseAudioContext} [options.context] - Context to decode with (defaults to the shared one)
+   */
+  load(url, onLoad, onProgress, onError, options = {}) {
+    this.loadArrayBuffer(url, (arrayBuffer) => {
+      try {
+        const context = options.context ?? AudioContextProvider.context;
+        context
+          .decodeAudioData(arrayBuffer, (audioBuffer) => {
+            onLoad(audioBuffer);
+          })
+          .catch(onError);
+      } catch (e) {
+        onError(e);
+      }
+    }, onProgress, onError, options);
+  }
+
+  /**
+   * Downloads a URL via XMLHttpRequest without decoding it.
+   *
+   * @param {string} url - URL to fetch
+   * @param {Function} onLoad - Called with a copy of the response ArrayBuffer
+   * @param {Function} [onProgress] - Called with ProgressEvent during download
+   * @param {Function} onError - Called on network errors, aborts and HTTP error statuses (error.status is set)
+   * @param {Object} [options={}] - Per-request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    */
-  load(url, onLoad, onProgress, onError) {
+  loadArrayBuffer(url, onLoad, onProgress, onError, options = {}) {
+    const signal = options.signal;
+    if (signal?.aborted) {
+      onError(signal.reason);
+      return;
+    }
+
     const request = new XMLHttpRequest();
+    const onAbort = () => request.abort();
 
     request.open('GET', url, true);
     request.responseType = 'arraybuffer';
@@ -35,21 +75,31 @@ export class XhrLoader {
       if (onProgress) onProgress(event);
     };
 
+    request.onloadend = () => {
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    request.onabort = () => {
+      onError(signal?.reason ?? new DOMException(`Request for ${url} was aborted`, 'AbortError'));
+    };
+
     request.onload = () => {
+      if (request.status >= 400) {
+        const error = new Error(`HTTP ${request.status} ${request.statusText} while loading ${url}`);
+        error.status = request.status;
+        error.url = url;
+        onError(error);
+        return;
+      }
       try {
-        const bufferCopy = request.response.slice(0);
-        const context = AudioContextProvider.context;
-        context
-          .decodeAudioData(bufferCopy, (audioBuffer) => {
-            onLoad(audioBuffer);
-          })
-          .catch(onError);
+        onLoad(request.response.slice(0));
       } catch (e) {
         onError(e);
       }
     };
 
     request.onerror = onError;
+    signal?.addEventListener('abort', onAbort, { once: true });
     request.send();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1 @@
+export { CacheLoader } from './CacheLoader.js';
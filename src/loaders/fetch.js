@@ -0,0 +1 @@
+export { FetchLoader } from './FetchLoader.js';
@@ -1,10 +1,12 @@
 import type { AudioListenerController } from './AudioListenerController';
-import type { SourceType } from './common';
+import type { AudioFilter, AudioItemEvent, AudioItemEventType, FadeCurve, PauseOptions, PlayOptions, SourceType, StopOptions } from './common';
+import { EventEmitter, type EventListener } from './EventEmitter';
 
-export declare class AudioItem {
+export declare class AudioItem extends EventEmitter {
   listener: AudioListenerController;
   context: AudioContext;
   gain: GainNode;
+  destination: AudioNode;
   autoplay: boolean;
   buffer: AudioBuffer | null;
   detune: number;
@@ -18,31 +20,62 @@ export declare class AudioItem {
   hasPlaybackControl: boolean;
   source: AudioBufferSourceNode | AudioNode | null;
   sourceType: SourceType;
-  filters: AudioNode[];
+  filters: AudioFilter[];
+  taps: AudioNode[];
   protected _startedAt: number;
   protected _progress: number;
   protected _connected: boolean;
+  private _playRequestedAt: number | null;
+  private _playRequestedFade: { fadeIn: number; curve: FadeCurve } | null;
+  protected _volume: number;
+  protected _loopTimer: ReturnType<typeof setTimeout> | null;
+  protected _disposed: boolean;
+  protected _sourceListeners: Array<() => void>;
 
   constructor(listener: AudioListenerController);
 
   get output(): GainNode;
+  get disposed(): boolean;
+
+  on(type: AudioItemEventType, listener: EventListener<AudioItemEvent<this>, this>): this;
+  on(type: string, listener: EventListener<any, this>): this;
+  off(type: AudioItemEventType, listener: EventListener<AudioItemEvent<this>, this>): this;
+  off(type: string, listener: EventListener<any, this>): this;
+  once(type: AudioItemEventType, listener: EventListener<AudioItemEvent<this>, this>): this;
+  once(type: string, listener: EventListener<any, this>): this;
 
   setNodeSource(audioNode: AudioNode): this;
   setMediaElementSource(mediaElement: HTMLMediaElement): this;
   setMediaStreamSource(mediaStream: MediaStream): this;
   setBuffer(audioBuffer: AudioBuffer): this;
   play(delay?: number): this;
+  play(options: PlayOptions): Promise<void>;
+  takePendingPlay(): { at: number; fade: { fadeIn: number; curve: FadeCurve } | null } | null;
   pause(): this;
+  pause(options: PauseOptions): Promise<void>;
   stop(delay?: number): this;
+  stop(options: StopOptions): Promise<void>;
+  protected _play(delay: number): this;
+  protected _pause(): this;
+  protected _stop(delay: number): this;
+  fadeTo(volume: number, seconds: number, curve?: FadeCurve): Promise<void>;
+  get currentTime(): number;
+  set currentTime(value: number);
+  getPosition(): number;
+  seek(time: number): this;
+  getDuration(): number;
+  setDestination(node: AudioNode): this;
+  addTap(node: AudioNode): this;
+  removeTap(node: AudioNode): this;
   connect(): this;
   disconnect(): this;
-  get filtersList(): AudioNode[];
-  set filtersList(value: AudioNode[]);
+  get filtersList(): AudioFilter[];
+  set filtersList(value: AudioFilter[]);
   setDetune(value: number): this;
   getDetune(): number;
-  getFilter(): AudioNode | undefined;
-  setFilter(filter: AudioNode | null): this;
-  setFilters(value: AudioNode[] | null): this;
+  getFilter(): AudioFilter | undefined;
+  setFilter(filter: AudioFilter | null): this;
+  setFilters(value: AudioFilter[] | null): this;
   setPlaybackRate(value: number): this;
   getPlaybackRate(): number;
   onEnded(): void;
@@ -50,6 +83,10 @@ export declare class AudioItem {
   setLoop(value: boolean): this;
   setLoopStart(value: number): this;
   setLoopEnd(value: number): this;
+  setRegion(start: number, end: number, loop?: boolean): this;
   get volume(): number;
   set volume(value: number);
+  dispose(): void;
+  protected _assertNotDisposed(method: string): void;
+  protected _listen(target: EventTarget, type: string, handler: (event: Event) => void): void;
 }
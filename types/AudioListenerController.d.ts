@@ -1,21 +1,21 @@
-import type { Position, Orientation } from './common';
+import type { AudioFilter, Position, Orientation } from './common';
 
 export declare class AudioListenerController {
   context: AudioContext;
   gain: GainNode;
-  filter: AudioNode | null;
+  filter: AudioFilter | null;
   timeDelta: number;
   private _lastTime: number;
 
-  constructor();
+  constructor(options?: { context?: BaseAudioContext });
 
   getInput(): GainNode;
   updateTimeDelta(deltaTime?: number): number;
   getTimeDelta(): number;
   getEndTime(): number;
   removeFilter(): this;
-  getFilter(): AudioNode | null;
-  setFilter(value: AudioNode): this;
+  getFilter(): AudioFilter | null;
+  setFilter(value: AudioFilter): this;
   getMasterVolume(): number;
   setMasterVolume(value: number): this;
   setPosition(position: Position): this;
@@ -1,17 +1,43 @@
-import type { SourceLoader } from './common';
+import type { SourceLoader, LoadRequestOptions, LoadErrorReason, AudioSource, BinaryAudioSource } from './common';
 
 export declare class AudioLoader {
-  constructor();
+  private static _probe: HTMLAudioElement | null;
 
-  static isBase64(source: string): boolean;
+  context: BaseAudioContext | null;
+
+  constructor(options?: { context?: BaseAudioContext });
+
+  static isBase64(source: unknown): source is string;
+  static isBinary(source: unknown): source is BinaryAudioSource;
+  static getMimeType(source: AudioSource): string | null;
+  static canPlayType(source: AudioSource): CanPlayTypeResult;
   static decodeBase64ToArrayBuffer(dataUri: string): ArrayBuffer;
+  static getBase64ByteLength(dataUri: string): number;
+  static getByteLength(source: AudioSource): number;
+  static getErrorReason(error: unknown): LoadErrorReason;
 
   registerLoader(scheme: string, loader: SourceLoader): void;
+  canLoadArrayBuffer(source: AudioSource): boolean;
 
   load(
-    source: string,
+    source: AudioSource,
     onLoad: (buffer: AudioBuffer) => void,
     onProgress?: ((event: ProgressEvent) => void) | null,
+    onError?: ((error: Error | Event) => void) | null,
+    options?: LoadRequestOptions
+  ): void;
+
+  loadArrayBuffer(
+    source: AudioSource,
+    onLoad: (arrayBuffer: ArrayBuffer) => void,
+    onProgress?: ((event: ProgressEvent) => void) | null,
+    onError?: ((error: Error | Event) => void) | null,
+    options?: LoadRequestOptions
+  ): void;
+
+  decode(
+    arrayBuffer: ArrayBuffer,
+    onLoad: (buffer: AudioBuffer) => void,
     onError?: ((error: Error | Event) => void) | null
   ): void;
-}
\ No newline at end of file
+}
@@ -1,19 +1,59 @@
 import type { AudioListenerController } from './AudioListenerController';
 import type { AudioItem } from './AudioItem';
 import type { SpatialAudio } from './SpatialAudio';
-import type { AudioConfig, AudioBufferMap, SourceLoader } from './common';
+import type { StreamingAudio } from './StreamingAudio';
+import type { AudioManagerOptions, MemoryStats, AudioConfig, AudioBufferMap, SourceLoader, AudioSourceEntry, LoadAllOptions, LoadReport, StoredAudioConfig, SoundBankManifest, SpriteMap, LoadSpriteOptions, ManagedSpriteRegion, ResolvedSound, RegisterOptions, RegisteredSound, LoadBankOptions, SoundGeneratorParams, SoundGeneratorPreset, GenerateOptions } from './common';
 import type { AudioLoader } from './AudioLoader';
+import type { LoadQueue } from './LoadQueue';
+import type { AudioMixer } from './AudioMixer';
 
 export declare class AudioManager {
   listener: AudioListenerController;
   loader: AudioLoader;
+  queue: LoadQueue;
   buffers: AudioBufferMap;
+  placeholders: Set<string>;
+  configs: Record<string, StoredAudioConfig>;
+  sources: Record<string, string>;
+  regions: Record<string, ManagedSpriteRegion>;
+  streams: Record<string, string>;
+  registered: Record<string, RegisteredSound>;
+  staleAfter: number;
+  groups: Map<string, Set<string>>;
+  memoryBudget: number;
+  mixer: AudioMixer | null;
 
-  constructor(listener: AudioListenerController);
+  constructor(listener: AudioListenerController, options?: AudioManagerOptions);
 
   registerLoader(scheme: string, loader: SourceLoader): void;
-  loadAll(files: Array<string | { name: string; data: string }>): Promise<{ audios: AudioBufferMap }>;
+  loadAll(files: AudioSourceEntry[], options?: LoadAllOptions): Promise<{ audios: AudioBufferMap; report: LoadReport }>;
+  setPriority(name: string, priority: number): boolean;
+  cancel(name: string): boolean;
+  generate(name: string, params: SoundGeneratorParams | SoundGeneratorPreset, options?: GenerateOptions): AudioBuffer;
+  isPlaceholder(name: string): boolean;
+  getSource(name: string): string | undefined;
+  loadBank(manifest: SoundBankManifest | string, options?: LoadBankOptions): Promise<{ audios: AudioBufferMap; report: LoadReport }>;
+  loadSprite(name: string, sprite: SpriteMap, options?: LoadSpriteOptions): Promise<{ audios: AudioBufferMap; report: LoadReport }>;
+  addSprite(name: string, sprite: SpriteMap): void;
+  register(files: AudioSourceEntry[], options?: RegisterOptions): string[];
+  isRegistered(name: string): boolean;
+  getStaleAfter(name: string): number;
+  ensureLoaded(name: string): Promise<void>;
+  getAsync(name: string, config?: AudioConfig, spatial?: boolean): Promise<AudioItem | SpatialAudio | StreamingAudio | null>;
+  registerStream(name: string, url: string, config?: StoredAudioConfig): void;
+  setConfig(name: string, config: StoredAudioConfig): void;
   loadBase64(name: string, dataUri: string): Promise<AudioBuffer>;
   has(name: string): boolean;
-  get(name: string, config?: AudioConfig, spatial?: boolean): AudioItem | SpatialAudio | null;
-}
\ No newline at end of file
+  get(name: string, config?: AudioConfig, spatial?: boolean): AudioItem | SpatialAudio | StreamingAudio | null;
+  getDestination(bus?: string): AudioNode;
+  getBuffer(name: string): AudioBuffer | null;
+  resolve(name: string): ResolvedSound | null;
+  retain(name: string, item: AudioItem): void;
+  release(item: AudioItem): void;
+  getRefCount(name: string): number;
+  unload(name: string, options?: { force?: boolean }): boolean;
+  unloadGroup(group: string, options?: { force?: boolean }): string[];
+  setMemoryBudget(bytes: number): void;
+  getMemoryStats(): MemoryStats;
+  static getBufferBytes(buffer: AudioBuffer): number;
+}
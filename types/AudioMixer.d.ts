@@ -0,0 +1,57 @@
+import type { AudioListenerController } from './AudioListenerController';
+import type { AudioItem } from './AudioItem';
+import type { MixerBus } from './MixerBus';
+import type {
+  AudioMixerOptions,
+  DuckingRule,
+  DuckingRuleOptions,
+  MixerBusOptions,
+  MixerSnapshot,
+  MixerSnapshotOptions,
+  MixerState,
+  MixerSend,
+  MixerStorage,
+  SendLevels,
+  SendOptions,
+  SnapshotTransitionOptions,
+} from './common';
+
+export declare class AudioMixer {
+  listener: AudioListenerController;
+  context: BaseAudioContext;
+  storageKey: string;
+  storage: MixerStorage | null;
+  envelopeInterval: number;
+  distanceInterval: number;
+  buses: Map<string, MixerBus>;
+  master: MixerBus;
+  duckingRules: DuckingRule[];
+  snapshots: Record<string, MixerSnapshot>;
+  filter: BiquadFilterNode | null;
+
+  constructor(listener: AudioListenerController, options?: AudioMixerOptions);
+
+  createBus(name: string, options?: MixerBusOptions): MixerBus;
+  getBus(name: string): MixerBus | null;
+  getInput(name?: string): GainNode;
+  assign(item: AudioItem, name?: string): this;
+  setSend(item: AudioItem, name: string, level?: number, options?: SendOptions): MixerSend;
+  setSends(item: AudioItem, sends: SendLevels): this;
+  getSend(item: AudioItem, name: string): MixerSend | null;
+  removeSend(item: AudioItem, name: string): boolean;
+  getActiveCount(name?: string): number;
+  addDuckingRule(options: DuckingRuleOptions): DuckingRule;
+  removeDuckingRule(rule: DuckingRule): boolean;
+  defineSnapshot(name: string, snapshot?: MixerSnapshotOptions): this;
+  get activeSnapshots(): string[];
+  pushSnapshot(name: string, options?: SnapshotTransitionOptions): this;
+  popSnapshot(name?: string, options?: SnapshotTransitionOptions): boolean;
+  clearSnapshots(options?: SnapshotTransitionOptions): this;
+  getSnapshotState(): { buses: Record<string, number>; sends: Record<string, number>; cutoff: number | undefined };
+  clearSolo(): this;
+  toJSON(): Record<string, { volume: number; muted: boolean }>;
+  fromJSON(state: MixerState): this;
+  save(): this;
+  load(): boolean;
+  dispose(): void;
+}
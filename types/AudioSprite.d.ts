@@ -0,0 +1,6 @@
+import type { SpriteMap, SpriteRegion, SpriteRegionDefinition, ParsedSprite } from './common';
+
+export declare class AudioSprite {
+  static parse(json: SpriteMap): ParsedSprite;
+  static parseRegion(value: SpriteRegionDefinition, name?: string): SpriteRegion;
+}
@@ -0,0 +1,22 @@
+import type { EffectUnit } from './effects/EffectUnit';
+import type { EffectFadeOptions, EffectFromJSONOptions, EffectRackJSON, EffectRackOptions } from './common';
+
+export declare class EffectRack {
+  static fromJSON(json: EffectRackJSON, options?: EffectFromJSONOptions): EffectRack;
+
+  context: BaseAudioContext;
+  fade: number;
+  input: GainNode;
+  output: GainNode;
+  units: EffectUnit[];
+
+  constructor(options?: EffectRackOptions);
+
+  insert<T extends EffectUnit>(unit: T, index?: number, options?: EffectFadeOptions): T;
+  remove(unit: EffectUnit | number, options?: EffectFadeOptions): Promise<EffectUnit>;
+  move(unit: EffectUnit | number, index: number): Promise<EffectUnit>;
+  bypass(unit: EffectUnit | number, value?: boolean): this;
+  clear(options?: EffectFadeOptions): Promise<EffectUnit[]>;
+  toJSON(): EffectRackJSON;
+  dispose(): void;
+}
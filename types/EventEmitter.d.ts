@@ -0,0 +1,14 @@
+export type EventListener<E = any, T = unknown> = (this: T, event: E) => void;
+
+export declare class EventEmitter {
+  protected _listeners: Map<string, Set<EventListener>>;
+
+  constructor();
+
+  on(type: string, listener: EventListener<any, this>): this;
+  off(type: string, listener: EventListener<any, this>): this;
+  once(type: string, listener: EventListener<any, this>): this;
+  emit(type: string, event?: object): boolean;
+  listenerCount(type: string): number;
+  removeAllListeners(type?: string): this;
+}
@@ -0,0 +1,16 @@
+import type { LeakDetectorEntry, LeakDetectorOptions, LeakReport } from './common';
+
+export declare class LeakDetector {
+  static enabled: boolean;
+  static threshold: number;
+  static captureStacks: boolean;
+  static items: Map<object, LeakDetectorEntry>;
+
+  static enable(options?: LeakDetectorOptions): void;
+  static disable(): void;
+  static get count(): number;
+  static track(item: object): void;
+  static label(item: object, label: string): void;
+  static untrack(item: object): void;
+  static report(): LeakReport;
+}
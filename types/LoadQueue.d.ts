@@ -0,0 +1,18 @@
+import type { LoadQueueOptions, LoadPhase, LoadJob } from './common';
+
+export declare class LoadQueue {
+  maxDownloads: number;
+  maxDecodes: number;
+
+  constructor(options?: LoadQueueOptions);
+
+  get pending(): number;
+  get active(): number;
+
+  add(key: string, priority?: number): LoadJob;
+  run<T>(job: LoadJob, phase: LoadPhase, task: (signal: AbortSignal) => T | Promise<T>): Promise<T>;
+  finish(job: LoadJob): void;
+  setPriority(key: string, priority: number): boolean;
+  cancel(key: string): boolean;
+  cancelAll(): void;
+}
@@ -0,0 +1,35 @@
+import type { AudioMixer } from './AudioMixer';
+import type { AudioItem } from './AudioItem';
+import type { AudioFilter, MixerBusOptions } from './common';
+
+export declare class MixerBus {
+  mixer: AudioMixer;
+  context: BaseAudioContext;
+  name: string;
+  parent: MixerBus | null;
+  input: GainNode;
+  sendGain: GainNode;
+  sum: GainNode;
+  fader: GainNode;
+  snapshotGain: GainNode;
+  duckGain: GainNode;
+  muteGain: GainNode;
+  filter: AudioFilter | null;
+  activeItems: Set<AudioItem>;
+
+  constructor(mixer: AudioMixer, name: string, parent: MixerBus | null, options?: MixerBusOptions);
+
+  get output(): GainNode;
+  get volume(): number;
+  set volume(value: number);
+  setVolume(value: number): this;
+  get muted(): boolean;
+  set muted(value: boolean);
+  setMuted(value: boolean): this;
+  get soloed(): boolean;
+  set soloed(value: boolean);
+  setSolo(value: boolean): this;
+  setFilter(filter: AudioFilter | null): this;
+  dispose(): void;
+  isAncestorOf(bus: MixerBus): boolean;
+}
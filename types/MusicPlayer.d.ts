@@ -0,0 +1,66 @@
+import type { AudioItem } from './AudioItem';
+import type { AudioManager } from './AudioManager';
+import type {
+  FadeCurve,
+  MusicFadeOptions,
+  MusicPlayOptions,
+  MusicPlayerOptions,
+  MusicRepeatMode,
+  MusicTrackChangeEvent,
+  PlaylistOptions,
+} from './common';
+import { EventEmitter, type EventListener } from './EventEmitter';
+
+export interface MusicTrack {
+  name: string;
+  item: AudioItem;
+  /** Context time the track started (or starts) at */
+  startsAt: number;
+}
+
+export interface ActivePlaylist {
+  name: string;
+  tracks: string[];
+  shuffle: boolean;
+  repeat: MusicRepeatMode;
+  order: number[];
+  index: number;
+  nextOrder: number[] | null;
+}
+
+export declare class MusicPlayer extends EventEmitter {
+  manager: AudioManager;
+  context: AudioContext;
+  crossfade: number;
+  curve: FadeCurve;
+  output: GainNode;
+  current: MusicTrack | null;
+  queue: string[];
+  playlists: Record<string, { tracks: string[]; shuffle: boolean; repeat: MusicRepeatMode }>;
+  playlist: ActivePlaylist | null;
+  positions: Map<string, number>;
+
+  constructor(manager: AudioManager, options?: MusicPlayerOptions);
+
+  get volume(): number;
+  set volume(value: number);
+  get currentTrack(): string | null;
+
+  on(type: 'trackchange', listener: EventListener<MusicTrackChangeEvent, this>): this;
+  on(type: 'ended', listener: EventListener<{ type: 'ended'; target: MusicPlayer; time: number }, this>): this;
+  on(type: string, listener: EventListener<any, this>): this;
+
+  play(name: string, options?: MusicPlayOptions): Promise<void>;
+  addPlaylist(name: string, tracks: string[], options?: PlaylistOptions): this;
+  playPlaylist(name: string, options?: MusicFadeOptions): Promise<void>;
+  setShuffle(value: boolean): this;
+  setRepeat(mode: MusicRepeatMode): this;
+  enqueue(...names: string[]): this;
+  clearQueue(): this;
+  next(options?: MusicFadeOptions): Promise<void>;
+  previous(options?: MusicFadeOptions): Promise<void>;
+  pause(options?: { fadeOut?: number; curve?: FadeCurve }): Promise<void>;
+  resume(options?: { fadeIn?: number; curve?: FadeCurve }): Promise<void>;
+  stop(options?: { fadeOut?: number; curve?: FadeCurve }): Promise<void>;
+  forgetPosition(name?: string): this;
+}
@@ -0,0 +1,16 @@
+import type { AudioListenerController } from './AudioListenerController';
+import type { OfflineRendererOptions, WavEncodeOptions } from './common';
+
+export declare class OfflineRenderer {
+  context: OfflineAudioContext;
+  listener: AudioListenerController;
+  events: Array<{ time: number; callback: (delay: number, time: number) => void }>;
+
+  constructor(options?: OfflineRendererOptions);
+
+  get duration(): number;
+
+  at(time: number, callback: (delay: number, time: number) => void): this;
+  render(): Promise<AudioBuffer>;
+  renderToWav(options?: WavEncodeOptions): Promise<ArrayBuffer>;
+}
@@ -1,7 +1,7 @@
 import type { AudioItem } from './AudioItem';
 import type { SpatialAudio } from './SpatialAudio';
 import type { AudioManager } from './AudioManager';
-import type { OneShotOptions, OneShotInitConfig, OneShotVoice } from './common';
+import type { OneShotOptions, OneShotInitConfig, OneShotConfigureOptions, OneShotVoice } from './common';
 
 export declare class OneShotAudio {
   static manager: AudioManager | null;
@@ -13,6 +13,7 @@ export declare class OneShotAudio {
   static lastStartAt: Map<string, number>;
 
   static init(config: OneShotInitConfig): void;
+  static configure(config: OneShotConfigureOptions): void;
   static getPolicy(name: string): import('./common').OneShotPolicy;
   static getActiveCount(name?: string): number;
   static play(name: string, options?: OneShotOptions): OneShotVoice | null;
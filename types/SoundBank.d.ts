@@ -0,0 +1,8 @@
+import type { SoundBankManifest, ParsedSoundBank } from './common';
+
+export declare class SoundBank {
+  static VERSION: number;
+
+  static validate(manifest: SoundBankManifest | string): string[];
+  static parse(manifest: SoundBankManifest | string): ParsedSoundBank;
+}
@@ -0,0 +1,9 @@
+import type { SoundGeneratorParams, SoundGeneratorPreset } from './common';
+
+export declare class SoundGenerator {
+  static PRESETS: SoundGeneratorPreset[];
+
+  static render(params: SoundGeneratorParams, options?: { seed?: number; context?: BaseAudioContext }): AudioBuffer;
+  static preset(kind: SoundGeneratorPreset, seed?: number): SoundGeneratorParams;
+  static createRandom(seed: number): () => number;
+}
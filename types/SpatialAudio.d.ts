@@ -22,4 +22,5 @@ export declare class SpatialAudio extends AudioItem {
   setOrientation(orientation: Orientation): this;
   connect(): this;
   disconnect(): this;
+  dispose(): void;
 }
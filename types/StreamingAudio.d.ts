@@ -0,0 +1,18 @@
+import type { AudioListenerController } from './AudioListenerController';
+import { AudioItem } from './AudioItem';
+
+export declare class StreamingAudio extends AudioItem {
+  element: HTMLMediaElement;
+  onended: ((item: StreamingAudio) => void) | null;
+
+  constructor(listener: AudioListenerController, source?: string | HTMLMediaElement);
+
+  get src(): string;
+  set src(value: string);
+  get currentTime(): number;
+  set currentTime(value: number);
+  get streamDuration(): number;
+
+  seek(time: number): this;
+  dispose(): void;
+}
@@ -0,0 +1,32 @@
+import type { QuantizeGrid, TransportBeatEvent, TransportOptions } from './common';
+import { EventEmitter, type EventListener } from './EventEmitter';
+
+export declare class Transport extends EventEmitter {
+  context: BaseAudioContext;
+  bpm: number;
+  beatsPerBar: number;
+  beatUnit: number;
+  lookAhead: number;
+  interval: number;
+  isRunning: boolean;
+
+  constructor(options?: TransportOptions);
+
+  get secondsPerBeat(): number;
+
+  on(type: 'beat' | 'bar', listener: EventListener<TransportBeatEvent, this>): this;
+  on(type: string, listener: EventListener<any, this>): this;
+
+  start(time?: number, beat?: number): this;
+  stop(): this;
+  setBpm(bpm: number): this;
+  setTimeSignature(beatsPerBar: number, beatUnit?: number): this;
+  timeToBeat(time: number): number;
+  beatToTime(beat: number): number;
+  getPosition(time?: number): { beats: number; bar: number; beat: number };
+  quantize(grid?: QuantizeGrid, time?: number): number;
+  nextBeat(time?: number): number;
+  nextBar(time?: number): number;
+  schedule(beat: number, callback: (time: number, beat: number) => void): number;
+  cancel(id: number): boolean;
+}
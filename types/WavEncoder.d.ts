@@ -0,0 +1,6 @@
+import type { WavEncodeOptions } from './common';
+
+export declare class WavEncoder {
+  static encode(audioBuffer: AudioBuffer, options?: WavEncodeOptions): ArrayBuffer;
+  static toBlob(audioBuffer: AudioBuffer, options?: WavEncodeOptions): Blob;
+}
@@ -1,3 +1,8 @@
+import type { AudioItem } from './AudioItem';
+import type { AudioMixer } from './AudioMixer';
+import type { MixerBus } from './MixerBus';
+import type { EffectUnit } from './effects/EffectUnit';
+
 export interface Position {
   x: number;
   y: number;
@@ -15,9 +20,23 @@ export interface AudioConfig {
   volume?: number;
   playbackRate?: number;
   position?: Position;
+  orientation?: Orientation;
   refDistance?: number;
   rolloffFactor?: number;
   distanceModel?: DistanceModelType;
+  maxDistance?: number;
+  coneInnerAngle?: number;
+  coneOuterAngle?: number;
+  coneOuterGain?: number;
+  /** Mixer bus to route the item to (needs a mixer on the AudioManager) */
+  bus?: string;
+  /** Mixer sends, see AudioMixer.setSends() */
+  sends?: SendLevels;
+}
+
+/** Defaults stored per sound name and applied by `AudioManager.get()`. */
+export interface StoredAudioConfig extends AudioConfig {
+  spatial?: boolean;
 }
 
 export interface SpatialConfig {
@@ -50,6 +69,14 @@ export interface OneShotOptions {
   priority?: number;
   minIntervalOverride?: number;
   duration?: number;
+  /** Delay in seconds before starting */
+  delay?: number;
+  /** Context time to start at, instead of a delay (e.g. Transport.nextBeat()) */
+  at?: number;
+  /** Mixer bus to play on, instead of the track policy's */
+  bus?: string;
+  /** Mixer sends, instead of the track policy's */
+  sends?: SendLevels;
 }
 
 export interface OneShotPolicy {
@@ -58,6 +85,10 @@ export interface OneShotPolicy {
   priority?: number;
   stealStrategy?: StealStrategy;
   stealFadeMs?: number;
+  /** Mixer bus the track plays on */
+  bus?: string;
+  /** Mixer sends of the track's voices */
+  sends?: SendLevels;
   spatialDefaults?: OneShotSpatialOptions;
 }
 
@@ -72,6 +103,11 @@ export interface OneShotInitConfig {
   tracks?: Record<string, OneShotPolicy>;
 }
 
+export interface OneShotConfigureOptions {
+  global?: OneShotGlobalConfig;
+  tracks?: Record<string, OneShotPolicy>;
+}
+
 export interface OneShotVoice {
   name: string;
   node: AudioItem | SpatialAudio;
@@ -80,6 +116,21 @@ export interface OneShotVoice {
 
 export type AudioBufferMap = Record<string, AudioBuffer>;
 
+/**
+ * Per-request options passed through `AudioLoader.load()` to the URL loader.
+ * Loaders ignore the fields they don't support.
+ */
+export interface LoadRequestOptions {
+  signal?: AbortSignal;
+  headers?: Record<string, string>;
+  credentials?: RequestCredentials;
+  retries?: number;
+  /** Content hash keying CacheLoader entries instead of the cache version */
+  hash?: string;
+  /** Context to decode with in load() (AudioLoader passes its own, if it has one) */
+  context?: BaseAudioContext;
+}
+
 /**
  * Interface that URL-loader plugins must implement.
  * Register an instance via `AudioLoader.registerLoader('url', loader)`.
@@ -89,12 +140,627 @@ export interface SourceLoader {
     url: string,
     onLoad: (buffer: AudioBuffer) => void,
     onProgress: ((event: ProgressEvent) => void) | null,
-    onError: (error: Error | Event) => void
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
+  ): void;
+  /**
+   * Optional: downloads the encoded bytes without decoding them.
+   * Lets AudioLoader time download and decode separately.
+   */
+  loadArrayBuffer?(
+    url: string,
+    onLoad: (arrayBuffer: ArrayBuffer) => void,
+    onProgress: ((event: ProgressEvent) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
   ): void;
 }
 
+/** In-memory encoded audio (File is a Blob) */
+export type BinaryAudioSource = ArrayBuffer | ArrayBufferView | Blob;
+
+/** Anything AudioLoader can load: URL, base64 data URI or binary data */
+export type AudioSource = string | BinaryAudioSource;
+
+export type AudioSourceEntry =
+  | string
+  | File
+  | { name: string; data: AudioSource; group?: string; priority?: number }
+  | { name: string; sources: string[]; group?: string; priority?: number };
+
+export interface AudioManagerOptions {
+  /** Maximum decoded PCM bytes kept before LRU eviction (default Infinity) */
+  memoryBudget?: number;
+  /** Maximum parallel downloads (default 6) */
+  maxDownloads?: number;
+  /** Maximum parallel decodeAudioData() calls (default 2) */
+  maxDecodes?: number;
+  /** How late (seconds) a play requested before a registered sound loaded may still start (default 0.5) */
+  staleAfter?: number;
+  /** Mixer whose buses get() routes items to */
+  mixer?: AudioMixer;
+}
+
+export interface RegisterOptions {
+  group?: string;
+  priority?: number;
+  /** Overrides the manager's staleAfter for these entries */
+  staleAfter?: number;
+}
+
+export interface RegisteredSound {
+  name: string;
+  sources: AudioSource[];
+  group: string | undefined;
+  priority: number | undefined;
+  staleAfter: number | undefined;
+}
+
+export interface LoadQueueOptions {
+  maxDownloads?: number;
+  maxDecodes?: number;
+}
+
+export type LoadPhase = 'download' | 'decode';
+
+export interface LoadJob {
+  readonly key: string;
+  priority: number;
+  readonly signal: AbortSignal;
+}
+
+export interface BufferMemoryInfo {
+  bytes: number;
+  refs: number;
+  lastUsed: number;
+}
+
+export interface MemoryStats {
+  totalBytes: number;
+  budget: number;
+  buffers: Record<string, BufferMemoryInfo>;
+}
+
+export interface LoadProgress {
+  loaded: number;
+  total: number;
+  lengthComputable: boolean;
+  filesLoaded: number;
+  filesFailed: number;
+  filesTotal: number;
+}
+
+export interface LoadedFileInfo {
+  name: string;
+  source: AudioSource;
+  buffer: AudioBuffer;
+  /** Encoded size in bytes, or null if the loader doesn't expose it */
+  bytes: number | null;
+  /** Milliseconds spent downloading (includes decoding if decodeTime is null) */
+  downloadTime: number;
+  /** Milliseconds spent in decodeAudioData, or null if not measurable */
+  decodeTime: number | null;
+}
+
+export interface FileErrorInfo {
+  name: string;
+  source: AudioSource;
+  error: Error | Event;
+}
+
+export type LoadErrorReason = 'network' | 'http' | 'decode' | 'aborted' | 'unknown';
+
+export interface LoadFailure {
+  name: string;
+  source: AudioSource;
+  reason: LoadErrorReason;
+  /** HTTP status for 'http' failures, otherwise null */
+  status: number | null;
+  error: unknown;
+}
+
+export interface LoadReport {
+  loaded: string[];
+  failed: LoadFailure[];
+}
+
+export type PlaceholderOption = 'silence' | AudioBuffer | ((failure: LoadFailure) => AudioBuffer);
+
+export interface LoadAllOptions {
+  onProgress?: (progress: LoadProgress) => void;
+  onFileLoaded?: (info: LoadedFileInfo) => void;
+  onFileError?: (info: FileErrorInfo) => void;
+  settle?: boolean;
+  placeholder?: PlaceholderOption;
+  group?: string;
+  /** Queue priority of every entry (higher loads first, default 0) */
+  priority?: number;
+}
+
+export interface LoadBankOptions extends LoadAllOptions {
+  /** Register the sounds instead of loading them (see AudioManager.register) */
+  lazy?: boolean;
+}
+
 export type SourceType = 'empty' | 'buffer' | 'audioNode' | 'mediaNode' | 'mediaStreamNode';
 
+/** Shape of a volume fade */
+export type FadeCurve = 'linear' | 'exponential' | 'equalPower' | 'sCurve';
+
+export interface PlayOptions {
+  /** Delay in seconds before starting playback */
+  delay?: number;
+  /** Context time to start at, instead of a delay (e.g. Transport.nextBeat()) */
+  at?: number;
+  /** Fade-in length in seconds */
+  fadeIn?: number;
+  curve?: FadeCurve;
+}
+
+export interface PauseOptions {
+  /** Fade-out length in seconds; playback pauses when it completes */
+  fadeOut?: number;
+  curve?: FadeCurve;
+}
+
+export interface StopOptions {
+  /** Delay in seconds before stopping (or starting the fade) */
+  delay?: number;
+  /** Context time to stop (or start the fade) at, instead of a delay */
+  at?: number;
+  /** Fade-out length in seconds; the source stops when it completes */
+  fadeOut?: number;
+  curve?: FadeCurve;
+}
+
+/** Lifecycle events emitted by AudioItem and its subclasses */
+export type AudioItemEventType = 'play' | 'pause' | 'stop' | 'loop' | 'ended' | 'dispose';
+
+export interface AudioItemEvent<T = unknown> {
+  type: AudioItemEventType;
+  /** Item that emitted the event */
+  target: T;
+  /** AudioContext time when the event was emitted */
+  time: number;
+}
+
 export type DistanceModelType = 'linear' | 'inverse' | 'exponential';
 
-export type StealStrategy = 'ignore' | 'stealOldest' | 'stealQuietest';
\ No newline at end of file
+export type StealStrategy = 'ignore' | 'stealOldest' | 'stealQuietest';
+
+export type SoundGeneratorWaveType = 'square' | 'sawtooth' | 'sine' | 'triangle' | 'noise';
+
+export type SoundGeneratorPreset = 'pickup' | 'laser' | 'explosion' | 'powerup' | 'hit' | 'jump' | 'blip';
+
+/** sfxr-style sound description; times in seconds, frequencies in Hz */
+export interface SoundGeneratorParams {
+  waveType?: SoundGeneratorWaveType;
+  frequency?: number;
+  /** The sound stops when a downward slide passes this frequency */
+  minFrequency?: number;
+  /** Octaves per second */
+  frequencySlide?: number;
+  /** Octaves per second² */
+  frequencyDeltaSlide?: number;
+  /** Fraction of the frequency */
+  vibratoDepth?: number;
+  vibratoSpeed?: number;
+  arpeggioMultiplier?: number;
+  arpeggioTime?: number;
+  dutyCycle?: number;
+  /** Duty cycle change per second */
+  dutyCycleSweep?: number;
+  repeatTime?: number;
+  attack?: number;
+  sustain?: number;
+  sustainPunch?: number;
+  decay?: number;
+  lowPassCutoff?: number;
+  highPassCutoff?: number;
+  volume?: number;
+}
+
+export interface GenerateOptions {
+  seed?: number;
+  group?: string;
+}
+
+export interface WavEncodeOptions {
+  /** 16/24-bit integer PCM, or 32-bit float (default 16) */
+  bitDepth?: 16 | 24 | 32;
+}
+
+export interface OfflineRendererOptions {
+  /** Seconds to render (required unless context is given) */
+  duration?: number;
+  sampleRate?: number;
+  channels?: number;
+  context?: OfflineAudioContext;
+}
+
+export interface SoundBankSound {
+  /** URL, or ordered alternative URLs, resolved against the manifest's baseUrl */
+  src?: string | string[];
+  /** Base64 data URI (mutually exclusive with src) */
+  data?: string;
+  /** Stream src through a media element instead of decoding it (single src only) */
+  stream?: boolean;
+  loop?: boolean;
+  volume?: number;
+  playbackRate?: number;
+  /** Mixer bus the sound plays on */
+  bus?: string;
+  /** Mixer sends of the sound */
+  sends?: SendLevels;
+  /** true for default spatial settings, or the settings themselves */
+  spatial?: boolean | SpatialConfig;
+  oneShot?: OneShotPolicy;
+}
+
+export interface SoundBankManifest {
+  version: 1;
+  baseUrl?: string;
+  oneShot?: OneShotGlobalConfig;
+  sounds: Record<string, SoundBankSound>;
+}
+
+export interface SpriteRegion {
+  /** Start of the region (seconds) */
+  start: number;
+  /** End of the region (seconds) */
+  end: number;
+  loop: boolean;
+}
+
+/** Region as written in a sprite map: howler.js [offsetMs, durationMs, loop?] or { start, end, loop? } in seconds */
+export type SpriteRegionDefinition = [number, number, boolean?] | { start: number; end: number; loop?: boolean };
+
+/** howler.js, audiosprite or plain sprite map */
+export type SpriteMap =
+  | { src?: string | string[]; sprite: Record<string, SpriteRegionDefinition> }
+  | { resources?: string[]; spritemap: Record<string, SpriteRegionDefinition> }
+  | Record<string, SpriteRegionDefinition>;
+
+export interface ParsedSprite {
+  regions: Record<string, SpriteRegion>;
+  sources: string[] | undefined;
+}
+
+export interface ManagedSpriteRegion extends SpriteRegion {
+  /** Name of the sprite buffer the region belongs to */
+  sprite: string;
+}
+
+export interface LoadSpriteOptions extends LoadAllOptions {
+  /** File(s) to load instead of those listed in the sprite map */
+  sources?: string | string[];
+  /** Prefix for relative file names listed in the sprite map */
+  baseUrl?: string;
+}
+
+export interface ResolvedSound {
+  bufferName: string;
+  buffer: AudioBuffer;
+  region: ManagedSpriteRegion | null;
+}
+
+export interface ParsedSoundBank {
+  entries: AudioSourceEntry[];
+  configs: Record<string, StoredAudioConfig>;
+  tracks: Record<string, OneShotPolicy>;
+  streams: Record<string, string>;
+  oneShot: OneShotGlobalConfig | undefined;
+}
+
+export type MusicRepeatMode = 'none' | 'one' | 'all';
+
+export interface MusicPlayerOptions {
+  /** Default crossfade length in seconds (default 2) */
+  crossfade?: number;
+  /** Default fade curve (default 'equalPower') */
+  curve?: FadeCurve;
+  /** Music volume (default 1) */
+  volume?: number;
+  /** Mixer bus the music plays on (needs a mixer on the manager) */
+  bus?: string;
+}
+
+export interface MusicFadeOptions {
+  /** Crossfade length in seconds (0 to cut) */
+  crossfade?: number;
+  curve?: FadeCurve;
+}
+
+export interface MusicPlayOptions extends MusicFadeOptions {
+  /** Loop the track (default true) */
+  loop?: boolean;
+  /** Start from the beginning instead of the saved position */
+  restart?: boolean;
+  /** Start at this position in seconds */
+  position?: number;
+}
+
+export interface PlaylistOptions {
+  shuffle?: boolean;
+  /** What happens after the last track (default 'all') */
+  repeat?: MusicRepeatMode;
+}
+
+export interface MusicTrackChangeEvent {
+  type: 'trackchange';
+  target: unknown;
+  name: string;
+  previous: string | null;
+  time: number;
+}
+
+export interface TransportOptions {
+  /** Tempo in beats per minute (default 120) */
+  bpm?: number;
+  /** Beats per bar (default 4) */
+  beatsPerBar?: number;
+  /** Note value of a beat (default 4) */
+  beatUnit?: number;
+  /** How far ahead beats and scheduled callbacks are handed out, in seconds (default 0.1) */
+  lookAhead?: number;
+  /** How often the scheduler wakes up, in seconds (default 0.025) */
+  interval?: number;
+  context?: BaseAudioContext;
+}
+
+export type QuantizeGrid = 'beat' | 'bar' | number;
+
+export interface TransportBeatEvent {
+  type: 'beat' | 'bar';
+  target: unknown;
+  /** Beat number from the start */
+  beat: number;
+  bar: number;
+  beatInBar: number;
+  /** Exact context time of the beat */
+  time: number;
+}
+
+export interface LeakDetectorOptions {
+  /** Live item count that triggers the first warning (default 200) */
+  threshold?: number;
+  /** Record where each item was created (default false) */
+  captureStacks?: boolean;
+}
+
+export interface LeakDetectorEntry {
+  label: string;
+  /** Date.now() when the item was created */
+  createdAt: number;
+  stack: string | undefined;
+}
+
+export interface LeakReport {
+  count: number;
+  /** Live item count per label (sound name or class name) */
+  byLabel: Record<string, number>;
+  /** The ten oldest live items; age in seconds */
+  oldest: Array<{ label: string; age: number; stack: string | undefined }>;
+}
+
+export interface MixerBusOptions {
+  /** Bus this one feeds (default 'master') */
+  parent?: string;
+  /** Initial volume (default 1) */
+  volume?: number;
+  /** Initial mute state (default false) */
+  muted?: boolean;
+  /** Insert effect, e.g. a fully wet reverb for a return bus */
+  effect?: AudioFilter;
+}
+
+export interface MixerStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+}
+
+export interface AudioMixerOptions {
+  /** Buses to create, in order (a parent must come before its children) */
+  buses?: Record<string, MixerBusOptions>;
+  /** Key save() and load() use (default 'giallarhorn.mixer') */
+  storageKey?: string;
+  /** Storage for save() and load() (default localStorage) */
+  storage?: MixerStorage;
+  /** Ducking rules to add */
+  ducking?: DuckingRuleOptions[];
+  /** How often 'envelope' ducking rules measure, in seconds (default 0.02) */
+  envelopeInterval?: number;
+  /** Snapshots to define */
+  snapshots?: Record<string, MixerSnapshotOptions>;
+  /** How often distance-following sends are updated, in seconds (default 0.1) */
+  distanceInterval?: number;
+}
+
+export interface MixerSnapshotOptions {
+  /** Higher priorities override lower ones in the stack (default 0) */
+  priority?: number;
+  /** Default transition length in seconds (default 0.5) */
+  fade?: number;
+  /** Level per bus (master included), multiplying its volume */
+  buses?: Record<string, number>;
+  /** Level per bus of every send to it (e.g. a reverb return), multiplying the sends' own levels */
+  sends?: Record<string, number>;
+  /** Master lowpass cutoff frequency in Hz */
+  cutoff?: number;
+}
+
+export interface MixerSnapshot {
+  priority: number;
+  fade: number;
+  buses: Record<string, number>;
+  sends: Record<string, number>;
+  cutoff: number | undefined;
+}
+
+export interface SnapshotTransitionOptions {
+  /** Transition length in seconds */
+  fade?: number;
+}
+
+/** 'voices': an item plays on the trigger bus; 'envelope': its output is louder than the threshold */
+export type DuckingMode = 'voices' | 'envelope';
+
+export interface DuckingRuleOptions {
+  /** Bus whose activity ducks the target */
+  trigger: string;
+  /** Bus to duck */
+  target: string;
+  /** Gain change in dB while ducked (default -9) */
+  amount?: number;
+  /** Seconds to duck (default 0.15) */
+  attack?: number;
+  /** Seconds to come back (default 0.6) */
+  release?: number;
+  mode?: DuckingMode;
+  /** RMS level in dBFS above which the trigger is busy, for 'envelope' (default -40) */
+  threshold?: number;
+  /** RMS level in dBFS the trigger must fall below to be quiet again, for 'envelope' (default threshold - 6) */
+  releaseThreshold?: number;
+  /** Seconds the trigger must stay quiet before the target comes back, for 'envelope' (default 0.25) */
+  hold?: number;
+}
+
+export interface DuckingRule {
+  trigger: MixerBus;
+  target: MixerBus;
+  amount: number;
+  attack: number;
+  release: number;
+  mode: DuckingMode;
+  threshold: number;
+  releaseThreshold: number;
+  hold: number;
+  /** Whether the rule is ducking its target */
+  active: boolean;
+  analyser: AnalyserNode | null;
+}
+
+/** Volume and mute per bus name, as returned by AudioMixer.toJSON() */
+export type MixerState = Record<string, { volume?: number; muted?: boolean }>;
+
+/** AudioNode, or a node graph with an input and an output such as an EffectUnit or EffectRack */
+export type AudioFilter = AudioNode | { input: AudioNode; output: AudioNode };
+
+export type BufferResolver = (name: string) => AudioBuffer | null;
+
+export interface EffectParam {
+  value: number;
+  min: number;
+  max: number;
+  param: AudioParam | null;
+  apply: ((value: number, seconds: number) => void) | null;
+}
+
+export interface EffectUnitOptions {
+  context?: BaseAudioContext;
+  mix?: number;
+}
+
+export interface EffectFromJSONOptions {
+  context?: BaseAudioContext;
+  getBuffer?: BufferResolver;
+}
+
+export interface EffectUnitJSON {
+  type: string;
+  bypassed?: boolean;
+  [param: string]: unknown;
+}
+
+export interface EqBand {
+  name: string;
+  type?: BiquadFilterType;
+  frequency?: number;
+  gain?: number;
+  q?: number;
+}
+
+export interface EqEffectOptions extends EffectUnitOptions {
+  bands?: EqBand[];
+}
+
+export interface CompressorEffectOptions extends EffectUnitOptions {
+  threshold?: number;
+  knee?: number;
+  ratio?: number;
+  attack?: number;
+  release?: number;
+  makeup?: number;
+}
+
+export interface DelayEffectOptions extends EffectUnitOptions {
+  time?: number;
+  feedback?: number;
+  maxTime?: number;
+}
+
+export interface DistortionEffectOptions extends EffectUnitOptions {
+  amount?: number;
+  tone?: number;
+}
+
+export interface ChorusEffectOptions extends EffectUnitOptions {
+  rate?: number;
+  depth?: number;
+  delay?: number;
+}
+
+export interface ReverbEffectOptions extends EffectUnitOptions {
+  impulse?: AudioBuffer | string;
+  getBuffer?: BufferResolver;
+  duration?: number;
+  decay?: number;
+  /** Seed of the generated impulse's noise (default 1) */
+  seed?: number;
+}
+
+export interface EffectRackOptions {
+  units?: EffectUnit[];
+  fade?: number;
+  context?: BaseAudioContext;
+}
+
+export interface EffectRackJSON {
+  units: EffectUnitJSON[];
+}
+
+export interface EffectFadeOptions {
+  fade?: number;
+}
+
+export interface SendDistanceOptions {
+  /** Distance at and below which the level is scaled by nearLevel (default 1) */
+  near?: number;
+  /** Distance at and beyond which the full level is sent (default 50) */
+  far?: number;
+  /** Level factor up close (default 0.25) */
+  nearLevel?: number;
+}
+
+export interface SendOptions {
+  /** Tap the item before its volume and panner (default false) */
+  pre?: boolean;
+  /** Ramp length for the level change, in seconds */
+  seconds?: number;
+  /** Scale the level with the distance to the listener (SpatialAudio only); null to stop */
+  distance?: SendDistanceOptions | boolean | null;
+}
+
+export type SendLevels = Record<string, number | ({ level?: number } & Omit<SendOptions, 'seconds'>)>;
+
+export interface MixerSend {
+  item: AudioItem;
+  bus: MixerBus;
+  level: number;
+  pre: boolean;
+  distance: Required<SendDistanceOptions> | null;
+  /** Send level; automate levelGain.gain directly */
+  levelGain: GainNode;
+  /** Distance factor, set by the mixer */
+  distanceGain: GainNode;
+}
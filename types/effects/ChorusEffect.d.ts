@@ -0,0 +1,10 @@
+import { EffectUnit } from './EffectUnit';
+import type { ChorusEffectOptions } from '../common';
+
+export declare class ChorusEffect extends EffectUnit {
+  delay: DelayNode;
+  lfo: OscillatorNode;
+  depthGain: GainNode;
+
+  constructor(options?: ChorusEffectOptions);
+}
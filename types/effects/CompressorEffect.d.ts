@@ -0,0 +1,11 @@
+import { EffectUnit } from './EffectUnit';
+import type { CompressorEffectOptions } from '../common';
+
+export declare class CompressorEffect extends EffectUnit {
+  compressor: DynamicsCompressorNode;
+  makeupGain: GainNode;
+
+  constructor(options?: CompressorEffectOptions);
+
+  get reduction(): number;
+}
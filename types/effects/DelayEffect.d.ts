@@ -0,0 +1,10 @@
+import { EffectUnit } from './EffectUnit';
+import type { DelayEffectOptions } from '../common';
+
+export declare class DelayEffect extends EffectUnit {
+  maxTime: number;
+  delay: DelayNode;
+  feedback: GainNode;
+
+  constructor(options?: DelayEffectOptions);
+}
@@ -0,0 +1,9 @@
+import { EffectUnit } from './EffectUnit';
+import type { DistortionEffectOptions } from '../common';
+
+export declare class DistortionEffect extends EffectUnit {
+  shaper: WaveShaperNode;
+  toneFilter: BiquadFilterNode;
+
+  constructor(options?: DistortionEffectOptions);
+}
@@ -0,0 +1,40 @@
+import type { EffectFromJSONOptions, EffectParam, EffectUnitJSON, EffectUnitOptions } from '../common';
+
+export declare class EffectUnit {
+  static type: string;
+  static types: Record<string, typeof EffectUnit>;
+  static register(EffectClass: typeof EffectUnit): void;
+  static fromJSON(json: EffectUnitJSON, options?: EffectFromJSONOptions): EffectUnit;
+
+  context: BaseAudioContext;
+  input: GainNode;
+  output: GainNode;
+  wet: GainNode;
+  dry: GainNode;
+  params: Record<string, EffectParam>;
+
+  constructor(options?: EffectUnitOptions, defaultMix?: number);
+
+  get type(): string;
+  get bypassed(): boolean;
+  set bypassed(value: boolean);
+  setBypassed(value: boolean, seconds?: number): this;
+  getParam(name: string): number;
+  setParam(name: string, value: number, seconds?: number): this;
+  getAudioParam(name: string): AudioParam | null;
+  getParams(): Record<string, number>;
+  toJSON(): EffectUnitJSON;
+  dispose(): void;
+
+  protected _defineParam(
+    name: string,
+    spec: {
+      value: number;
+      min?: number;
+      max?: number;
+      param?: AudioParam;
+      apply?: (value: number, seconds: number) => void;
+    }
+  ): void;
+  protected _rampTo(param: AudioParam, value: number, seconds: number): void;
+}
@@ -0,0 +1,8 @@
+import { EffectUnit } from './EffectUnit';
+import type { EqEffectOptions } from '../common';
+
+export declare class EqEffect extends EffectUnit {
+  bands: Array<{ name: string; filter: BiquadFilterNode }>;
+
+  constructor(options?: EqEffectOptions);
+}
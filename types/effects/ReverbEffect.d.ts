@@ -0,0 +1,13 @@
+import { EffectUnit } from './EffectUnit';
+import type { BufferResolver, ReverbEffectOptions } from '../common';
+
+export declare class ReverbEffect extends EffectUnit {
+  convolver: ConvolverNode;
+  getBuffer: BufferResolver | null;
+  impulseName: string | null;
+  seed: number;
+
+  constructor(options?: ReverbEffectOptions);
+
+  setImpulse(impulse: AudioBuffer | string | null): this;
+}
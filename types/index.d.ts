@@ -1,8 +1,29 @@
 export * from './common';
 export * from './AudioContextProvider';
+export * from './EventEmitter';
 export * from './AudioLoader';
+export * from './LoadQueue';
 export * from './AudioItem';
 export * from './SpatialAudio';
+export * from './StreamingAudio';
 export * from './AudioListenerController';
 export * from './AudioManager';
 export * from './OneShotAudio';
+export * from './MixerBus';
+export * from './AudioMixer';
+export * from './effects/EffectUnit';
+export * from './effects/EqEffect';
+export * from './effects/CompressorEffect';
+export * from './effects/DelayEffect';
+export * from './effects/DistortionEffect';
+export * from './effects/ChorusEffect';
+export * from './effects/ReverbEffect';
+export * from './EffectRack';
+export * from './MusicPlayer';
+export * from './Transport';
+export * from './SoundBank';
+export * from './SoundGenerator';
+export * from './OfflineRenderer';
+export * from './WavEncoder';
+export * from './AudioSprite';
+export * from './LeakDetector';
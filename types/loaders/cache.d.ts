@@ -0,0 +1,56 @@
+import type { SourceLoader, LoadRequestOptions } from '../common';
+
+export interface CacheLoaderOptions {
+  version?: string | number;
+  maxBytes?: number;
+  dbName?: string;
+}
+
+export interface PrewarmOptions {
+  concurrency?: number;
+  signal?: AbortSignal;
+  onProgress?: (progress: { done: number; total: number }) => void;
+}
+
+export interface PrewarmResult {
+  cached: string[];
+  fetched: string[];
+  failed: Array<{ url: string; error: unknown }>;
+}
+
+/**
+ * Persistent IndexedDB cache wrapping another URL loader.
+ * Import from 'giallarhorn/loaders/cache' and register via registerLoader().
+ */
+export declare class CacheLoader implements SourceLoader {
+  loader: SourceLoader;
+  version: string;
+  maxBytes: number;
+  dbName: string;
+  private _db: Promise<IDBDatabase | null> | null;
+
+  constructor(loader: SourceLoader, options?: CacheLoaderOptions);
+
+  load(
+    url: string,
+    onLoad: (buffer: AudioBuffer) => void,
+    onProgress: ((event: ProgressEvent) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
+  ): void;
+
+  loadArrayBuffer(
+    url: string,
+    onLoad: (arrayBuffer: ArrayBuffer) => void,
+    onProgress: ((event: ProgressEvent) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
+  ): void;
+
+  prewarm(urls: string[], options?: PrewarmOptions): Promise<PrewarmResult>;
+  has(url: string, hash?: string): Promise<boolean>;
+  delete(url: string, hash?: string): Promise<void>;
+  clear(): Promise<void>;
+  getSize(): Promise<number>;
+  setVersion(version: string | number): Promise<void>;
+}
@@ -0,0 +1,45 @@
+import type { SourceLoader, LoadRequestOptions } from '../common';
+
+export interface FetchLoaderOptions {
+  retries?: number;
+  retryDelay?: number;
+  backoffFactor?: number;
+  maxRetryDelay?: number;
+  retryOn?: number[];
+  headers?: Record<string, string>;
+  credentials?: RequestCredentials;
+  init?: RequestInit;
+}
+
+/**
+ * URL loader that uses the Fetch API, with cancellation, retries and streamed progress.
+ * Import from 'giallarhorn/loaders/fetch' and register via registerLoader().
+ */
+export declare class FetchLoader implements SourceLoader {
+  retries: number;
+  retryDelay: number;
+  backoffFactor: number;
+  maxRetryDelay: number;
+  retryOn: number[];
+  headers: Record<string, string>;
+  credentials: RequestCredentials | undefined;
+  init: RequestInit;
+
+  constructor(options?: FetchLoaderOptions);
+
+  load(
+    url: string,
+    onLoad: (buffer: AudioBuffer) => void,
+    onProgress: ((event: ProgressEvent) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
+  ): void;
+
+  loadArrayBuffer(
+    url: string,
+    onLoad: (arrayBuffer: ArrayBuffer) => void,
+    onProgress: ((event: ProgressEvent) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: LoadRequestOptions
+  ): void;
+}
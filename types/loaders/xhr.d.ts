@@ -1,5 +1,12 @@
 import type { SourceLoader } from '../common';
 
+export interface XhrRequestOptions {
+  /** Aborts the request; onError receives the abort reason */
+  signal?: AbortSignal;
+  /** Context to decode with in load() (defaults to the shared one) */
+  context?: BaseAudioContext;
+}
+
 /**
  * URL loader that uses XMLHttpRequest.
  * Import from 'giallarhorn/loaders/xhr' and register via registerLoader().
@@ -9,6 +16,15 @@ export declare class XhrLoader implements SourceLoader {
     url: string,
     onLoad: (buffer: AudioBuffer) => void,
     onProgress: ((event: ProgressEvent<XMLHttpRequestEventTarget>) => void) | null,
-    onError: (error: Error | Event) => void
+    onError: (error: Error | Event) => void,
+    options?: XhrRequestOptions
+  ): void;
+
+  loadArrayBuffer(
+    url: string,
+    onLoad: (arrayBuffer: ArrayBuffer) => void,
+    onProgress: ((event: ProgressEvent<XMLHttpRequestEventTarget>) => void) | null,
+    onError: (error: Error | Event) => void,
+    options?: XhrRequestOptions
   ): void;
-}
\ No newline at end of file
+}